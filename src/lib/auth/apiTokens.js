@@ -0,0 +1,162 @@
+// @ts-nocheck
+// Personal API tokens for scripted access to the link, paste and upload APIs.
+// Tokens are sent as `Authorization: Bearer <token>`; like session tokens only
+// their SHA-256 hash is stored. Each token carries a set of scopes.
+
+import crypto from 'node:crypto';
+import { query } from '../db.js';
+import { ensureAuthTables } from './tables.js';
+import { getSessionUser } from './session.js';
+
+const TOKEN_PREFIX = 'sat_pat_';
+const TOKEN_BYTES = 32;
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+const NAME_MAX_LENGTH = 100;
+const MAX_TOKENS_PER_USER = 25;
+const LAST_USED_UPDATE_MS = 1000 * 60; // only touch last_used_at once a minute
+
+export const API_TOKEN_SCOPES = ['links:read', 'links:write', 'pastes:write', 'uploads:write'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseScopes(value) {
+  return String(value || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Create a token for the user. The plaintext token is only returned here.
+ * Throws an Error with a `status` for invalid input.
+ */
+export async function createApiToken(userId, name, scopes) {
+  await ensureAuthTables();
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > NAME_MAX_LENGTH) {
+    const err = new Error(`Token name must be 1-${NAME_MAX_LENGTH} characters`);
+    err.status = 400;
+    throw err;
+  }
+
+  const requested = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+  if (requested.length === 0 || !requested.every(s => API_TOKEN_SCOPES.includes(s))) {
+    const err = new Error(`Scopes must be one or more of: ${API_TOKEN_SCOPES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const countRows = await query('SELECT COUNT(*) AS total FROM api_tokens WHERE user_id = ?', [userId]);
+  if (Number(countRows[0]?.total || 0) >= MAX_TOKENS_PER_USER) {
+    const err = new Error(`You can have at most ${MAX_TOKENS_PER_USER} API tokens`);
+    err.status = 400;
+    throw err;
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const prefix = token.slice(0, DISPLAY_PREFIX_LENGTH);
+  const scopeList = API_TOKEN_SCOPES.filter(s => requested.includes(s));
+
+  const result = await query(
+    'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes) VALUES (?, ?, ?, ?, ?)',
+    [userId, trimmedName, sha256(token), prefix, scopeList.join(' ')]
+  );
+
+  return { id: Number(result.insertId), name: trimmedName, prefix, scopes: scopeList, token };
+}
+
+/**
+ * List a user's tokens (never includes the token itself)
+ */
+export async function listApiTokens(userId) {
+  await ensureAuthTables();
+  const rows = await query(
+    'SELECT id, name, token_prefix, scopes, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+    [userId]
+  );
+  return (rows || []).map(row => ({
+    id: Number(row.id),
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: parseScopes(row.scopes),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  }));
+}
+
+/**
+ * Revoke one of the user's tokens. Returns true if a token was removed.
+ */
+export async function revokeApiToken(userId, tokenId) {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Extract a bearer token from the Authorization header, or null if absent
+ */
+export function getBearerToken(request) {
+  const header = request.headers.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Look up the user and token record for a bearer token
+ * Returns { user, token } or null if the token is unknown.
+ */
+export async function authenticateApiToken(bearer) {
+  if (!bearer || !bearer.startsWith(TOKEN_PREFIX)) return null;
+  await ensureAuthTables();
+  const rows = await query(
+    `SELECT t.id AS token_id, t.scopes, t.last_used_at,
+            u.id, u.email, u.role, u.email_verified, u.created_at, u.updated_at, u.last_login_at
+     FROM api_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = ?`,
+    [sha256(bearer)]
+  );
+  if (!rows || rows.length === 0) return null;
+
+  const row = rows[0];
+  const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Number.isNaN(lastUsed) || Date.now() - lastUsed > LAST_USED_UPDATE_MS) {
+    await query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [row.token_id]);
+  }
+
+  return {
+    user: {
+      id: row.id,
+      email: row.email,
+      role: row.role,
+      emailVerified: row.email_verified,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastLoginAt: row.last_login_at,
+    },
+    token: { id: Number(row.token_id), scopes: parseScopes(row.scopes) },
+  };
+}
+
+/**
+ * Resolve the caller of a link API endpoint
+ * A bearer token takes precedence over the session cookie and must carry
+ * `scope`. Returns { user, apiToken } on success (apiToken is null for
+ * cookie sessions), { user: null } when unauthenticated, or
+ * { error, status } for a bad or under-scoped token.
+ */
+export async function getApiUser(request, cookies, scope) {
+  const bearer = getBearerToken(request);
+  if (!bearer) {
+    return { user: await getSessionUser(cookies), apiToken: null };
+  }
+
+  const auth = await authenticateApiToken(bearer);
+  if (!auth) {
+    return { error: 'Invalid API token', status: 401 };
+  }
+  if (!auth.token.scopes.includes(scope)) {
+    return { error: `API token is missing the ${scope} scope`, status: 403 };
+  }
+  return { user: auth.user, apiToken: auth.token };
+}
@@ -134,7 +134,7 @@ export async function resetPasswordWithToken(token, newPasswordHash) {
     [newPasswordHash, verification.userId]
   );
 
-  return { ok: true };
+  return { ok: true, userId: verification.userId };
 }
 
 /**
@@ -1,9 +1,24 @@
 // @ts-nocheck
-// WebAuthn / Passkey support for 2FA
-// Simplified WebAuthn implementation without external dependencies
+// WebAuthn / Passkey support for 2FA and passwordless sign-in
+// WebAuthn implementation without external dependencies (see webauthn.js)
 
 import crypto from 'crypto';
 import { query } from '../db.js';
+import { getConfig } from '../config.js';
+import {
+  getRelyingParty,
+  readClientDataChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from './webauthn.js';
+import { storeChallenge, consumeChallenge, CHALLENGE_PURPOSES } from './webauthnChallenges.js';
+
+/**
+ * Expected origin and RP ID derived from app.baseUrl
+ */
+function relyingParty() {
+  return getRelyingParty(getConfig().app.baseUrl);
+}
 
 /**
  * Generate a challenge for WebAuthn
@@ -12,17 +27,34 @@ export function generateChallenge() {
   return crypto.randomBytes(32).toString('base64url');
 }
 
+/**
+ * Consume the server-side challenge echoed by the client
+ * Returns the challenge so it can be checked against clientDataJSON.
+ */
+async function consumeIssuedChallenge(credential, purpose, owner) {
+  const challenge = readClientDataChallenge(credential?.response?.clientDataJSON);
+  const consumed = await consumeChallenge({ challenge, purpose, ...owner });
+  if (!consumed) {
+    throw new Error('Challenge expired or already used. Please try again.');
+  }
+  return challenge;
+}
+
 /**
  * Create registration options for a new passkey
+ * The challenge is stored server-side and bound to the user.
  */
 export async function generateRegistrationOptions(user) {
   const challenge = generateChallenge();
+  const { rpId } = relyingParty();
+  
+  await storeChallenge({ challenge, purpose: CHALLENGE_PURPOSES.REGISTRATION, userId: user.id });
   
   return {
     challenge,
     rp: {
       name: 'super-awesome-web-tools',
-      id: undefined // Will be set by client to current domain
+      id: rpId
     },
     user: {
       id: Buffer.from(user.id.toString()).toString('base64url'),
@@ -37,7 +69,9 @@ export async function generateRegistrationOptions(user) {
     attestation: 'none',
     authenticatorSelection: {
       authenticatorAttachment: 'platform',
-      requireResidentKey: false,
+      // Discoverable credentials allow usernameless sign-in
+      residentKey: 'required',
+      requireResidentKey: true,
       userVerification: 'preferred'
     }
   };
@@ -46,34 +80,49 @@ export async function generateRegistrationOptions(user) {
 /**
  * Verify registration response and store passkey
  */
-export async function verifyRegistration(userId, credential, challenge, deviceName) {
+export async function verifyRegistration(userId, credential, deviceName) {
   // Basic validation
   if (!credential || !credential.id || !credential.response) {
     throw new Error('Invalid credential');
   }
   
-  // In a full implementation, you would verify the attestation
-  // For now, we'll do basic validation and store the credential
+  // Single use: the challenge is burned even if verification fails below
+  const challenge = await consumeIssuedChallenge(credential, CHALLENGE_PURPOSES.REGISTRATION, { userId });
+  const { origin, rpId } = relyingParty();
   
-  const publicKey = credential.response.publicKey;
-  const credentialId = credential.id;
+  // Verifies clientDataJSON, rpIdHash, flags and the attestation statement,
+  // and extracts the COSE public key from the authenticator data
+  const verified = verifyRegistrationResponse({
+    credential,
+    expectedChallenge: challenge,
+    expectedOrigin: origin,
+    expectedRpId: rpId
+  });
   
-  // Store the passkey
-  await query(
+  // Store the passkey (public key kept as base64url-encoded COSE key)
+  const result = await query(
     `INSERT INTO passkeys (user_id, credential_id, public_key, device_name, counter)
      VALUES (?, ?, ?, ?, ?)`,
-    [userId, credentialId, publicKey, deviceName, 0]
+    [userId, verified.credentialId, verified.publicKey, deviceName, verified.signCount]
   );
   
-  return { success: true };
+  return {
+    success: true,
+    id: Number(result.insertId),
+    device_name: deviceName,
+    created_at: new Date()
+  };
 }
 
 /**
  * Generate authentication options for passkey login
+ * The challenge is stored server-side and bound to the user.
  */
 export async function generateAuthenticationOptions(userId) {
   const challenge = generateChallenge();
   
+  await storeChallenge({ challenge, purpose: CHALLENGE_PURPOSES.AUTHENTICATION, userId });
+  
   // Get user's passkeys
   const passkeys = await query(
     'SELECT credential_id FROM passkeys WHERE user_id = ?',
@@ -83,7 +132,7 @@ export async function generateAuthenticationOptions(userId) {
   return {
     challenge,
     timeout: 60000,
-    rpId: undefined, // Will be set by client
+    rpId: relyingParty().rpId,
     allowCredentials: passkeys.map(pk => ({
       type: 'public-key',
       id: pk.credential_id
@@ -92,14 +141,45 @@ export async function generateAuthenticationOptions(userId) {
   };
 }
 
+/**
+ * Verify an assertion against a stored passkey row and advance its counter
+ */
+async function verifyAssertionForPasskey(passkey, credential, challenge, requireUserVerification) {
+  const { origin, rpId } = relyingParty();
+  
+  // Verifies clientDataJSON, rpIdHash, the signature against the stored
+  // COSE key and that the signature counter did not go backwards
+  const { signCount } = verifyAuthenticationResponse({
+    credential,
+    expectedChallenge: challenge,
+    expectedOrigin: origin,
+    expectedRpId: rpId,
+    publicKey: passkey.public_key,
+    storedSignCount: passkey.counter,
+    requireUserVerification
+  });
+  
+  // Only store the new counter if nobody else used this credential meanwhile
+  const result = await query(
+    'UPDATE passkeys SET counter = ?, last_used_at = NOW() WHERE id = ? AND counter = ?',
+    [signCount, passkey.id, passkey.counter]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw new Error('Signature counter regression detected');
+  }
+}
+
 /**
  * Verify authentication response
  */
-export async function verifyAuthentication(userId, credential, challenge) {
+export async function verifyAuthentication(userId, credential) {
   if (!credential || !credential.id) {
     throw new Error('Invalid credential');
   }
   
+  const challenge = await consumeIssuedChallenge(credential, CHALLENGE_PURPOSES.AUTHENTICATION, { userId });
+  
   // Get the passkey from database
   const passkeys = await query(
     'SELECT * FROM passkeys WHERE user_id = ? AND credential_id = ?',
@@ -111,16 +191,65 @@ export async function verifyAuthentication(userId, credential, challenge) {
   }
   
   const passkey = passkeys[0];
+  await verifyAssertionForPasskey(passkey, credential, challenge, false);
   
-  // In a full implementation, you would verify the signature
-  // For now, we'll update the counter and last_used_at
+  return { success: true, passkeyId: passkey.id };
+}
+
+/**
+ * Generate options for usernameless sign-in with a discoverable credential
+ * The challenge is bound to a per-browser binding key since no user is known yet.
+ */
+export async function generateLoginOptions(bindingKey) {
+  const challenge = generateChallenge();
   
-  await query(
-    'UPDATE passkeys SET counter = counter + 1, last_used_at = NOW() WHERE id = ?',
-    [passkey.id]
+  await storeChallenge({ challenge, purpose: CHALLENGE_PURPOSES.LOGIN, bindingKey });
+  
+  return {
+    challenge,
+    timeout: 60000,
+    rpId: relyingParty().rpId,
+    // Empty list lets the authenticator offer any discoverable credential for this RP
+    allowCredentials: [],
+    userVerification: 'required'
+  };
+}
+
+/**
+ * Verify a usernameless sign-in assertion
+ * The user is looked up by credential id. User verification is required since
+ * the passkey is the only factor. Returns { userId, passkeyId }.
+ */
+export async function verifyLogin(credential, bindingKey) {
+  if (!credential || !credential.id || !credential.response) {
+    throw new Error('Invalid credential');
+  }
+  
+  const challenge = await consumeIssuedChallenge(credential, CHALLENGE_PURPOSES.LOGIN, { bindingKey });
+  
+  const passkeys = await query(
+    'SELECT * FROM passkeys WHERE credential_id = ?',
+    [credential.id]
   );
   
-  return { success: true };
+  if (passkeys.length === 0) {
+    throw new Error('Passkey not found');
+  }
+  
+  const passkey = passkeys[0];
+  
+  // The user handle (set at registration) must match the credential owner
+  const userHandle = credential.response.userHandle;
+  if (userHandle) {
+    const handleUserId = Buffer.from(String(userHandle), 'base64url').toString('utf8');
+    if (handleUserId !== String(passkey.user_id)) {
+      throw new Error('Passkey not found');
+    }
+  }
+  
+  await verifyAssertionForPasskey(passkey, credential, challenge, true);
+  
+  return { userId: passkey.user_id, passkeyId: passkey.id };
 }
 
 /**
@@ -0,0 +1,152 @@
+// @ts-nocheck
+// Pre-authentication tokens binding the 2FA step to a successful password check.
+// After the password is verified, login issues a short-lived random token as an
+// httpOnly cookie (only its hash is stored). The 2FA endpoints resolve the user
+// from this token instead of trusting a client-supplied email address.
+// Each code check first takes one of MAX_PREAUTH_ATTEMPTS attempts with a conditional
+// update, so parallel requests with the same cookie cannot check more codes than that.
+
+import crypto from 'node:crypto';
+import { query } from '../db.js';
+import { ensureAuthTables } from './tables.js';
+import { recordFailedLogin } from './lockout.js';
+
+const PREAUTH_COOKIE = 'sat_preauth';
+const TOKEN_BYTES = 32;
+const PREAUTH_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_PREAUTH_ATTEMPTS = 5;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function cookieOptions(expiresAt) {
+  const isProd = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProd,
+    sameSite: 'strict',
+    path: '/',
+    expires: expiresAt,
+  };
+}
+
+function clearCookie(cookies) {
+  const isProd = process.env.NODE_ENV === 'production';
+  cookies.delete(PREAUTH_COOKIE, {
+    path: '/',
+    secure: isProd,
+    sameSite: 'strict',
+    httpOnly: true,
+  });
+}
+
+/**
+ * Issue a pre-auth token after a correct password
+ * Replaces any pending login for the same user.
+ */
+export async function createPreAuthCookie(cookies, userId) {
+  await ensureAuthTables();
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const expiresAt = new Date(Date.now() + PREAUTH_TTL_MS);
+
+  await query('DELETE FROM pending_logins WHERE user_id = ?', [userId]);
+  await query(
+    'INSERT INTO pending_logins (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [userId, sha256(token), expiresAt]
+  );
+
+  cookies.set(PREAUTH_COOKIE, token, cookieOptions(expiresAt));
+}
+
+/**
+ * Resolve the pending login from the pre-auth cookie
+ * Returns { id, userId, email, attempts } or null if missing, expired or exhausted.
+ */
+export async function getPendingLogin(cookies) {
+  const token = cookies.get(PREAUTH_COOKIE)?.value;
+  if (!token) return null;
+  await ensureAuthTables();
+
+  const rows = await query(
+    `SELECT p.id, p.user_id, p.attempts, u.email
+     FROM pending_logins p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.token_hash = ? AND p.expires_at > NOW()`,
+    [sha256(token)]
+  );
+
+  if (!rows || rows.length === 0 || rows[0].attempts >= MAX_PREAUTH_ATTEMPTS) {
+    return null;
+  }
+
+  return {
+    id: rows[0].id,
+    userId: rows[0].user_id,
+    email: rows[0].email,
+    attempts: rows[0].attempts,
+  };
+}
+
+/**
+ * Take one second-factor attempt of the pending login before a code is checked
+ * Atomic: returns false (and clears the cookie) once all attempts have been taken,
+ * however many requests arrive at the same time.
+ */
+export async function takePreAuthAttempt(cookies, pending) {
+  await ensureAuthTables();
+  const result = await query(
+    'UPDATE pending_logins SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND expires_at > NOW()',
+    [pending.id, MAX_PREAUTH_ATTEMPTS]
+  );
+  if (result.affectedRows === 1) return true;
+  clearCookie(cookies);
+  return false;
+}
+
+/**
+ * Record that the code checked with an attempt from takePreAuthAttempt was wrong
+ * Once the token's attempts are used up it is revoked and a failed login is
+ * recorded with the lockout module (which may lock the account); of concurrent
+ * requests only the one that revokes the token records it.
+ * Returns { exhausted, locked }.
+ */
+export async function recordFailedPreAuthAttempt(cookies, pending) {
+  await ensureAuthTables();
+  const result = await query(
+    'DELETE FROM pending_logins WHERE id = ? AND attempts >= ?',
+    [pending.id, MAX_PREAUTH_ATTEMPTS]
+  );
+  if (result.affectedRows !== 1) {
+    return { exhausted: false, locked: false };
+  }
+
+  clearCookie(cookies);
+  const locked = await recordFailedLogin(pending.userId);
+  return { exhausted: true, locked };
+}
+
+/**
+ * Atomically consume the pending login after a successful second factor
+ * Returns true only for the first caller.
+ */
+export async function consumePreAuthCookie(cookies, pending) {
+  await ensureAuthTables();
+  const result = await query(
+    'DELETE FROM pending_logins WHERE id = ? AND expires_at > NOW() AND attempts <= ?',
+    [pending.id, MAX_PREAUTH_ATTEMPTS]
+  );
+  clearCookie(cookies);
+  return result.affectedRows === 1;
+}
+
+/**
+ * Delete expired pending logins (called from the background prune)
+ */
+export async function pruneExpiredPendingLogins() {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM pending_logins WHERE expires_at <= NOW()');
+  return result?.affectedRows || 0;
+}
+
+export const PREAUTH_COOKIE_NAME = PREAUTH_COOKIE;
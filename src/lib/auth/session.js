@@ -1,13 +1,18 @@
 // @ts-nocheck
 // Session management utilities: create, validate, and destroy sessions via cookies.
+// A user may hold several sessions at once (one per device); each records the
+// user agent, a coarse client address and when it was last seen.
 
 import crypto from 'node:crypto';
 import { query } from '../db.js';
+import { getConfig } from '../config.js';
 import { ensureAuthTables } from './tables.js';
 
 const SESSION_COOKIE = 'sat_session';
 const TOKEN_BYTES = 32;
 const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 30; // 30 days
+const LAST_SEEN_UPDATE_MS = 1000 * 60 * 5; // only touch last_seen_at every 5 minutes
+const USER_AGENT_MAX_LENGTH = 255;
 
 function sha256(value) {
   return crypto.createHash('sha256').update(value).digest('hex');
@@ -24,22 +29,88 @@ function cookieOptions(expiresAt) {
   };
 }
 
-export async function createSessionCookie(cookies, userId) {
+function sessionSettings() {
+  const sessions = getConfig().auth?.sessions || {};
+  return {
+    maxSessions: sessions.maxSessions ?? 10,
+    idleTimeoutMinutes: sessions.idleTimeoutMinutes ?? 0,
+  };
+}
+
+/**
+ * Reduce a client address to its network: /24 for IPv4, /48 for IPv6
+ * Enough to recognise a location without storing the full address.
+ */
+export function coarsenIp(ip) {
+  if (!ip || typeof ip !== 'string') return null;
+  let addr = ip.trim();
+  if (addr.startsWith('::ffff:') && addr.includes('.')) addr = addr.slice(7);
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(addr)) {
+    const parts = addr.split('.');
+    return `${parts[0]}.${parts[1]}.${parts[2]}.0/24`;
+  }
+
+  if (addr.includes(':')) {
+    const [head] = addr.split('%');
+    const halves = head.split('::');
+    const left = halves[0] ? halves[0].split(':') : [];
+    const right = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    const missing = halves.length > 1 ? 8 - left.length - right.length : 0;
+    const groups = [...left, ...Array(Math.max(missing, 0)).fill('0'), ...right];
+    if (groups.length !== 8 || !groups.every(g => /^[0-9a-f]{1,4}$/i.test(g))) return null;
+    return `${groups.slice(0, 3).map(g => g.toLowerCase().replace(/^0+(?=.)/, '')).join(':')}::/48`;
+  }
+
+  return null;
+}
+
+/**
+ * Collect the device metadata stored alongside a new session
+ */
+export function sessionMetaFromRequest(request, clientAddress) {
+  const ip = clientAddress || request?.headers?.get('x-forwarded-for')?.split(',')[0].trim() || null;
+  const userAgent = request?.headers?.get('user-agent') || null;
+  return {
+    userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+    ipCoarse: coarsenIp(ip),
+  };
+}
+
+export async function createSessionCookie(cookies, userId, meta = {}) {
   await ensureAuthTables();
   const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
   const tokenHash = sha256(token);
   const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
-  await query('INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)', [userId, tokenHash, expiresAt]);
+  await query(
+    'INSERT INTO sessions (user_id, token_hash, expires_at, user_agent, ip_coarse, last_seen_at) VALUES (?, ?, ?, ?, ?, NOW())',
+    [userId, tokenHash, expiresAt, meta.userAgent || null, meta.ipCoarse || null]
+  );
   cookies.set(SESSION_COOKIE, token, cookieOptions(expiresAt));
+  await enforceSessionLimit(userId);
   return tokenHash;
 }
 
-export async function rotateSessionOnLogin(cookies, userId) {
+/**
+ * Drop the least recently used sessions beyond auth.sessions.maxSessions
+ */
+async function enforceSessionLimit(userId) {
+  const { maxSessions } = sessionSettings();
+  const rows = await query(
+    'SELECT id FROM sessions WHERE user_id = ? ORDER BY COALESCE(last_seen_at, created_at) DESC, id DESC',
+    [userId]
+  );
+  const excess = (rows || []).slice(maxSessions).map(r => r.id);
+  if (excess.length > 0) {
+    await query(`DELETE FROM sessions WHERE id IN (${excess.map(() => '?').join(', ')})`, excess);
+  }
+}
+
+export async function rotateSessionOnLogin(cookies, userId, meta = {}) {
   await ensureAuthTables();
-  // Delete all existing sessions for this user (prevents session fixation)
-  await query('DELETE FROM sessions WHERE user_id = ?', [userId]);
-  // Create new session token
-  return await createSessionCookie(cookies, userId);
+  // Always issue a fresh token (prevents session fixation). Callers destroy the
+  // session this browser carried; sessions on the user's other devices are kept.
+  return await createSessionCookie(cookies, userId, meta);
 }
 
 export async function destroySessionCookie(cookies) {
@@ -63,7 +134,8 @@ export async function getSessionUser(cookies) {
   await ensureAuthTables();
   const tokenHash = sha256(token);
   const rows = await query(
-    `SELECT u.id, u.email, u.role, u.email_verified, u.created_at, u.updated_at, u.last_login_at, s.expires_at
+    `SELECT u.id, u.email, u.role, u.email_verified, u.created_at, u.updated_at, u.last_login_at,
+            s.id AS session_id, s.expires_at, s.created_at AS session_created_at, s.last_seen_at
      FROM sessions s
      JOIN users u ON s.user_id = u.id
      WHERE s.token_hash = ?`,
@@ -79,6 +151,18 @@ export async function getSessionUser(cookies) {
     cookies.delete(SESSION_COOKIE, { path: '/' });
     return null;
   }
+  const lastSeenRaw = session.last_seen_at || session.session_created_at;
+  const lastSeen = lastSeenRaw instanceof Date ? lastSeenRaw : new Date(lastSeenRaw);
+  const { idleTimeoutMinutes } = sessionSettings();
+  if (idleTimeoutMinutes > 0 && !Number.isNaN(lastSeen.getTime()) &&
+      Date.now() - lastSeen.getTime() > idleTimeoutMinutes * 60 * 1000) {
+    await query('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    cookies.delete(SESSION_COOKIE, { path: '/' });
+    return null;
+  }
+  if (Number.isNaN(lastSeen.getTime()) || Date.now() - lastSeen.getTime() > LAST_SEEN_UPDATE_MS) {
+    await query('UPDATE sessions SET last_seen_at = NOW() WHERE token_hash = ?', [tokenHash]);
+  }
   return {
     id: session.id,
     email: session.email,
@@ -87,9 +171,58 @@ export async function getSessionUser(cookies) {
     createdAt: session.created_at,
     updatedAt: session.updated_at,
     lastLoginAt: session.last_login_at,
+    sessionId: session.session_id,
   };
 }
 
+/**
+ * List a user's active sessions, most recently seen first
+ */
+export async function listUserSessions(userId) {
+  await ensureAuthTables();
+  const rows = await query(
+    `SELECT id, user_agent, ip_coarse, created_at, last_seen_at
+     FROM sessions
+     WHERE user_id = ? AND expires_at > NOW()
+     ORDER BY COALESCE(last_seen_at, created_at) DESC, id DESC`,
+    [userId]
+  );
+  return (rows || []).map(row => ({
+    id: Number(row.id),
+    userAgent: row.user_agent,
+    ipCoarse: row.ip_coarse,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at || row.created_at,
+  }));
+}
+
+/**
+ * Revoke one of the user's sessions. Returns true if a session was removed.
+ */
+export async function revokeSession(userId, sessionId) {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Revoke every session of the user except the current one. Returns the number removed.
+ */
+export async function revokeOtherSessions(userId, currentSessionId) {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM sessions WHERE user_id = ? AND id <> ?', [userId, currentSessionId]);
+  return result.affectedRows || 0;
+}
+
+/**
+ * Revoke every session of the user (e.g. after a password reset). Returns the number removed.
+ */
+export async function revokeAllSessions(userId) {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM sessions WHERE user_id = ?', [userId]);
+  return result.affectedRows || 0;
+}
+
 export function requireUser(user) {
   if (!user) {
     const err = new Error('Authentication required');
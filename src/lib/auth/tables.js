@@ -45,6 +45,9 @@ export async function ensureAuthTables() {
     user_id BIGINT UNSIGNED NOT NULL,
     token_hash CHAR(64) NOT NULL UNIQUE,
     expires_at TIMESTAMP NOT NULL,
+    user_agent VARCHAR(255) NULL DEFAULT NULL,
+    ip_coarse VARCHAR(64) NULL DEFAULT NULL,
+    last_seen_at TIMESTAMP NULL DEFAULT NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
@@ -65,6 +68,49 @@ export async function ensureAuthTables() {
     INDEX idx_credential_id (credential_id)
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
 
+  // Password-verified logins awaiting a second factor (see preAuth.js)
+  await query(`CREATE TABLE IF NOT EXISTS pending_logins (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT UNSIGNED NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Outstanding WebAuthn challenges (single use, short-lived). Bound either to a
+  // user (registration, 2FA) or to a hashed per-browser binding key (passwordless login).
+  await query(`CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    challenge_hash CHAR(64) NOT NULL UNIQUE,
+    purpose VARCHAR(32) NOT NULL,
+    user_id BIGINT UNSIGNED NULL,
+    binding_hash CHAR(64) NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_purpose (user_id, purpose),
+    INDEX idx_binding_purpose (binding_hash, purpose),
+    INDEX idx_expires_at (expires_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Personal API tokens for the link API (see apiTokens.js)
+  await query(`CREATE TABLE IF NOT EXISTS api_tokens (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT UNSIGNED NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
   // Attempt to add columns/indexes if schema predates this version
   try { await query('ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT \'user\''); } catch {}
   try { await query('ALTER TABLE users ADD COLUMN last_login_at TIMESTAMP NULL DEFAULT NULL'); } catch {}
@@ -91,6 +137,9 @@ export async function ensureAuthTables() {
   try { await query('ALTER TABLE users ADD INDEX idx_account_unlock_token (account_unlock_token)'); } catch {}
   try { await query('ALTER TABLE sessions ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP'); } catch {}
   try { await query('ALTER TABLE sessions ADD INDEX idx_expires_at (expires_at)'); } catch {}
+  try { await query('ALTER TABLE sessions ADD COLUMN user_agent VARCHAR(255) NULL DEFAULT NULL'); } catch {}
+  try { await query('ALTER TABLE sessions ADD COLUMN ip_coarse VARCHAR(64) NULL DEFAULT NULL'); } catch {}
+  try { await query('ALTER TABLE sessions ADD COLUMN last_seen_at TIMESTAMP NULL DEFAULT NULL'); } catch {}
 
   ensured = true;
 }
@@ -0,0 +1,451 @@
+// @ts-nocheck
+// WebAuthn response verification primitives
+// Minimal CBOR decoder, authenticator data parser and COSE key handling,
+// implemented without external dependencies. Pure functions only; storage
+// and configuration live in passkey.js.
+
+import crypto from 'crypto';
+
+// COSE algorithm identifiers we accept (must match pubKeyCredParams)
+export const COSE_ALG_ES256 = -7;
+export const COSE_ALG_RS256 = -257;
+
+const COSE_KTY_EC2 = 2;
+const COSE_KTY_RSA = 3;
+const COSE_CRV_P256 = 1;
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+const FLAG_EXTENSION_DATA = 0x80;
+
+const MAX_CBOR_DEPTH = 16;
+
+/**
+ * Decode a base64url string (or pass through a Buffer)
+ */
+function toBuffer(value, field) {
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error(`Invalid ${field}`);
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Decode a single CBOR item starting at offset
+ * Returns [value, nextOffset]. Maps decode to Map so integer keys survive.
+ */
+function decodeItem(buf, offset, depth) {
+  if (depth > MAX_CBOR_DEPTH) throw new Error('CBOR nesting too deep');
+  if (offset >= buf.length) throw new Error('Truncated CBOR data');
+
+  const initial = buf[offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    if (offset + 1 > buf.length) throw new Error('Truncated CBOR data');
+    length = buf.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    if (offset + 2 > buf.length) throw new Error('Truncated CBOR data');
+    length = buf.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    if (offset + 4 > buf.length) throw new Error('Truncated CBOR data');
+    length = buf.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    if (offset + 8 > buf.length) throw new Error('Truncated CBOR data');
+    const big = buf.readBigUInt64BE(offset);
+    if (big > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('CBOR integer too large');
+    length = Number(big);
+    offset += 8;
+  } else {
+    // Indefinite lengths are not permitted in WebAuthn's canonical CBOR
+    throw new Error('Unsupported CBOR encoding');
+  }
+
+  switch (major) {
+    case 0: // unsigned integer
+      return [length, offset];
+    case 1: // negative integer
+      return [-1 - length, offset];
+    case 2: { // byte string
+      if (offset + length > buf.length) throw new Error('Truncated CBOR data');
+      return [Buffer.from(buf.subarray(offset, offset + length)), offset + length];
+    }
+    case 3: { // text string
+      if (offset + length > buf.length) throw new Error('Truncated CBOR data');
+      return [buf.toString('utf8', offset, offset + length), offset + length];
+    }
+    case 4: { // array
+      const arr = [];
+      for (let i = 0; i < length; i++) {
+        const [item, next] = decodeItem(buf, offset, depth + 1);
+        arr.push(item);
+        offset = next;
+      }
+      return [arr, offset];
+    }
+    case 5: { // map
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const [key, afterKey] = decodeItem(buf, offset, depth + 1);
+        const [value, afterValue] = decodeItem(buf, afterKey, depth + 1);
+        map.set(key, value);
+        offset = afterValue;
+      }
+      return [map, offset];
+    }
+    case 6: // tag - decode and return the tagged item
+      return decodeItem(buf, offset, depth + 1);
+    case 7:
+      if (info === 20) return [false, offset];
+      if (info === 21) return [true, offset];
+      if (info === 22) return [null, offset];
+      if (info === 23) return [undefined, offset];
+      throw new Error('Unsupported CBOR simple value');
+    default:
+      throw new Error('Unsupported CBOR major type');
+  }
+}
+
+/**
+ * Decode the first CBOR item in a buffer
+ * Returns { value, length } where length is the number of bytes consumed
+ */
+export function decodeCbor(buf) {
+  const [value, length] = decodeItem(buf, 0, 0);
+  return { value, length };
+}
+
+/**
+ * Parse raw authenticator data
+ */
+export function parseAuthenticatorData(authData) {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw new Error('Invalid authenticator data');
+  }
+
+  const rpIdHash = authData.subarray(0, 32);
+  const flags = authData[32];
+  const signCount = authData.readUInt32BE(33);
+  let offset = 37;
+
+  const result = {
+    rpIdHash,
+    flags,
+    userPresent: (flags & FLAG_USER_PRESENT) !== 0,
+    userVerified: (flags & FLAG_USER_VERIFIED) !== 0,
+    signCount,
+    credentialId: null,
+    credentialPublicKey: null,
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    if (authData.length < offset + 18) throw new Error('Invalid authenticator data');
+    offset += 16; // AAGUID
+    const credIdLength = authData.readUInt16BE(offset);
+    offset += 2;
+    if (authData.length < offset + credIdLength) throw new Error('Invalid authenticator data');
+    result.credentialId = Buffer.from(authData.subarray(offset, offset + credIdLength));
+    offset += credIdLength;
+
+    const { value, length } = decodeCbor(authData.subarray(offset));
+    if (!(value instanceof Map)) throw new Error('Invalid credential public key');
+    result.credentialPublicKey = Buffer.from(authData.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  if (flags & FLAG_EXTENSION_DATA) {
+    const { length } = decodeCbor(authData.subarray(offset));
+    offset += length;
+  }
+
+  if (offset !== authData.length) {
+    throw new Error('Unexpected trailing authenticator data');
+  }
+
+  return result;
+}
+
+/**
+ * Convert a CBOR-encoded COSE public key into a Node KeyObject
+ * Returns { alg, key }
+ */
+export function coseToPublicKey(coseKey) {
+  const { value: cose } = decodeCbor(toBuffer(coseKey, 'public key'));
+  if (!(cose instanceof Map)) throw new Error('Invalid credential public key');
+
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+
+  if (alg === COSE_ALG_ES256) {
+    const crv = cose.get(-1);
+    const x = cose.get(-2);
+    const y = cose.get(-3);
+    if (kty !== COSE_KTY_EC2 || crv !== COSE_CRV_P256 || !Buffer.isBuffer(x) || !Buffer.isBuffer(y) || x.length !== 32 || y.length !== 32) {
+      throw new Error('Invalid ES256 public key');
+    }
+    const key = crypto.createPublicKey({
+      key: { kty: 'EC', crv: 'P-256', x: x.toString('base64url'), y: y.toString('base64url') },
+      format: 'jwk',
+    });
+    return { alg, key };
+  }
+
+  if (alg === COSE_ALG_RS256) {
+    const n = cose.get(-1);
+    const e = cose.get(-2);
+    if (kty !== COSE_KTY_RSA || !Buffer.isBuffer(n) || !Buffer.isBuffer(e) || n.length < 256) {
+      throw new Error('Invalid RS256 public key');
+    }
+    const key = crypto.createPublicKey({
+      key: { kty: 'RSA', n: n.toString('base64url'), e: e.toString('base64url') },
+      format: 'jwk',
+    });
+    return { alg, key };
+  }
+
+  throw new Error('Unsupported public key algorithm');
+}
+
+/**
+ * Verify a signature with a key for the given COSE algorithm
+ */
+function verifySignature(alg, key, data, signature) {
+  if (alg === COSE_ALG_ES256) {
+    // WebAuthn ES256 signatures are ASN.1 DER encoded
+    return crypto.verify('sha256', data, { key, dsaEncoding: 'der' }, signature);
+  }
+  if (alg === COSE_ALG_RS256) {
+    return crypto.verify('sha256', data, { key, padding: crypto.constants.RSA_PKCS1_PADDING }, signature);
+  }
+  return false;
+}
+
+function timingSafeEqualStrings(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse and check clientDataJSON; returns its SHA-256 hash
+ */
+function verifyClientData(clientDataJSON, expectedType, expectedChallenge, expectedOrigin) {
+  const raw = toBuffer(clientDataJSON, 'client data');
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw new Error('Invalid client data');
+  }
+
+  if (!clientData || clientData.type !== expectedType) {
+    throw new Error('Unexpected client data type');
+  }
+  if (!expectedChallenge || typeof clientData.challenge !== 'string' || !timingSafeEqualStrings(clientData.challenge, expectedChallenge)) {
+    throw new Error('Challenge mismatch');
+  }
+  if (clientData.origin !== expectedOrigin) {
+    throw new Error('Origin mismatch');
+  }
+  if (clientData.crossOrigin === true) {
+    throw new Error('Cross-origin requests are not allowed');
+  }
+
+  return crypto.createHash('sha256').update(raw).digest();
+}
+
+/**
+ * Read the challenge echoed in clientDataJSON without verifying anything
+ * Used to look up the server-side challenge record before full verification.
+ */
+export function readClientDataChallenge(clientDataJSON) {
+  try {
+    const clientData = JSON.parse(toBuffer(clientDataJSON, 'client data').toString('utf8'));
+    return typeof clientData?.challenge === 'string' ? clientData.challenge : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check rpIdHash and flags on parsed authenticator data
+ */
+function verifyAuthenticatorFlags(parsed, expectedRpId, requireUserVerification) {
+  const expectedHash = crypto.createHash('sha256').update(expectedRpId).digest();
+  if (!crypto.timingSafeEqual(parsed.rpIdHash, expectedHash)) {
+    throw new Error('Relying party mismatch');
+  }
+  if (!parsed.userPresent) {
+    throw new Error('User presence required');
+  }
+  if (requireUserVerification && !parsed.userVerified) {
+    throw new Error('User verification required');
+  }
+}
+
+/**
+ * Verify the attestation statement
+ * Accepts "none" and "packed" (self or x5c). Certificate chains are not
+ * evaluated since we request attestation: 'none' and trust no vendor roots.
+ */
+function verifyAttestation(fmt, attStmt, authData, clientDataHash, credential) {
+  if (fmt === 'none') {
+    if (attStmt instanceof Map && attStmt.size > 0) {
+      throw new Error('Invalid attestation statement');
+    }
+    return;
+  }
+
+  if (fmt === 'packed') {
+    if (!(attStmt instanceof Map)) throw new Error('Invalid attestation statement');
+    const alg = attStmt.get('alg');
+    const sig = attStmt.get('sig');
+    const x5c = attStmt.get('x5c');
+    if (!Buffer.isBuffer(sig)) throw new Error('Invalid attestation statement');
+
+    const signedData = Buffer.concat([authData, clientDataHash]);
+
+    if (Array.isArray(x5c) && x5c.length > 0) {
+      if (alg !== COSE_ALG_ES256 && alg !== COSE_ALG_RS256) {
+        throw new Error('Unsupported attestation algorithm');
+      }
+      const cert = new crypto.X509Certificate(x5c[0]);
+      if (!verifySignature(alg, cert.publicKey, signedData, sig)) {
+        throw new Error('Attestation signature invalid');
+      }
+      return;
+    }
+
+    // Self attestation: signed with the credential key itself
+    if (alg !== credential.alg) throw new Error('Attestation algorithm mismatch');
+    if (!verifySignature(credential.alg, credential.key, signedData, sig)) {
+      throw new Error('Attestation signature invalid');
+    }
+    return;
+  }
+
+  throw new Error('Unsupported attestation format');
+}
+
+/**
+ * Verify a navigator.credentials.create() response
+ * Returns { credentialId, publicKey, signCount } with base64url-encoded values
+ */
+export function verifyRegistrationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigin,
+  expectedRpId,
+  requireUserVerification = false,
+}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Invalid credential');
+  }
+
+  const clientDataHash = verifyClientData(
+    credential.response.clientDataJSON,
+    'webauthn.create',
+    expectedChallenge,
+    expectedOrigin
+  );
+
+  const attestationBuf = toBuffer(credential.response.attestationObject, 'attestation object');
+  const { value: attestation } = decodeCbor(attestationBuf);
+  if (!(attestation instanceof Map)) throw new Error('Invalid attestation object');
+
+  const fmt = attestation.get('fmt');
+  const attStmt = attestation.get('attStmt');
+  const authData = attestation.get('authData');
+  if (typeof fmt !== 'string' || !Buffer.isBuffer(authData)) {
+    throw new Error('Invalid attestation object');
+  }
+
+  const parsed = parseAuthenticatorData(authData);
+  verifyAuthenticatorFlags(parsed, expectedRpId, requireUserVerification);
+
+  if (!parsed.credentialId || !parsed.credentialPublicKey) {
+    throw new Error('Attested credential data missing');
+  }
+
+  const credentialId = parsed.credentialId.toString('base64url');
+  const rawId = credential.rawId || credential.id;
+  if (typeof rawId !== 'string' || !timingSafeEqualStrings(rawId, credentialId)) {
+    throw new Error('Credential ID mismatch');
+  }
+
+  // Throws for unsupported algorithms or malformed keys
+  const publicKey = coseToPublicKey(parsed.credentialPublicKey);
+
+  verifyAttestation(fmt, attStmt, authData, clientDataHash, publicKey);
+
+  return {
+    credentialId,
+    publicKey: parsed.credentialPublicKey.toString('base64url'),
+    signCount: parsed.signCount,
+    userVerified: parsed.userVerified,
+  };
+}
+
+/**
+ * Verify a navigator.credentials.get() response against a stored COSE key
+ * Returns { signCount } with the authenticator's new counter value
+ */
+export function verifyAuthenticationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigin,
+  expectedRpId,
+  publicKey,
+  storedSignCount = 0,
+  requireUserVerification = false,
+}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Invalid credential');
+  }
+
+  const clientDataHash = verifyClientData(
+    credential.response.clientDataJSON,
+    'webauthn.get',
+    expectedChallenge,
+    expectedOrigin
+  );
+
+  const authData = toBuffer(credential.response.authenticatorData, 'authenticator data');
+  const signature = toBuffer(credential.response.signature, 'signature');
+
+  const parsed = parseAuthenticatorData(authData);
+  verifyAuthenticatorFlags(parsed, expectedRpId, requireUserVerification);
+
+  const { alg, key } = coseToPublicKey(publicKey);
+  const signedData = Buffer.concat([authData, clientDataHash]);
+  if (!verifySignature(alg, key, signedData, signature)) {
+    throw new Error('Signature verification failed');
+  }
+
+  // Authenticators that do not implement counters always report 0.
+  // Otherwise the counter must strictly increase; a regression indicates a cloned authenticator.
+  const stored = Number(storedSignCount) || 0;
+  if ((parsed.signCount !== 0 || stored !== 0) && parsed.signCount <= stored) {
+    throw new Error('Signature counter regression detected');
+  }
+
+  return { signCount: parsed.signCount, userVerified: parsed.userVerified };
+}
+
+/**
+ * Derive the expected origin and RP ID from the configured base URL
+ */
+export function getRelyingParty(baseUrl) {
+  const url = new URL(baseUrl);
+  return { origin: url.origin, rpId: url.hostname };
+}
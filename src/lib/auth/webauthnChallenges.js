@@ -0,0 +1,110 @@
+// @ts-nocheck
+// Server-side storage for WebAuthn challenges
+// Challenges are stored hashed, bound to a user or a binding key and a purpose,
+// expire after a short TTL and are consumed atomically (single use).
+
+import crypto from 'crypto';
+import { query } from '../db.js';
+import { ensureAuthTables } from './tables.js';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const BINDING_COOKIE = 'sat_webauthn';
+const BINDING_BYTES = 32;
+
+export const CHALLENGE_PURPOSES = Object.freeze({
+  REGISTRATION: 'registration',
+  AUTHENTICATION: 'authentication',
+  LOGIN: 'login',
+});
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function ownerClause(userId, bindingKey) {
+  if (userId != null) {
+    return { sql: 'user_id = ?', params: [userId] };
+  }
+  if (bindingKey) {
+    return { sql: 'user_id IS NULL AND binding_hash = ?', params: [sha256(bindingKey)] };
+  }
+  throw new Error('Challenge owner required');
+}
+
+/**
+ * Store a freshly issued challenge
+ * Any earlier outstanding challenge for the same owner and purpose is replaced.
+ */
+export async function storeChallenge({ challenge, purpose, userId = null, bindingKey = null }) {
+  await ensureAuthTables();
+  const owner = ownerClause(userId, bindingKey);
+
+  await query(
+    `DELETE FROM webauthn_challenges WHERE ${owner.sql} AND purpose = ?`,
+    [...owner.params, purpose]
+  );
+
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  await query(
+    `INSERT INTO webauthn_challenges (challenge_hash, purpose, user_id, binding_hash, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [sha256(challenge), purpose, userId, userId != null ? null : sha256(bindingKey), expiresAt]
+  );
+}
+
+/**
+ * Atomically consume a challenge
+ * Returns true only if the challenge was issued to this owner for this purpose,
+ * has not expired and has not been used before.
+ */
+export async function consumeChallenge({ challenge, purpose, userId = null, bindingKey = null }) {
+  if (!challenge || typeof challenge !== 'string') return false;
+  await ensureAuthTables();
+  const owner = ownerClause(userId, bindingKey);
+
+  const result = await query(
+    `DELETE FROM webauthn_challenges
+     WHERE challenge_hash = ? AND purpose = ? AND ${owner.sql} AND expires_at > NOW()`,
+    [sha256(challenge), purpose, ...owner.params]
+  );
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Issue a per-browser binding key for flows without a known user
+ * (passwordless login). Stored as an httpOnly cookie; only its hash hits the DB.
+ */
+export function issueChallengeBinding(cookies) {
+  const bindingKey = crypto.randomBytes(BINDING_BYTES).toString('base64url');
+  const isProd = process.env.NODE_ENV === 'production';
+  cookies.set(BINDING_COOKIE, bindingKey, {
+    httpOnly: true,
+    secure: isProd,
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: Math.floor(CHALLENGE_TTL_MS / 1000),
+  });
+  return bindingKey;
+}
+
+/**
+ * Read and clear the binding key issued by issueChallengeBinding
+ */
+export function takeChallengeBinding(cookies) {
+  const bindingKey = cookies.get(BINDING_COOKIE)?.value || null;
+  if (bindingKey) {
+    const isProd = process.env.NODE_ENV === 'production';
+    cookies.delete(BINDING_COOKIE, { path: '/api/auth', secure: isProd, sameSite: 'strict', httpOnly: true });
+  }
+  return bindingKey;
+}
+
+/**
+ * Delete expired challenges (called from the background prune)
+ */
+export async function pruneExpiredChallenges() {
+  await ensureAuthTables();
+  const result = await query('DELETE FROM webauthn_challenges WHERE expires_at <= NOW()');
+  return result?.affectedRows || 0;
+}
@@ -0,0 +1,153 @@
+// @ts-nocheck
+// Client-side AES-GCM helpers for the zero-knowledge tools (pastebin, file drop and later ones).
+// Runs in the browser (and in Node 20+, which has the same WebCrypto API); the server
+// never sees keys or plaintext.
+// The payload format is the one encryptUrlClient() in app/link/index.astro produces:
+//   [salt (16 bytes)] + iv (16) + tag (16) + ciphertext, base64url encoded.
+// A 256-bit key is used directly and the payload has no salt. Any other key, and
+// every passphrase, is stretched with PBKDF2-SHA-256 (600000 iterations) and a random salt.
+
+export const AES_IV_LENGTH = 16;
+export const AES_TAG_LENGTH = 16;
+export const SALT_LENGTH = 16;
+export const PBKDF2_ITERATIONS = 600000; // OWASP 2023 recommendation
+
+// Bytes an encrypted payload adds to the plaintext before base64url encoding (salt included)
+export const ENCRYPTION_OVERHEAD = SALT_LENGTH + AES_IV_LENGTH + AES_TAG_LENGTH;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export const supportsWebCrypto = () => typeof crypto !== 'undefined' && !!crypto.subtle;
+
+export function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+export function base64UrlToBytes(b64url) {
+  const normalized = b64url.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = normalized + '='.repeat((4 - (normalized.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Random key of the given length in bits, base64url encoded (suitable for a URL fragment)
+ */
+export function generateRandomKeyBase64(lengthBits = 256) {
+  if (lengthBits < 128 || lengthBits > 4096) {
+    throw new Error('Key length must be between 128 and 4096 bits');
+  }
+  const keyBytes = new Uint8Array(Math.ceil(lengthBits / 8));
+  crypto.getRandomValues(keyBytes);
+  if (new Set(keyBytes).size < 2) {
+    throw new Error('Generated key has insufficient entropy');
+  }
+  return bytesToBase64Url(keyBytes);
+}
+
+/**
+ * Key material of a base64url key (as found in a URL fragment).
+ * Throws if the key is not valid base64url.
+ */
+export function keyFromBase64(base64Key) {
+  if (typeof base64Key !== 'string' || !/^[A-Za-z0-9_-]+$/.test(base64Key)) {
+    throw new Error('Invalid key');
+  }
+  return { bytes: base64UrlToBytes(base64Key), stretch: false };
+}
+
+/**
+ * Key material of a passphrase; passphrases are always stretched with PBKDF2,
+ * even when they happen to be 32 bytes long
+ */
+export function keyFromPassphrase(passphrase) {
+  return { bytes: textEncoder.encode(passphrase.normalize('NFC')), stretch: true };
+}
+
+const needsSalt = (key) => key.stretch || key.bytes.length !== 32;
+
+async function importAesKey(key, salt, usages) {
+  if (!salt) {
+    return crypto.subtle.importKey('raw', key.bytes, { name: 'AES-GCM' }, false, usages);
+  }
+  const keyMaterial = await crypto.subtle.importKey('raw', key.bytes, 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    usages
+  );
+}
+
+/**
+ * Encrypt bytes with a key from keyFromBase64() or keyFromPassphrase(); returns the combined payload bytes.
+ * additionalData (bytes) is authenticated but not stored; decryption needs the same value.
+ */
+export async function encryptBytes(plaintext, key, { additionalData = null } = {}) {
+  const salt = needsSalt(key) ? crypto.getRandomValues(new Uint8Array(SALT_LENGTH)) : null;
+  const iv = crypto.getRandomValues(new Uint8Array(AES_IV_LENGTH));
+  const aesKey = await importAesKey(key, salt, ['encrypt']);
+  // WebCrypto returns ciphertext || tag; the payload stores the tag first
+  const params = additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(params, aesKey, plaintext));
+  const ciphertext = sealed.slice(0, sealed.length - AES_TAG_LENGTH);
+  const tag = sealed.slice(sealed.length - AES_TAG_LENGTH);
+
+  const saltLength = salt ? salt.length : 0;
+  const combined = new Uint8Array(saltLength + iv.length + tag.length + ciphertext.length);
+  if (salt) combined.set(salt, 0);
+  combined.set(iv, saltLength);
+  combined.set(tag, saltLength + iv.length);
+  combined.set(ciphertext, saltLength + iv.length + tag.length);
+  return combined;
+}
+
+/**
+ * Inverse of encryptBytes; throws if the key (or additionalData) does not match the payload
+ */
+export async function decryptBytes(combined, key, { additionalData = null } = {}) {
+  const saltLength = needsSalt(key) ? SALT_LENGTH : 0;
+  if (combined.length < saltLength + AES_IV_LENGTH + AES_TAG_LENGTH) {
+    throw new Error('Invalid encrypted data payload');
+  }
+  const salt = saltLength ? combined.slice(0, saltLength) : null;
+  const iv = combined.slice(saltLength, saltLength + AES_IV_LENGTH);
+  const tag = combined.slice(saltLength + AES_IV_LENGTH, saltLength + AES_IV_LENGTH + AES_TAG_LENGTH);
+  const ciphertext = combined.slice(saltLength + AES_IV_LENGTH + AES_TAG_LENGTH);
+
+  const aesKey = await importAesKey(key, salt, ['decrypt']);
+  const sealed = new Uint8Array(ciphertext.length + tag.length);
+  sealed.set(ciphertext, 0);
+  sealed.set(tag, ciphertext.length);
+  const params = additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+  return new Uint8Array(await crypto.subtle.decrypt(params, aesKey, sealed));
+}
+
+/**
+ * Encrypt a string; returns the base64url payload
+ */
+export async function encryptText(text, key) {
+  return bytesToBase64Url(await encryptBytes(textEncoder.encode(text), key));
+}
+
+/**
+ * Decrypt a base64url payload produced by encryptText (or encryptUrlClient)
+ */
+export async function decryptText(payload, key) {
+  return textDecoder.decode(await decryptBytes(base64UrlToBytes(payload), key));
+}
+
+/**
+ * Size in bytes of a string once UTF-8 encoded (what paste length limits count)
+ */
+export const utf8Length = (text) => textEncoder.encode(text).length;
@@ -0,0 +1,66 @@
+// @ts-nocheck
+// Input and output formats of bulk link creation and link export.
+// Bulk input is either JSON (an array of URLs or { url } objects, optionally
+// wrapped as { urls: [...] }) or CSV. CSV uploads use the column headed "url"
+// when there is a header row, otherwise the first column.
+
+import { parseCsv, toCsv } from './csv.js';
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : new Date(value).toISOString());
+
+/**
+ * URLs from a JSON bulk request body, or null if the body has the wrong shape.
+ * Items that are neither strings nor { url } objects become '' so they fail validation with their row number.
+ */
+export function urlsFromJson(body) {
+  const items = Array.isArray(body) ? body : Array.isArray(body?.urls) ? body.urls : null;
+  if (!items) return null;
+  return items.map(item => {
+    if (typeof item === 'string') return item;
+    if (item && typeof item.url === 'string') return item.url;
+    return '';
+  });
+}
+
+/**
+ * URLs from an uploaded CSV file
+ */
+export function urlsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const headerIndex = rows[0].findIndex(cell => cell.trim().toLowerCase() === 'url');
+  const column = headerIndex === -1 ? 0 : headerIndex;
+  const dataRows = headerIndex === -1 ? rows : rows.slice(1);
+  return dataRows.map(row => row[column] || '');
+}
+
+/**
+ * Export record of a short_links row. Encrypted destinations are left out:
+ * they are useless without the key, which only the owner has. Tags are given
+ * by name; client-encrypted names stay ciphertext, prefixed with "encrypted:".
+ */
+export function exportRecord(row, base, tags = []) {
+  return {
+    code: row.short_code,
+    short: base ? `${base}/${row.short_code}` : `/${row.short_code}`,
+    original: row.security_mode === 'plaintext' ? row.original_url : null,
+    securityMode: row.security_mode,
+    createdAt: toIso(row.created_at),
+    lastAccessedAt: row.last_accessed ? toIso(row.last_accessed) : null,
+    usageCount: Number(row.usage_count || 0),
+    expiresAt: row.expires_at ? toIso(row.expires_at) : null,
+    maxUses: row.max_uses != null ? Number(row.max_uses) : null,
+    tags: tags.map(tag => (tag.encrypted ? `encrypted:${tag.name}` : tag.name)),
+  };
+}
+
+const EXPORT_COLUMNS = ['code', 'short', 'original', 'securityMode', 'createdAt', 'lastAccessedAt', 'usageCount', 'expiresAt', 'maxUses', 'tags'];
+
+/**
+ * CSV export of records produced by exportRecord
+ */
+export function exportCsv(records) {
+  // Tags share one cell, separated by "; "
+  const cell = (record, column) => (column === 'tags' ? record.tags.join('; ') : record[column]);
+  return toCsv([EXPORT_COLUMNS, ...records.map(record => EXPORT_COLUMNS.map(column => cell(record, column)))]);
+}
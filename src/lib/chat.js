@@ -0,0 +1,260 @@
+// @ts-nocheck
+// Chat rooms. Messages are encrypted in the browser (see chatFormat.js) with a room key
+// carried in the URL fragment, so the server only relays and stores ciphertext.
+// Room codes come from codegen.js and share its namespace with short links, pastes and
+// uploads; rooms are served at /c/<code>.
+// Messages are relayed to everyone connected to the room's event stream
+// (/c/<code>/events, server-sent events). The relay lives in this process's memory, so
+// all participants of a room must reach the same server process. A room either keeps no
+// messages at all (ephemeral: whoever is not connected misses them) or keeps the last
+// features.chat.history_messages of them (ciphertext only) for people who join later.
+// Rooms without messages for features.chat.delete_after_days end: their messages are
+// deleted and, like ended pastes, the row keeps the code taken for
+// features.chat.code_quarantine_days before prune.js deletes it and recycles the code.
+
+import { query } from './db.js';
+import { getConfig } from './config.js';
+import { recycleCode } from './codegen.js';
+import { maxPayloadLength } from './chatFormat.js';
+
+const PAYLOAD_REGEX = /^[A-Za-z0-9_-]+$/;
+const SWEEP_BATCH_SIZE = 100;
+
+let ensured = false;
+
+export async function ensureChatTables() {
+  if (ensured) return;
+  await query(`CREATE TABLE IF NOT EXISTS chat_rooms (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    short_code VARCHAR(16) NOT NULL UNIQUE,
+    persist_history BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(16) NOT NULL DEFAULT 'active',
+    user_id BIGINT UNSIGNED NULL,
+    visitor_uuid CHAR(36) NULL,
+    ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_message_at TIMESTAMP NULL DEFAULT NULL,
+    ended_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_created (created_at),
+    INDEX idx_uuid_created (visitor_uuid, created_at),
+    INDEX idx_ip_created (ip, created_at),
+    INDEX idx_status_ended (status, ended_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query(`CREATE TABLE IF NOT EXISTS chat_messages (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    room_id BIGINT UNSIGNED NOT NULL,
+    payload MEDIUMTEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_room_id (room_id, id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+function chatConfig() {
+  return getConfig().features.chat;
+}
+
+const isTrue = (value) => value === 1 || value === true;
+
+/**
+ * Validate the payload of a new message; returns an error message or null
+ */
+export function validateChatPayload(payload, maxLength) {
+  if (typeof payload !== 'string' || payload.length === 0) return 'Message is empty';
+  if (!PAYLOAD_REGEX.test(payload)) return 'Invalid encrypted message';
+  if (payload.length > maxPayloadLength(maxLength)) return `Message is too long (max ${maxLength} bytes)`;
+  return null;
+}
+
+/**
+ * Create a room under an allocated code; returns the new row id
+ */
+export async function createChatRoom({ code, persistHistory = false, userId = null, visitorUuid = null, ip = null }) {
+  await ensureChatTables();
+  const res = await query(
+    'INSERT INTO chat_rooms (short_code, persist_history, user_id, visitor_uuid, ip) VALUES (?, ?, ?, ?, ?)',
+    [code, persistHistory, userId, visitorUuid, ip]
+  );
+  return Number(res.insertId);
+}
+
+/**
+ * A room by code, or null. status is 'active' or 'expired'; a room idle for longer than
+ * features.chat.delete_after_days counts as expired even before the sweep has ended it.
+ */
+export async function findChatRoom(code) {
+  await ensureChatTables();
+  const days = chatConfig().delete_after_days;
+  const rows = await query(
+    `SELECT id, short_code, persist_history, created_at, last_message_at,
+            CASE WHEN status = 'active' AND ? > 0 AND COALESCE(last_message_at, created_at) <= (NOW() - INTERVAL ? DAY)
+                 THEN 'expired' ELSE status END AS status
+     FROM chat_rooms WHERE short_code = ? LIMIT 1`,
+    [days, days, code]
+  );
+  if (!rows || rows.length === 0) return null;
+  return { ...rows[0], persist_history: isTrue(rows[0].persist_history) };
+}
+
+// Live event listeners per room id; each is called with every event of its room
+const listeners = new Map();
+
+// Messages of ephemeral rooms are never stored, so they are numbered here
+let nextEphemeralId = 1;
+
+function publish(roomId, event) {
+  for (const listener of listeners.get(roomId) || []) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('Chat listener failed', err);
+    }
+  }
+}
+
+const presenceEvent = (roomId) => ({ type: 'presence', count: listeners.get(roomId)?.size || 0 });
+
+/**
+ * Receive the events of a room: { type: 'message', id, payload, sentAt },
+ * { type: 'presence', count } when someone joins or leaves, and { type: 'closed' }
+ * when the room ends. Returns a function that stops the subscription.
+ */
+export function subscribeToChatRoom(roomId, listener) {
+  let set = listeners.get(roomId);
+  if (!set) {
+    set = new Set();
+    listeners.set(roomId, set);
+  }
+  set.add(listener);
+  publish(roomId, presenceEvent(roomId));
+
+  return () => {
+    if (!set.delete(listener)) return;
+    if (set.size === 0) listeners.delete(roomId);
+    else publish(roomId, presenceEvent(roomId));
+  };
+}
+
+/**
+ * Store (in rooms with history) and relay a validated message; returns the message event
+ */
+export async function postChatMessage(room, payload) {
+  let id;
+  if (room.persist_history) {
+    const res = await query('INSERT INTO chat_messages (room_id, payload) VALUES (?, ?)', [room.id, payload]);
+    id = Number(res.insertId);
+    // Keep only the newest history_messages messages
+    const [oldest] = await query(
+      'SELECT id FROM chat_messages WHERE room_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?',
+      [room.id, chatConfig().history_messages]
+    );
+    if (oldest) await query('DELETE FROM chat_messages WHERE room_id = ? AND id <= ?', [room.id, oldest.id]);
+  } else {
+    id = nextEphemeralId++;
+  }
+  await query('UPDATE chat_rooms SET last_message_at = NOW() WHERE id = ?', [room.id]);
+
+  const message = { type: 'message', id, payload, sentAt: new Date().toISOString() };
+  publish(room.id, message);
+  return message;
+}
+
+/**
+ * The stored messages of a room with history (oldest first) as message events, only
+ * those after message id `afterId` when given
+ */
+export async function getChatHistory(room, afterId = 0) {
+  if (!room.persist_history) return [];
+  const rows = await query(
+    `SELECT id, payload, created_at FROM chat_messages
+     WHERE room_id = ? AND id > ?
+     ORDER BY id DESC LIMIT ?`,
+    [room.id, afterId, chatConfig().history_messages]
+  );
+  return rows.reverse().map(row => ({
+    type: 'message',
+    id: Number(row.id),
+    payload: row.payload,
+    sentAt: (row.created_at instanceof Date ? row.created_at : new Date(row.created_at)).toISOString(),
+  }));
+}
+
+// Send times of recent messages per sender, for takeChatMessageSlot
+const recentMessages = new Map();
+
+/**
+ * Sliding one-minute window of messages per sender (kept in memory like the relay):
+ * records a message and returns true, or returns false if `key` already sent `limit`
+ * messages in the last minute
+ */
+export function takeChatMessageSlot(key, limit, now = Date.now()) {
+  const since = now - 60_000;
+  if (recentMessages.size > 10_000) {
+    for (const [k, times] of recentMessages) {
+      if (times[times.length - 1] <= since) recentMessages.delete(k);
+    }
+  }
+  const times = (recentMessages.get(key) || []).filter(t => t > since);
+  if (times.length >= limit) {
+    recentMessages.set(key, times);
+    return false;
+  }
+  times.push(now);
+  recentMessages.set(key, times);
+  return true;
+}
+
+/**
+ * End rooms idle past features.chat.delete_after_days: deletes their messages and
+ * disconnects their participants; returns the number of rooms ended
+ */
+export async function endIdleChatRooms() {
+  const days = chatConfig().delete_after_days;
+  if (!days || days <= 0) return 0;
+  await ensureChatTables();
+  const rows = await query(
+    `SELECT id FROM chat_rooms
+     WHERE status = 'active' AND COALESCE(last_message_at, created_at) <= (NOW() - INTERVAL ? DAY)
+     LIMIT ${SWEEP_BATCH_SIZE}`,
+    [days]
+  );
+  let ended = 0;
+  for (const row of rows) {
+    const res = await query(
+      "UPDATE chat_rooms SET status = 'expired', ended_at = NOW() WHERE id = ? AND status = 'active'",
+      [row.id]
+    );
+    if (res?.affectedRows > 0) {
+      await query('DELETE FROM chat_messages WHERE room_id = ?', [row.id]);
+      publish(row.id, { type: 'closed' });
+      ended += 1;
+    }
+  }
+  return ended;
+}
+
+/**
+ * Delete ended rooms whose quarantine has passed and recycle their codes
+ */
+export async function releaseEndedChatRoomCodes() {
+  await ensureChatTables();
+  const days = chatConfig().code_quarantine_days;
+  const rows = await query(
+    `SELECT id, short_code FROM chat_rooms
+     WHERE status = 'expired' AND ended_at < (NOW() - INTERVAL ? DAY)
+     LIMIT ${SWEEP_BATCH_SIZE}`,
+    [Number.isInteger(days) && days > 0 ? days : 0]
+  );
+
+  let released = 0;
+  for (const row of rows) {
+    const res = await query("DELETE FROM chat_rooms WHERE id = ? AND status = 'expired'", [row.id]);
+    if (res?.affectedRows > 0) {
+      released += res.affectedRows;
+      await query('DELETE FROM chat_messages WHERE room_id = ?', [row.id]);
+      await recycleCode(row.short_code);
+    }
+  }
+  return released;
+}
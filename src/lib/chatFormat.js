@@ -0,0 +1,63 @@
+// @ts-nocheck
+// Format of encrypted chat messages, shared by the browser (which encrypts and decrypts)
+// and the server (which only checks sizes). No server imports.
+//
+// A message is a JSON header line with the sender's name followed by the text
+//   {"name":"Ada"} + "\n" + text
+// encrypted with AES-GCM and the room key from the URL fragment (browserCrypto.js
+// encryptBytes: iv + tag + ciphertext), authenticating the room code ("chat:<code>") so a
+// message cannot be replayed into another room. The server stores and relays the
+// base64url payload and adds only an id and a timestamp.
+
+import { AES_IV_LENGTH, AES_TAG_LENGTH, encryptBytes, decryptBytes, bytesToBase64Url, base64UrlToBytes } from './browserCrypto.js';
+
+export const MAX_NAME_LENGTH = 32;
+
+// Largest header sealChatMessage writes (an escaped character takes up to 6 bytes); the
+// server allows this and the encryption overhead on top of features.chat.max_message_length
+export const MAX_MESSAGE_ENVELOPE_BYTES = 64 + MAX_NAME_LENGTH * 6;
+
+const MESSAGE_OVERHEAD = AES_IV_LENGTH + AES_TAG_LENGTH;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const roomAad = (code) => textEncoder.encode(`chat:${code}`);
+
+/**
+ * Longest base64url payload a message of at most `maxLength` bytes of text encrypts to
+ */
+export const maxPayloadLength = (maxLength) => Math.ceil(((maxLength + MAX_MESSAGE_ENVELOPE_BYTES + MESSAGE_OVERHEAD) * 4) / 3);
+
+/**
+ * Display name as it is sent: trimmed and shortened, 'anonymous' when empty
+ */
+export function normalizeChatName(name) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  return Array.from(trimmed).slice(0, MAX_NAME_LENGTH).join('') || 'anonymous';
+}
+
+/**
+ * Encrypt a message for room `code` with a key from keyFromBase64(); returns a base64url payload
+ */
+export async function sealChatMessage({ name, text }, key, code) {
+  const message = `${JSON.stringify({ name: normalizeChatName(name) })}\n${text}`;
+  const payload = await encryptBytes(textEncoder.encode(message), key, { additionalData: roomAad(code) });
+  return bytesToBase64Url(payload);
+}
+
+/**
+ * Inverse of sealChatMessage; returns { name, text }. Throws if the payload was not
+ * encrypted with this key for this room.
+ */
+export async function openChatMessage(payload, key, code) {
+  const bytes = await decryptBytes(base64UrlToBytes(payload), key, { additionalData: roomAad(code) });
+  const message = textDecoder.decode(bytes);
+  const end = message.indexOf('\n');
+  if (end === -1) throw new Error('Invalid chat message');
+  const header = JSON.parse(message.slice(0, end));
+  return {
+    name: normalizeChatName(typeof header?.name === 'string' ? header.name : ''),
+    text: message.slice(end + 1),
+  };
+}
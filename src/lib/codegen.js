@@ -1,13 +1,22 @@
 // @ts-nocheck
-// Sequential short code generator with recycling of freed codes.
-// Strategy:
+// Short code generator: sequential with recycling of freed codes, or random.
+// Sequential strategy:
 // 1. Try to reuse smallest-length, lexicographically smallest code from recycled_codes.
 // 2. If none available, allocate next sequential index from code_state and convert to code using alphabet.
 // 3. Allocation performed inside a transaction (FOR UPDATE row lock) to avoid race conditions.
 // 4. Internal rate limiting prevents runaway allocation loops and connection pool exhaustion.
+// 5. Signed-in users may claim a custom (vanity) code instead; sequential allocation
+//    skips any code already taken that way.
+// 6. Bulk creation allocates a whole batch in one transaction (allocateCodes).
+// 7. Pastes and uploaded files draw from the same allocator, so a code is never used by a link,
+//    a paste and a file at once.
+// Random strategy (opt-in per link or forced via config):
+// Draws codes of a configurable length uniformly from ALPHABET so they cannot be
+// enumerated, retrying on collision inside the same transaction.
 //
 // Alphabet comes from the existing endpoint; ensure we keep it centralized here.
 
+import crypto from 'node:crypto';
 import { query as realQuery, withConnection as realWithConnection } from './db.js';
 import { getConfig } from './config.js';
 
@@ -18,6 +27,10 @@ let concurrentAllocations = 0;
 export const ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_.~!$&\'()*+,;=@:';
 const BASE = ALPHABET.length;
 const MAX_LEN = 16; // matches short_code column size
+const DEFAULT_CUSTOM_MIN_LEN = 5;
+const DEFAULT_RANDOM_LEN = 8;
+
+export const CODE_STRATEGIES = ['sequential', 'random'];
 
 // Reserved codes that should never be allocated (must match middleware.js reserved set)
 export const RESERVED_CODES = new Set([
@@ -82,10 +95,23 @@ export async function ensureCodegenTables() {
   await _query(`INSERT IGNORE INTO code_state (id, next_index) VALUES (1, 0)`);
 }
 
+// Draw a random code of the given length (uniform over ALPHABET)
+export function randomCode(length = DEFAULT_RANDOM_LEN) {
+  if (!Number.isInteger(length) || length < 1 || length > MAX_LEN) {
+    throw new Error('Invalid random code length');
+  }
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += ALPHABET[crypto.randomInt(BASE)];
+  }
+  return code;
+}
+
 // Allocate next code; returns { code, reused:boolean }
+// Options: strategy ('sequential' | 'random'), length (random codes only)
 // L-1: Internal rate limiting prevents connection pool exhaustion
 // L-2: Generic error messages for security (detailed errors logged server-side)
-export async function allocateCode() {
+export async function allocateCode({ strategy = 'sequential', length = DEFAULT_RANDOM_LEN } = {}) {
   await ensureCodegenTables();
   
   // L-1: Check concurrent allocation limit to prevent connection pool exhaustion
@@ -101,7 +127,34 @@ export async function allocateCode() {
   concurrentAllocations++;
   
   try {
-    return await _allocateCodeInternal();
+    return strategy === 'random'
+      ? await _allocateRandomCodeInternal(length)
+      : await _allocateCodeInternal();
+  } finally {
+    concurrentAllocations--;
+  }
+}
+
+// Allocate `count` codes in one transaction (bulk link creation); returns [{ code, reused }]
+// Counts as a single allocation against the concurrency limit.
+export async function allocateCodes(count, { strategy = 'sequential', length = DEFAULT_RANDOM_LEN } = {}) {
+  if (!Number.isInteger(count) || count < 1) return [];
+  await ensureCodegenTables();
+
+  const config = getConfig();
+  const maxConcurrent = config.limits?.maxConcurrentAllocations ?? 50;
+
+  if (concurrentAllocations >= maxConcurrent) {
+    console.error(`[codegen] Concurrent allocation limit reached: ${concurrentAllocations}/${maxConcurrent}`);
+    throw new Error('Service temporarily unavailable');
+  }
+
+  concurrentAllocations++;
+
+  try {
+    return strategy === 'random'
+      ? await _allocateRandomCodesInternal(count, length)
+      : await _allocateCodesInternal(count);
   } finally {
     concurrentAllocations--;
   }
@@ -142,13 +195,13 @@ async function _allocateCodeInternal() {
       let nextIndex = Number(rows[0].next_index);
       let code = indexToCode(nextIndex);
       
-      // Skip reserved codes by incrementing until we find a non-reserved one
+      // Skip reserved codes (and custom codes already claimed) by incrementing until we find a free one
       // L-1: Prevent infinite loops with retry limit
-      while (RESERVED_CODES.has(code)) {
+      while (RESERVED_CODES.has(code) || await isCodeTaken(conn, code)) {
         retries++;
         if (retries > maxRetries) {
           // L-2: Log detailed error server-side
-          console.error(`[codegen] Exceeded retry limit (${maxRetries}) while skipping reserved codes. Current index: ${nextIndex}`);
+          console.error(`[codegen] Exceeded retry limit (${maxRetries}) while skipping reserved or taken codes. Current index: ${nextIndex}`);
           // L-2: Return generic error to client
           throw new Error('Service temporarily unavailable');
         }
@@ -175,6 +228,201 @@ async function _allocateCodeInternal() {
   });
 }
 
+// Random allocation: retry on collision (taken, reserved or unusable codes) up to the retry limit
+async function _allocateRandomCodeInternal(length) {
+  const config = getConfig();
+  const maxRetries = config.limits?.codeAllocationRetries ?? 10;
+
+  return _withConnection(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const code = randomCode(length);
+        if (RESERVED_CODES.has(code) || /^\.+$/.test(code) || await isCodeTaken(conn, code)) {
+          continue;
+        }
+        // A freed code may sit in the recycle pool; take it out so it is not handed out twice
+        await conn.query('DELETE FROM recycled_codes WHERE short_code = ?', [code]);
+        await conn.commit();
+        return { code, reused: false };
+      }
+      // L-2: Log detailed error server-side
+      console.error(`[codegen] Exceeded retry limit (${maxRetries}) drawing random codes of length ${length}`);
+      throw new Error('Service temporarily unavailable');
+    } catch (err) {
+      try { await conn.rollback(); } catch {}
+      if (err.message === 'Service temporarily unavailable') {
+        throw err;
+      }
+      console.error('[codegen] Unexpected error during random code allocation:', err);
+      throw new Error('Service error');
+    }
+  });
+}
+
+// Batch version of _allocateCodeInternal: drain the recycle pool first, then advance
+// the sequential index once for all remaining codes
+async function _allocateCodesInternal(count) {
+  const config = getConfig();
+  const maxRetries = config.limits?.codeAllocationRetries ?? 10;
+
+  return _withConnection(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      const codes = [];
+      const recycled = await conn.query(
+        `SELECT short_code FROM recycled_codes ORDER BY code_length ASC, short_code ASC LIMIT ${count + RESERVED_CODES.size} FOR UPDATE`
+      );
+      for (const row of recycled) {
+        if (codes.length >= count) break;
+        if (RESERVED_CODES.has(row.short_code)) continue;
+        await conn.query('DELETE FROM recycled_codes WHERE short_code = ?', [row.short_code]);
+        codes.push({ code: row.short_code, reused: true });
+      }
+
+      if (codes.length < count) {
+        const rows = await conn.query('SELECT next_index FROM code_state WHERE id=1 FOR UPDATE');
+        if (!rows.length) {
+          console.error('[codegen] code_state table is missing initialization row');
+          throw new Error('Service configuration error');
+        }
+
+        let nextIndex = Number(rows[0].next_index);
+        while (codes.length < count) {
+          let code = indexToCode(nextIndex);
+          let retries = 0;
+          while (RESERVED_CODES.has(code) || await isCodeTaken(conn, code)) {
+            retries++;
+            if (retries > maxRetries) {
+              console.error(`[codegen] Exceeded retry limit (${maxRetries}) while skipping reserved or taken codes. Current index: ${nextIndex}`);
+              throw new Error('Service temporarily unavailable');
+            }
+            nextIndex++;
+            code = indexToCode(nextIndex);
+          }
+          codes.push({ code, reused: false });
+          nextIndex++;
+        }
+        await conn.query('UPDATE code_state SET next_index = ? WHERE id=1', [nextIndex]);
+      }
+
+      await conn.commit();
+      return codes;
+    } catch (err) {
+      try { await conn.rollback(); } catch {}
+      if (err.message === 'Service temporarily unavailable' || err.message === 'Service configuration error') {
+        throw err;
+      }
+      console.error('[codegen] Unexpected error during batch code allocation:', err);
+      throw new Error('Service error');
+    }
+  });
+}
+
+// Batch version of _allocateRandomCodeInternal; codes are also unique within the batch
+async function _allocateRandomCodesInternal(count, length) {
+  const config = getConfig();
+  const maxRetries = config.limits?.codeAllocationRetries ?? 10;
+
+  return _withConnection(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      const codes = [];
+      const drawn = new Set();
+      while (codes.length < count) {
+        let code = null;
+        for (let attempt = 0; attempt <= maxRetries && !code; attempt++) {
+          const candidate = randomCode(length);
+          if (drawn.has(candidate) || RESERVED_CODES.has(candidate) || /^\.+$/.test(candidate) || await isCodeTaken(conn, candidate)) {
+            continue;
+          }
+          code = candidate;
+        }
+        if (!code) {
+          console.error(`[codegen] Exceeded retry limit (${maxRetries}) drawing random codes of length ${length}`);
+          throw new Error('Service temporarily unavailable');
+        }
+        await conn.query('DELETE FROM recycled_codes WHERE short_code = ?', [code]);
+        drawn.add(code);
+        codes.push({ code, reused: false });
+      }
+      await conn.commit();
+      return codes;
+    } catch (err) {
+      try { await conn.rollback(); } catch {}
+      if (err.message === 'Service temporarily unavailable') {
+        throw err;
+      }
+      console.error('[codegen] Unexpected error during random batch code allocation:', err);
+      throw new Error('Service error');
+    }
+  });
+}
+
+// Tables whose rows own a code from this allocator; a code is in use by at most one row across all of them
+const CODE_TABLES = ['short_links', 'pastes', 'uploads', 'chat_rooms'];
+
+async function isCodeTaken(conn, code) {
+  for (const table of CODE_TABLES) {
+    try {
+      const rows = await conn.query(`SELECT 1 FROM ${table} WHERE short_code = ? LIMIT 1`, [code]);
+      if (rows.length > 0) return true;
+    } catch (err) {
+      // Feature tables are created on first use; a table that does not exist yet holds no codes
+      if (err?.code !== 'ER_NO_SUCH_TABLE') throw err;
+    }
+  }
+  return false;
+}
+
+// Validate a user-requested custom code; returns an error message or null.
+// minLength keeps custom codes out of the short sequential space.
+export function validateCustomCode(code, { minLength = DEFAULT_CUSTOM_MIN_LEN } = {}) {
+  if (typeof code !== 'string' || code.length === 0) {
+    return 'Custom code is required';
+  }
+  if (code.length < minLength || code.length > MAX_LEN) {
+    return `Custom code must be between ${minLength} and ${MAX_LEN} characters`;
+  }
+  for (const ch of code) {
+    if (!ALPHABET.includes(ch)) {
+      return 'Custom code may only contain letters, digits and - _ . ~ ! $ & \' ( ) * + , ; = @ :';
+    }
+  }
+  // '.' and '..' are normalized away by browsers; reserved names are matched case-insensitively
+  if (/^\.+$/.test(code) || RESERVED_CODES.has(code) || RESERVED_CODES.has(code.toLowerCase())) {
+    return 'This custom code is reserved';
+  }
+  // A trailing '+' opens the preview page of the code without it
+  if (code.endsWith('+')) {
+    return 'Custom code may not end with +';
+  }
+  return null;
+}
+
+// Claim a custom code for a new link. Throws an error with status 409 if the code
+// is already used. Removes the code from the recycle pool so it is not handed out
+// again; the caller inserts the short_links row (its UNIQUE key settles races).
+export async function claimCustomCode(code) {
+  await ensureCodegenTables();
+  return _withConnection(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      if (await isCodeTaken(conn, code)) {
+        const err = new Error('That short code is already taken');
+        err.status = 409;
+        throw err;
+      }
+      await conn.query('DELETE FROM recycled_codes WHERE short_code = ?', [code]);
+      await conn.commit();
+      return { code, reused: false, custom: true };
+    } catch (err) {
+      try { await conn.rollback(); } catch {}
+      throw err;
+    }
+  });
+}
+
 // Mark a code as recyclable (for future reuse). Not used yet by endpoints.
 export async function recycleCode(code) {
   if (!code) return;
@@ -8,11 +8,39 @@ const featureBase = z.object({
 });
 
 const pasteFeature = featureBase.extend({
-  max_length: z.number().int().positive().max(5_000_000).default(100_000)
+  max_length: z.number().int().positive().max(5_000_000).default(100_000),
+  storage_threshold: z.number().int().min(0).max(5_000_000).default(64 * 1024).describe('Pastes larger than this many bytes are kept in the storage backend instead of the database'),
+  code_quarantine_days: z.number().int().min(0).max(3650).default(180).describe('Days a burned or expired paste says so before its code can be reused (0 = reuse immediately)')
 });
 
 const uploadFeature = featureBase.extend({
-  max_size: z.number().int().positive().max(1024 ** 4).default(10 * 1024 * 1024) // 10MB default in bytes
+  max_size: z.number().int().positive().max(1024 ** 4).default(10 * 1024 * 1024), // 10MB default in bytes
+  user_quota: z.number().int().positive().max(1024 ** 5).default(1024 ** 3).describe('Total size of the files one user (or, anonymously, one IP address) may keep stored, in bytes'),
+  delete_after_days: z.number().int().min(0).max(3650).default(30).describe('Delete uploaded files this many days after the upload (0 = keep)'),
+  code_quarantine_days: z.number().int().min(0).max(3650).default(180).describe('Days an expired upload says so before its code can be reused (0 = reuse immediately)')
+});
+
+const storageConfig = z.object({
+  driver: z.enum(['local', 's3']).default('local').describe('Where uploaded files and large pastes are stored'),
+  local: z.object({
+    dir: z.string().min(1).default('./data/storage').describe('Directory of the local driver (created if missing)')
+  }).default({ dir: './data/storage' }),
+  s3: z.object({
+    endpoint: z.string().url().describe('S3 API endpoint, e.g. https://s3.eu-central-1.amazonaws.com or http://minio:9000'),
+    region: z.string().min(1).default('us-east-1'),
+    bucket: z.string().min(3).max(63),
+    access_key_id: z.string().min(1),
+    secret_access_key: z.string().min(1),
+    path_style: z.boolean().default(true).describe('Address the bucket as <endpoint>/<bucket> (MinIO and most S3-compatible services) instead of <bucket>.<endpoint host>'),
+    prefix: z.string().regex(/^([A-Za-z0-9._-]+\/)*$/).default('').describe('Prefix of every object key, ending in "/" (lets the bucket be shared)')
+  }).optional().describe('Settings of the s3 driver')
+}).refine(s => s.driver !== 's3' || s.s3, { message: 'storage.s3 is required when storage.driver is s3', path: ['s3'] });
+
+const chatFeature = featureBase.extend({
+  max_message_length: z.number().int().positive().max(1_000_000).default(4000).describe('Longest chat message in bytes of UTF-8 text (the server checks the ciphertext size)'),
+  history_messages: z.number().int().positive().max(10_000).default(200).describe('Messages a room with history keeps for people who join later (older ones are deleted)'),
+  delete_after_days: z.number().int().min(0).max(3650).default(30).describe('Delete rooms this many days after their last message (0 = keep)'),
+  code_quarantine_days: z.number().int().min(0).max(3650).default(180).describe('Days a deleted room says it has expired before its code can be reused (0 = reuse immediately)')
 });
 
 const linkUrl = z.string().min(1).url().or(z.string().regex(/^\/[\w\-.~\/]*$/)).describe('URL (absolute or site-relative path)');
@@ -30,13 +58,24 @@ export const ConfigSchema = z.object({
     }).default({})
   }),
   features: z.object({
-    chat: featureBase,
+    chat: chatFeature,
     paste: pasteFeature,
     linkShortener: featureBase.extend({
-      delete_unused_after_days: z.number().int().positive().max(3650).default(90).describe('Delete unused short links after this many days of no access (uses last_accessed, falls back to created_at)')
+      delete_unused_after_days: z.number().int().positive().max(3650).default(90).describe('Delete unused short links after this many days of no access (uses last_accessed, falls back to created_at)'),
+      deleted_code_quarantine_days: z.number().int().min(0).max(3650).default(180).describe('Days a deleted link shows "this link was removed" before its code can be reused (0 = reuse immediately)'),
+      custom_code_min_length: z.number().int().min(1).max(16).default(5).describe('Minimum length of custom (vanity) short codes; keeps them out of the short sequential code space'),
+      random_code_length: z.number().int().min(6).max(16).default(8).describe('Length of random (non-enumerable) short codes'),
+      force_random_codes: z.boolean().default(false).describe('Always use random codes instead of sequential ones, regardless of the request'),
+      plaintext_redirect_status: z.union([z.literal(301), z.literal(302), z.literal(307)]).default(302).describe('HTTP status used to redirect plaintext links (sent with Cache-Control: no-store, so browsers do not cache even a 301)'),
+      analytics_enabled: z.boolean().default(true).describe('Let signed-in users opt in to aggregated daily visit statistics per link'),
+      analytics_min_visits: z.number().int().min(1).max(1000).default(5).describe('Leave a referrer, country or browser out of the statistics on days it has fewer visits than this, so single visits cannot be singled out'),
+      analytics_retention_days: z.number().int().min(0).max(3650).default(365).describe('Delete daily visit statistics older than this many days (0 = keep while the link exists)'),
+      blocklist_file: z.string().optional().describe('Path to a local blocklist of destinations (example.com, *.example.com or /regex/ per line), combined with the entries admins add'),
+      geoip_country_file: z.string().optional().describe('Path to a local "start_ip,end_ip,country_code" CSV (e.g. DB-IP IP to Country Lite) used for coarse country statistics')
     }),
     uploads: uploadFeature
   }),
+  storage: storageConfig.default({ driver: 'local', local: { dir: './data/storage' } }),
   server: z.object({
     port: z.number().int().min(1).max(65535).default(4321)
   }),
@@ -85,6 +124,13 @@ export const ConfigSchema = z.object({
       baseDelaySeconds: 2,
       lockoutDurationMinutes: 30,
       sendLockoutEmail: true
+    }),
+    sessions: z.object({
+      maxSessions: z.number().int().min(1).max(100).default(10).describe('Maximum concurrent sessions per user; the least recently used session is signed out when exceeded'),
+      idleTimeoutMinutes: z.number().int().min(0).max(525600).default(0).describe('Sign out sessions unused for this many minutes (0 = only the 30 day absolute lifetime applies)')
+    }).default({
+      maxSessions: 10,
+      idleTimeoutMinutes: 0
     })
   }).default({
     password: {
@@ -101,20 +147,42 @@ export const ConfigSchema = z.object({
       baseDelaySeconds: 2,
       lockoutDurationMinutes: 30,
       sendLockoutEmail: true
+    },
+    sessions: {
+      maxSessions: 10,
+      idleTimeoutMinutes: 0
     }
   }).describe('Authentication security settings'),
   limits: z.object({
     linkShortenerPerHour: z.number().int().positive().max(10000).default(100).describe('Maximum links a user/IP can create per hour'),
     linkShortenerGlobalPerHour: z.number().int().positive().max(1000000).default(10000).describe('Maximum links system-wide per hour (prevents DoS)'),
+    apiTokenLinksPerHour: z.number().int().positive().max(100000).default(1000).describe('Maximum links one user can create per hour through personal API tokens, all of their tokens together'),
     rateLimitWindowMinutes: z.number().int().min(1).max(1440).default(60).describe('Rate limit sliding window size in minutes (60 = 1 hour sliding window)'),
     codeAllocationRetries: z.number().int().min(1).max(100).default(10).describe('Maximum retries for code allocation (prevents runaway loops)'),
-    maxConcurrentAllocations: z.number().int().min(1).max(1000).default(50).describe('Maximum concurrent code allocation attempts (prevents connection pool exhaustion)')
+    maxConcurrentAllocations: z.number().int().min(1).max(1000).default(50).describe('Maximum concurrent code allocation attempts (prevents connection pool exhaustion)'),
+    bulkLinksPerRequest: z.number().int().min(1).max(5000).default(500).describe('Maximum URLs accepted by a single /api/link/bulk request'),
+    pastesPerHour: z.number().int().positive().max(10000).default(30).describe('Maximum pastes a user/IP can create per hour'),
+    pastesGlobalPerHour: z.number().int().positive().max(1000000).default(3000).describe('Maximum pastes system-wide per hour (prevents DoS)'),
+    uploadsPerHour: z.number().int().positive().max(10000).default(20).describe('Maximum file uploads a user/IP can start per hour'),
+    uploadsGlobalPerHour: z.number().int().positive().max(1000000).default(2000).describe('Maximum file uploads started system-wide per hour (prevents DoS)'),
+    chatRoomsPerHour: z.number().int().positive().max(10000).default(20).describe('Maximum chat rooms a user/IP can create per hour'),
+    chatRoomsGlobalPerHour: z.number().int().positive().max(1000000).default(2000).describe('Maximum chat rooms created system-wide per hour (prevents DoS)'),
+    chatMessagesPerMinute: z.number().int().positive().max(10000).default(30).describe('Maximum chat messages one IP address can send per minute')
   }).default({ 
     linkShortenerPerHour: 100,
     linkShortenerGlobalPerHour: 10000,
+    apiTokenLinksPerHour: 1000,
     rateLimitWindowMinutes: 60,
     codeAllocationRetries: 10,
-    maxConcurrentAllocations: 50
+    maxConcurrentAllocations: 50,
+    bulkLinksPerRequest: 500,
+    pastesPerHour: 30,
+    pastesGlobalPerHour: 3000,
+    uploadsPerHour: 20,
+    uploadsGlobalPerHour: 2000,
+    chatRoomsPerHour: 20,
+    chatRoomsGlobalPerHour: 2000,
+    chatMessagesPerMinute: 30
   })
 });
 
@@ -0,0 +1,69 @@
+// @ts-nocheck
+// Minimal RFC 4180 CSV reading and writing for link import and export.
+// Fields may be quoted with "..." ("" inside quotes is a literal quote); both
+// CRLF and LF line endings are accepted. Blank lines and a leading byte order
+// mark (as written by spreadsheet programs) are skipped.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const input = typeof text === 'string' ? text.replace(/^\uFEFF/, '') : '';
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      endRow();
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+const formatField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows (arrays of values) as CSV with CRLF line endings
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
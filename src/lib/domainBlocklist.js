@@ -0,0 +1,201 @@
+// @ts-nocheck
+// Destination blocklist for the link shortener.
+// Entries come from two places: the optional local file configured as
+// features.linkShortener.blocklist_file (one entry per line, # for comments) and
+// the domain_blocklist table, which admins edit from the admin panel.
+// Entry syntax:
+//   example.com       the host exactly
+//   *.example.com     example.com and every subdomain of it
+//   /pattern/         a case-insensitive regular expression tested against the full URL
+// Both sources are compiled together and cached for a minute; admin edits
+// invalidate the cache immediately. Only plaintext destinations can be checked:
+// encrypted links are opaque to the server by design.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { query } from './db.js';
+import { getConfig } from './config.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_PATTERN_LENGTH = 255;
+const HOST_REGEX = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+let ensured = false;
+let cached = null;
+let cachedAt = 0;
+
+export async function ensureBlocklistTable() {
+  if (ensured) return;
+  await query(`CREATE TABLE IF NOT EXISTS domain_blocklist (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    pattern VARCHAR(255) NOT NULL UNIQUE,
+    note VARCHAR(255) NULL,
+    created_by BIGINT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+/**
+ * Parse one blocklist entry. Returns { kind: 'host'|'suffix'|'regex', value }
+ * or throws an error with status 400 describing what is wrong with it.
+ */
+export function parseBlocklistEntry(entry) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+
+  const text = typeof entry === 'string' ? entry.trim() : '';
+  if (!text) fail('Pattern is required');
+  if (text.length > MAX_PATTERN_LENGTH) fail(`Pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+
+  if (text.length > 2 && text.startsWith('/') && text.endsWith('/')) {
+    try {
+      return { kind: 'regex', value: new RegExp(text.slice(1, -1), 'i') };
+    } catch {
+      fail('Invalid regular expression');
+    }
+  }
+
+  const lower = text.toLowerCase().replace(/\.$/, '');
+  if (lower.startsWith('*.')) {
+    const suffix = lower.slice(2);
+    if (!HOST_REGEX.test(suffix)) fail('Invalid wildcard domain');
+    return { kind: 'suffix', value: suffix };
+  }
+  if (!HOST_REGEX.test(lower)) fail('Invalid domain (use example.com, *.example.com or /regex/)');
+  return { kind: 'host', value: lower };
+}
+
+/**
+ * Compile entries ({ pattern, source }) into lookup structures; invalid entries are skipped
+ */
+export function compileBlocklist(entries) {
+  const compiled = { hosts: new Map(), suffixes: [], regexes: [] };
+  for (const entry of entries) {
+    let parsed;
+    try {
+      parsed = parseBlocklistEntry(entry.pattern);
+    } catch {
+      continue;
+    }
+    if (parsed.kind === 'host') compiled.hosts.set(parsed.value, entry.pattern);
+    else if (parsed.kind === 'suffix') compiled.suffixes.push({ suffix: parsed.value, pattern: entry.pattern });
+    else compiled.regexes.push({ regex: parsed.value, pattern: entry.pattern });
+  }
+  return compiled;
+}
+
+/**
+ * Check a normalized URL against a compiled blocklist; returns the matching pattern or null
+ */
+export function matchBlocklist(compiled, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+  } catch {
+    return null;
+  }
+
+  if (compiled.hosts.has(hostname)) return compiled.hosts.get(hostname);
+  for (const { suffix, pattern } of compiled.suffixes) {
+    if (hostname === suffix || hostname.endsWith(`.${suffix}`)) return pattern;
+  }
+  for (const { regex, pattern } of compiled.regexes) {
+    if (regex.test(url)) return pattern;
+  }
+  return null;
+}
+
+function readBlocklistFile() {
+  const file = getConfig().features?.linkShortener?.blocklist_file;
+  if (!file) return [];
+  try {
+    return fs.readFileSync(path.resolve(file), 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(pattern => ({ pattern, source: 'file' }));
+  } catch (err) {
+    console.error('[blocklist] Failed to read blocklist file', err);
+    return [];
+  }
+}
+
+async function loadBlocklist() {
+  const now = Date.now();
+  if (cached && now - cachedAt < CACHE_TTL_MS) return cached;
+  await ensureBlocklistTable();
+  const rows = await query('SELECT pattern FROM domain_blocklist');
+  cached = compileBlocklist([
+    ...readBlocklistFile(),
+    ...rows.map(row => ({ pattern: row.pattern, source: 'admin' })),
+  ]);
+  cachedAt = now;
+  return cached;
+}
+
+/**
+ * Returns the blocklist pattern matching a normalized plaintext URL, or null if it is allowed
+ */
+export async function findBlockedPattern(url) {
+  return matchBlocklist(await loadBlocklist(), url);
+}
+
+/**
+ * List admin-managed entries plus the number of entries loaded from the local file
+ */
+export async function listBlocklistEntries() {
+  await ensureBlocklistTable();
+  const rows = await query(
+    `SELECT b.id, b.pattern, b.note, b.created_at, u.email AS created_by_email
+     FROM domain_blocklist b
+     LEFT JOIN users u ON u.id = b.created_by
+     ORDER BY b.created_at DESC`
+  );
+  return {
+    entries: rows.map(row => ({
+      id: Number(row.id),
+      pattern: row.pattern,
+      note: row.note,
+      createdBy: row.created_by_email || null,
+      createdAtIso: row.created_at instanceof Date ? row.created_at.toISOString() : new Date(row.created_at).toISOString(),
+    })),
+    fileEntryCount: readBlocklistFile().length,
+  };
+}
+
+/**
+ * Add an admin-managed entry. Throws status 400 for invalid patterns and 409 for duplicates.
+ */
+export async function addBlocklistEntry(pattern, note, userId) {
+  await ensureBlocklistTable();
+  const trimmed = pattern.trim();
+  parseBlocklistEntry(trimmed);
+  try {
+    await query(
+      'INSERT INTO domain_blocklist (pattern, note, created_by) VALUES (?, ?, ?)',
+      [trimmed, note ? note.slice(0, 255) : null, userId]
+    );
+  } catch (err) {
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      const conflict = new Error('That pattern is already on the blocklist');
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  }
+  cached = null;
+}
+
+/**
+ * Remove an admin-managed entry; returns false if it did not exist
+ */
+export async function removeBlocklistEntry(id) {
+  await ensureBlocklistTable();
+  const res = await query('DELETE FROM domain_blocklist WHERE id = ?', [id]);
+  cached = null;
+  return !!res && res.affectedRows > 0;
+}
@@ -0,0 +1,125 @@
+// @ts-nocheck
+// Coarse country lookup from a local IP range file.
+// The file is a CSV of "start_ip,end_ip,country_code" rows (IPv4 or IPv6, one
+// range per line; extra columns and quotes are ignored), which is the layout of
+// the freely available DB-IP "IP to Country Lite" download. It is loaded once
+// per process and searched in memory, so no address ever leaves the server.
+// Without a configured file every lookup returns null.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getConfig } from './config.js';
+
+/** @type {{ v4: any[], v6: any[] }|null} */
+let ranges = null;
+let loadedFrom = null;
+
+/**
+ * Parse an IPv4 or IPv6 address into { version, value } where value is a BigInt.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+ * Returns null for anything that is not a valid address.
+ */
+export function parseIp(ip) {
+  if (typeof ip !== 'string') return null;
+  let addr = ip.trim();
+  if (addr.toLowerCase().startsWith('::ffff:') && addr.includes('.')) {
+    addr = addr.slice(7);
+  }
+
+  const v4 = addr.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (v4) {
+    const octets = v4.slice(1).map(Number);
+    if (octets.some(o => o > 255)) return null;
+    const value = octets.reduce((acc, o) => (acc << 8n) | BigInt(o), 0n);
+    return { version: 4, value };
+  }
+
+  if (!addr.includes(':')) return null;
+  const zoneless = addr.split('%')[0];
+  const halves = zoneless.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return { version: 6, value };
+}
+
+/**
+ * Parse the contents of a range file into sorted IPv4 and IPv6 tables.
+ * Malformed lines (including a header row) are skipped.
+ */
+export function parseGeoIpCsv(text) {
+  const v4 = [];
+  const v6 = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) continue;
+    const cols = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    if (cols.length < 3) continue;
+    const start = parseIp(cols[0]);
+    const end = parseIp(cols[1]);
+    const country = cols[2].toUpperCase();
+    if (!start || !end || start.version !== end.version || end.value < start.value) continue;
+    if (!/^[A-Z]{2}$/.test(country)) continue;
+    (start.version === 4 ? v4 : v6).push({ start: start.value, end: end.value, country });
+  }
+  const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+  v4.sort(byStart);
+  v6.sort(byStart);
+  return { v4, v6 };
+}
+
+/**
+ * Find the country for an address in parsed tables; returns a two-letter code or null
+ */
+export function lookupInRanges(tables, ip) {
+  const parsed = parseIp(ip);
+  if (!parsed || !tables) return null;
+  const list = parsed.version === 4 ? tables.v4 : tables.v6;
+
+  // Binary search for the last range starting at or before the address
+  let lo = 0;
+  let hi = list.length - 1;
+  let match = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].start <= parsed.value) {
+      match = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (match === -1 || list[match].end < parsed.value) return null;
+  return list[match].country;
+}
+
+function loadConfiguredRanges() {
+  const file = getConfig().features?.linkShortener?.geoip_country_file;
+  if (!file) return null;
+  const resolved = path.resolve(file);
+  if (ranges && loadedFrom === resolved) return ranges;
+  try {
+    ranges = parseGeoIpCsv(fs.readFileSync(resolved, 'utf8'));
+    console.log(`[geoip] Loaded ${ranges.v4.length + ranges.v6.length} ranges from ${resolved}`);
+  } catch (err) {
+    console.error('[geoip] Failed to load country file', err);
+    ranges = { v4: [], v6: [] };
+  }
+  loadedFrom = resolved;
+  return ranges;
+}
+
+/**
+ * Look up the country of an address using the configured range file.
+ * Returns a two-letter country code, or null if unknown or not configured.
+ */
+export function lookupCountry(ip) {
+  return lookupInRanges(loadConfiguredRanges(), ip);
+}
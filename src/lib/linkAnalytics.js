@@ -0,0 +1,189 @@
+// @ts-nocheck
+// Opt-in, privacy-preserving visit statistics for short links.
+// A visit to a link with analytics_enabled increments a handful of daily counters
+// in short_link_daily_stats: the total, the referring host, a coarse country and
+// the browser family. Each dimension is counted on its own, so the table never
+// holds a per-visit record that combines them, and nothing more specific than a
+// host name, a country code or a browser name is kept. The visitor's IP address
+// is only used for the in-memory country lookup and is never written anywhere.
+// A referrer, country or browser counted fewer than analytics_min_visits times on a
+// day is left out of the statistics shown, so a single visit (or a handful) cannot be
+// picked out, not even by comparing two periods.
+// Counters are deleted when analytics is switched off and after the retention period.
+
+import { query } from './db.js';
+import { getConfig } from './config.js';
+import { ensureShortLinksExtended } from './rateLimit.js';
+import { lookupCountry } from './geoip.js';
+
+export const STATS_DIMENSIONS = ['total', 'referrer', 'country', 'browser'];
+export const MAX_STATS_DAYS = 365;
+const TOP_VALUES = 10;
+
+let ensured = false;
+
+export async function ensureLinkStatsTable() {
+  if (ensured) return;
+  await ensureShortLinksExtended();
+  await query(`CREATE TABLE IF NOT EXISTS short_link_daily_stats (
+    link_id BIGINT UNSIGNED NOT NULL,
+    day DATE NOT NULL,
+    dimension VARCHAR(16) NOT NULL,
+    value VARCHAR(255) NOT NULL DEFAULT '',
+    visits INT UNSIGNED NOT NULL DEFAULT 0,
+    PRIMARY KEY (link_id, day, dimension, value),
+    INDEX idx_day (day),
+    FOREIGN KEY (link_id) REFERENCES short_links(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+/**
+ * Reduce a Referer header to its lowercase host name; '' for direct visits or anything unparseable
+ */
+export function referrerHost(referer) {
+  if (!referer) return '';
+  try {
+    const parsed = new URL(referer);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return '';
+    return parsed.hostname.toLowerCase().replace(/^www\./, '').slice(0, 255);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Map a User-Agent header to a browser family name (no versions or platform details)
+ */
+export function browserFamily(userAgent) {
+  const ua = userAgent || '';
+  if (!ua) return 'Other';
+  if (/bot|crawler|spider|preview|facebookexternalhit|slurp|curl|wget/i.test(ua)) return 'Bot';
+  if (/Edg(e|A|iOS)?\//.test(ua)) return 'Edge';
+  if (/OPR\/|Opera/.test(ua)) return 'Opera';
+  if (/SamsungBrowser\//.test(ua)) return 'Samsung Internet';
+  if (/Firefox\/|FxiOS\//.test(ua)) return 'Firefox';
+  if (/Chrome\/|CriOS\/|Chromium\//.test(ua)) return 'Chrome';
+  if (/Safari\//.test(ua)) return 'Safari';
+  return 'Other';
+}
+
+/**
+ * Reduce a visit to the values that are counted; the address is only used for the country lookup
+ */
+export function visitDimensions({ referer, userAgent, ip }) {
+  return {
+    total: '',
+    referrer: referrerHost(referer),
+    country: (ip && lookupCountry(ip)) || '',
+    browser: browserFamily(userAgent),
+  };
+}
+
+/**
+ * Count a visit to a link in today's (UTC) buckets
+ */
+export async function recordLinkVisit(linkId, visit) {
+  await ensureLinkStatsTable();
+  const dims = visitDimensions(visit);
+  const rows = STATS_DIMENSIONS.map(d => [linkId, d, dims[d]]);
+  await query(
+    `INSERT INTO short_link_daily_stats (link_id, day, dimension, value, visits)
+     VALUES ${rows.map(() => '(?, UTC_DATE(), ?, ?, 1)').join(', ')}
+     ON DUPLICATE KEY UPDATE visits = visits + 1`,
+    rows.flat()
+  );
+}
+
+/**
+ * Turn analytics on or off for a link owned by the user. Turning it off deletes
+ * everything collected so far. Returns false if the link does not exist.
+ */
+export async function setLinkAnalytics(code, userId, enabled) {
+  await ensureLinkStatsTable();
+  const rows = await query(
+    'SELECT id FROM short_links WHERE short_code = ? AND user_id = ? LIMIT 1',
+    [code, userId]
+  );
+  if (!rows || rows.length === 0) return false;
+  const linkId = rows[0].id;
+  await query('UPDATE short_links SET analytics_enabled = ? WHERE id = ?', [!!enabled, linkId]);
+  if (!enabled) {
+    await query('DELETE FROM short_link_daily_stats WHERE link_id = ?', [linkId]);
+  }
+  return true;
+}
+
+/**
+ * Aggregate the statistics of a link owned by the user over the last `days` days (UTC).
+ * Returns { enabled, days, minVisits, daily: [{ day, visits }], totalVisits, referrers, countries, browsers }
+ * with a zero-filled daily series and the top values of each dimension, or null if the link does not exist.
+ * Daily referrer, country and browser counts below minVisits are left out of the breakdowns.
+ */
+export async function getLinkStats(code, userId, days = 30) {
+  await ensureLinkStatsTable();
+  const minVisits = getConfig().features?.linkShortener?.analytics_min_visits ?? 5;
+  const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_STATS_DAYS);
+  const links = await query(
+    'SELECT id, analytics_enabled FROM short_links WHERE short_code = ? AND user_id = ? LIMIT 1',
+    [code, userId]
+  );
+  if (!links || links.length === 0) return null;
+  const link = links[0];
+
+  const rows = await query(
+    `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day, dimension, value, visits FROM short_link_daily_stats
+     WHERE link_id = ? AND day > UTC_DATE() - INTERVAL ? DAY`,
+    [link.id, span]
+  );
+
+  const perDay = new Map();
+  const totals = { referrer: new Map(), country: new Map(), browser: new Map() };
+  for (const row of rows) {
+    const visits = Number(row.visits || 0);
+    if (row.dimension === 'total') {
+      perDay.set(row.day, visits);
+    } else if (totals[row.dimension] && visits >= minVisits) {
+      const map = totals[row.dimension];
+      map.set(row.value, (map.get(row.value) || 0) + visits);
+    }
+  }
+
+  const daily = [];
+  const today = new Date();
+  for (let i = span - 1; i >= 0; i--) {
+    const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i))
+      .toISOString().slice(0, 10);
+    daily.push({ day, visits: perDay.get(day) || 0 });
+  }
+
+  const top = (map) => [...map.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, visits]) => ({ value, visits }));
+
+  return {
+    enabled: !!link.analytics_enabled,
+    days: span,
+    minVisits,
+    daily,
+    totalVisits: daily.reduce((sum, d) => sum + d.visits, 0),
+    referrers: top(totals.referrer),
+    countries: top(totals.country),
+    browsers: top(totals.browser),
+  };
+}
+
+/**
+ * Delete buckets older than the configured retention period
+ */
+export async function pruneOldLinkStats() {
+  const days = getConfig().features?.linkShortener?.analytics_retention_days;
+  if (!days || days <= 0) return 0;
+  await ensureLinkStatsTable();
+  const res = await query(
+    'DELETE FROM short_link_daily_stats WHERE day < UTC_DATE() - INTERVAL ? DAY LIMIT 1000',
+    [days]
+  );
+  return res?.affectedRows || 0;
+}
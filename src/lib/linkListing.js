@@ -0,0 +1,201 @@
+// @ts-nocheck
+// A signed-in user's own links, as listed by /api/link/list and the manage-links page.
+// Supports filters (security mode, tag, created / last used windows, never used, text
+// search over plaintext destinations), sorting by creation, usage or last access, and
+// cursor (keyset) pagination: the cursor holds the sort value and id of the last row
+// returned, so later pages cost the same as the first even with thousands of links.
+
+import { query } from './db.js';
+import { ensureLinkTagsTables, tagIdsForLinks } from './linkTags.js';
+
+export const SECURITY_MODES = ['plaintext', 'encryptedAndDecryptionKeyInURL', 'encrypted'];
+
+// Sort keys and the SQL expression each one orders by (never used links sort as oldest)
+export const LINK_SORTS = {
+  created: 'l.created_at',
+  usage: 'l.usage_count',
+  accessed: 'COALESCE(l.last_accessed, FROM_UNIXTIME(0))',
+};
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_LENGTH = 200;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+const invalid = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Encode the position after a row as an opaque cursor
+ */
+export function encodeCursor(sortValue, id) {
+  const value = sortValue instanceof Date ? sortValue.toISOString() : String(sortValue);
+  return Buffer.from(JSON.stringify([value, String(id)])).toString('base64url');
+}
+
+/**
+ * Decode a cursor for the given sort; returns { value, id } or null if it is malformed
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof value !== 'string' || typeof id !== 'string' || !/^\d+$/.test(id)) return null;
+    if (sort === 'usage') {
+      return /^\d+$/.test(value) ? { value, id } : null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id };
+  } catch {
+    return null;
+  }
+}
+
+// Start of a UTC day; with inclusiveEnd, the start of the following day
+function parseDay(value, name, inclusiveEnd = false) {
+  if (!value) return null;
+  if (!DATE_REGEX.test(value)) throw invalid(`${name} must be in YYYY-MM-DD format`);
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) throw invalid(`${name} must be in YYYY-MM-DD format`);
+  if (inclusiveEnd) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+/**
+ * Parse list options from URL search params. Throws errors with status 400 for invalid values.
+ * Params: security, tag (tag id), createdFrom, createdTo, accessedFrom, accessedTo (YYYY-MM-DD, UTC, inclusive),
+ * neverUsed (1/true), q (destination search), sort (created|usage|accessed), order (desc|asc),
+ * cursor, limit.
+ */
+export function parseLinkListParams(params) {
+  const get = (name) => (params.get(name) || '').trim();
+
+  const security = get('security');
+  if (security && !SECURITY_MODES.includes(security)) throw invalid('Invalid security mode');
+
+  const sort = get('sort') || 'created';
+  if (!Object.hasOwn(LINK_SORTS, sort)) throw invalid('Invalid sort');
+
+  const order = get('order') || 'desc';
+  if (order !== 'desc' && order !== 'asc') throw invalid('Invalid order');
+
+  const tag = get('tag');
+  if (tag && !/^[1-9]\d{0,17}$/.test(tag)) throw invalid('Invalid tag');
+
+  const q = get('q');
+  if (q.length > MAX_SEARCH_LENGTH) throw invalid(`Search must be at most ${MAX_SEARCH_LENGTH} characters`);
+
+  let cursor = null;
+  if (get('cursor')) {
+    cursor = decodeCursor(get('cursor'), sort);
+    if (!cursor) throw invalid('Invalid cursor');
+  }
+
+  const limit = Math.min(Math.max(parseInt(get('limit'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    filters: {
+      security: security || null,
+      tag: tag || null,
+      createdFrom: parseDay(get('createdFrom'), 'createdFrom'),
+      createdTo: parseDay(get('createdTo'), 'createdTo', true),
+      accessedFrom: parseDay(get('accessedFrom'), 'accessedFrom'),
+      accessedTo: parseDay(get('accessedTo'), 'accessedTo', true),
+      neverUsed: ['1', 'true'].includes(get('neverUsed')),
+      q: q || null,
+    },
+    sort,
+    order,
+    cursor,
+    limit,
+  };
+}
+
+/**
+ * Build the WHERE and ORDER BY clauses of a list query. Returns { where, orderBy, params, sortExpr }.
+ */
+export function buildLinkListQuery(userId, { filters = {}, sort = 'created', order = 'desc', cursor = null } = {}) {
+  const sortExpr = LINK_SORTS[sort] || LINK_SORTS.created;
+  const clauses = ['l.user_id = ?'];
+  const params = [userId];
+
+  if (filters.security) {
+    clauses.push('l.security_mode = ?');
+    params.push(filters.security);
+  }
+  if (filters.tag) {
+    clauses.push('EXISTS (SELECT 1 FROM short_link_tags st WHERE st.link_id = l.id AND st.tag_id = ?)');
+    params.push(filters.tag);
+  }
+  if (filters.createdFrom) {
+    clauses.push('l.created_at >= ?');
+    params.push(filters.createdFrom);
+  }
+  if (filters.createdTo) {
+    clauses.push('l.created_at < ?');
+    params.push(filters.createdTo);
+  }
+  if (filters.accessedFrom) {
+    clauses.push('l.last_accessed >= ?');
+    params.push(filters.accessedFrom);
+  }
+  if (filters.accessedTo) {
+    clauses.push('l.last_accessed < ?');
+    params.push(filters.accessedTo);
+  }
+  if (filters.neverUsed) {
+    clauses.push('l.usage_count = 0');
+  }
+  if (filters.q) {
+    // Encrypted destinations are opaque to the server, so only plaintext links can match
+    clauses.push(`l.security_mode = 'plaintext' AND l.original_url LIKE ?`);
+    params.push(`%${escapeLike(filters.q)}%`);
+  }
+  if (cursor) {
+    const op = order === 'asc' ? '>' : '<';
+    clauses.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND l.id ${op} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  return {
+    where: `WHERE ${clauses.join(' AND ')}`,
+    orderBy: `ORDER BY ${sortExpr} ${direction}, l.id ${direction}`,
+    params,
+    sortExpr,
+  };
+}
+
+/**
+ * One page of a user's links. Returns { rows, nextCursor } (nextCursor is null on the last page);
+ * each row carries the ids of its tags as tagIds.
+ */
+export async function listUserLinks(userId, { filters = {}, sort = 'created', order = 'desc', cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  await ensureLinkTagsTables();
+  const { where, orderBy, params, sortExpr } = buildLinkListQuery(userId, { filters, sort, order, cursor });
+  const rows = await query(
+    `SELECT l.id, l.short_code, l.created_at, l.last_accessed, l.usage_count, l.security_mode, l.is_encrypted,
+            l.expires_at, l.max_uses, l.analytics_enabled, ${sortExpr} AS sort_value
+     FROM short_links l
+     ${where}
+     ${orderBy}
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const page = rows.slice(0, limit);
+  const tagIds = await tagIdsForLinks(page.map(row => row.id));
+  for (const row of page) {
+    row.tagIds = tagIds.get(String(row.id)) || [];
+  }
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    nextCursor: rows.length > limit && last ? encodeCursor(last.sort_value, last.id) : null,
+  };
+}
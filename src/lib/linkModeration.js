@@ -0,0 +1,141 @@
+// @ts-nocheck
+// Admin moderation of short links: searching every link on the instance and
+// disabling, enabling or deleting them in bulk. Callers must check the admin role.
+// Deleted links stay behind as tombstones during the code quarantine (see linkTombstones.js).
+
+import { query } from './db.js';
+import { ensureShortLinksExtended } from './rateLimit.js';
+import { deleteLink } from './linkTombstones.js';
+
+export const MODERATION_ACTIONS = ['disable', 'enable', 'delete'];
+export const LINK_STATUSES = ['active', 'disabled', 'tombstoned'];
+export const MAX_BULK_CODES = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : new Date(value).toISOString());
+
+/**
+ * Build the WHERE clause for a moderation search.
+ * Filters: code (prefix), host (suffix of the destination host, plaintext links only),
+ * user (part of the creator's email), createdFrom / createdTo (dates), status.
+ * Returns { where, params }.
+ */
+export function buildLinkSearch({ code, host, user, createdFrom, createdTo, status } = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (code) {
+    clauses.push('l.short_code LIKE ?');
+    params.push(`${escapeLike(code)}%`);
+  }
+  if (host) {
+    // Host part of the stored URL: drop the scheme (if any), then everything after the first '/'
+    clauses.push(`l.security_mode = 'plaintext' AND SUBSTRING_INDEX(SUBSTRING_INDEX(l.original_url, '://', -1), '/', 1) LIKE ?`);
+    params.push(`%${escapeLike(host.toLowerCase())}`);
+  }
+  if (user) {
+    clauses.push('u.email LIKE ?');
+    params.push(`%${escapeLike(user)}%`);
+  }
+  if (createdFrom) {
+    clauses.push('l.created_at >= ?');
+    params.push(createdFrom);
+  }
+  if (createdTo) {
+    clauses.push('l.created_at < ?');
+    params.push(createdTo);
+  }
+  if (status) {
+    clauses.push('l.status = ?');
+    params.push(status);
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Search all links. Returns { links, total, page, pageSize } with 1-based pages, newest first.
+ */
+export async function searchLinks(filters = {}, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  await ensureShortLinksExtended();
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  const { where, params } = buildLinkSearch(filters);
+
+  const countRows = await query(
+    `SELECT COUNT(*) AS total FROM short_links l LEFT JOIN users u ON u.id = l.user_id ${where}`,
+    params
+  );
+  const rows = await query(
+    `SELECT l.short_code, l.original_url, l.security_mode, l.created_at, l.last_accessed, l.usage_count,
+            l.status, l.status_reason, l.tombstoned_at, u.email AS user_email
+     FROM short_links l
+     LEFT JOIN users u ON u.id = l.user_id
+     ${where}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ${size} OFFSET ${(current - 1) * size}`,
+    params
+  );
+
+  return {
+    links: rows.map(row => ({
+      code: row.short_code,
+      // Encrypted destinations are unreadable on the server and tombstones no longer have one
+      original: row.security_mode === 'plaintext' && row.status !== 'tombstoned' ? row.original_url : null,
+      securityMode: row.security_mode,
+      createdAtIso: toIso(row.created_at),
+      lastAccessedIso: row.last_accessed ? toIso(row.last_accessed) : null,
+      usageCount: Number(row.usage_count || 0),
+      status: row.status,
+      statusReason: row.status_reason,
+      tombstonedAtIso: row.tombstoned_at ? toIso(row.tombstoned_at) : null,
+      userEmail: row.user_email || null,
+    })),
+    total: Number(countRows[0]?.total || 0),
+    page: current,
+    pageSize: size,
+  };
+}
+
+/**
+ * Apply a moderation action to links by code. Returns the number of links affected.
+ */
+export async function moderateLinks(codes, action, reason = null) {
+  await ensureShortLinksExtended();
+  if (!codes.length) return 0;
+  const placeholders = codes.map(() => '?').join(', ');
+
+  if (action === 'disable') {
+    const res = await query(
+      `UPDATE short_links SET status = 'disabled', status_reason = ?
+       WHERE short_code IN (${placeholders}) AND status = 'active'`,
+      [reason || 'Disabled by an administrator', ...codes]
+    );
+    return res?.affectedRows || 0;
+  }
+
+  if (action === 'enable') {
+    const res = await query(
+      `UPDATE short_links SET status = 'active', status_reason = NULL
+       WHERE short_code IN (${placeholders}) AND status = 'disabled'`,
+      codes
+    );
+    return res?.affectedRows || 0;
+  }
+
+  if (action === 'delete') {
+    let deleted = 0;
+    for (const code of codes) {
+      if (await deleteLink(code, { reason: reason || 'Deleted by an administrator' })) {
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  throw new Error(`Unknown moderation action: ${action}`);
+}
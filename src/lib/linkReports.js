@@ -0,0 +1,144 @@
+// @ts-nocheck
+// Abuse reports for short links.
+// Anyone can report a link; reports wait in link_reports until an admin either
+// dismisses them or disables the link (short_links.status = 'disabled'), which
+// resolves every open report for that link. Reporters are identified only by
+// their coarse network (see coarsenIp), which is enough to rate limit reports;
+// reports from an unknown network are refused, as they could not be limited.
+
+import { query } from './db.js';
+import { ensureShortLinksExtended } from './rateLimit.js';
+import { coarsenIp } from './auth/session.js';
+import { moderateLinks } from './linkModeration.js';
+
+export const REPORT_REASONS = ['phishing', 'malware', 'spam', 'illegal', 'other'];
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_REPORTS_PER_HOUR = 10;
+
+let ensured = false;
+
+export async function ensureLinkReportsTable() {
+  if (ensured) return;
+  await ensureShortLinksExtended();
+  await query(`CREATE TABLE IF NOT EXISTS link_reports (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    link_id BIGINT UNSIGNED NOT NULL,
+    reason VARCHAR(16) NOT NULL,
+    details VARCHAR(1000) NULL,
+    reporter_network VARCHAR(64) NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'open',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP NULL DEFAULT NULL,
+    resolved_by BIGINT UNSIGNED NULL,
+    FOREIGN KEY (link_id) REFERENCES short_links(id) ON DELETE CASCADE,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_network_created (reporter_network, created_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+/**
+ * File a report against a link. Throws errors with status 400 (invalid input),
+ * 403 (unknown reporter network), 404 (unknown link) or 429 (too many reports
+ * from the reporter's network).
+ * Repeat reports of the same link from the same network are merged.
+ */
+export async function createLinkReport({ code, reason, details, ip }) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+
+  if (!REPORT_REASONS.includes(reason)) fail('Invalid reason', 400);
+  const text = typeof details === 'string' ? details.trim() : '';
+  if (text.length > MAX_DETAILS_LENGTH) fail(`Details must be at most ${MAX_DETAILS_LENGTH} characters`, 400);
+
+  const network = coarsenIp(ip);
+  if (!network) fail('Reports cannot be accepted from this network', 403);
+
+  await ensureLinkReportsTable();
+  const links = await query(
+    "SELECT id FROM short_links WHERE short_code = ? AND status != 'tombstoned' LIMIT 1",
+    [code]
+  );
+  if (!links || links.length === 0) fail('Link not found', 404);
+  const linkId = links[0].id;
+
+  const existing = await query(
+    "SELECT id FROM link_reports WHERE link_id = ? AND reporter_network = ? AND status = 'open' LIMIT 1",
+    [linkId, network]
+  );
+  if (existing.length > 0) return { duplicate: true };
+
+  const recent = await query(
+    'SELECT COUNT(*) AS count FROM link_reports WHERE reporter_network = ? AND created_at > (NOW() - INTERVAL 1 HOUR)',
+    [network]
+  );
+  if (Number(recent[0]?.count || 0) >= MAX_REPORTS_PER_HOUR) fail('Too many reports, please try again later', 429);
+
+  await query(
+    'INSERT INTO link_reports (link_id, reason, details, reporter_network) VALUES (?, ?, ?, ?)',
+    [linkId, reason, text || null, network]
+  );
+  return { duplicate: false };
+}
+
+/**
+ * Open reports grouped by link, most reported first
+ */
+export async function listOpenReports() {
+  await ensureLinkReportsTable();
+  const rows = await query(
+    `SELECT r.id, r.reason, r.details, r.created_at,
+            l.id AS link_id, l.short_code, l.original_url, l.security_mode, l.status AS link_status
+     FROM link_reports r
+     JOIN short_links l ON l.id = r.link_id
+     WHERE r.status = 'open'
+     ORDER BY r.created_at ASC
+     LIMIT 500`
+  );
+
+  const byLink = new Map();
+  for (const row of rows) {
+    const key = String(row.link_id);
+    if (!byLink.has(key)) {
+      byLink.set(key, {
+        code: row.short_code,
+        // Encrypted destinations are unreadable on the server; admins only see the mode
+        original: row.security_mode === 'plaintext' ? row.original_url : null,
+        securityMode: row.security_mode,
+        linkStatus: row.link_status,
+        reports: [],
+      });
+    }
+    byLink.get(key).reports.push({
+      id: Number(row.id),
+      reason: row.reason,
+      details: row.details,
+      createdAtIso: row.created_at instanceof Date ? row.created_at.toISOString() : new Date(row.created_at).toISOString(),
+    });
+  }
+  return [...byLink.values()].sort((a, b) => b.reports.length - a.reports.length);
+}
+
+/**
+ * Resolve the open reports of a link. 'disable' also disables the link.
+ * Returns false if the link does not exist.
+ */
+export async function resolveLinkReports({ code, action, adminId }) {
+  await ensureLinkReportsTable();
+  const links = await query('SELECT id FROM short_links WHERE short_code = ? LIMIT 1', [code]);
+  if (!links || links.length === 0) return false;
+  const linkId = links[0].id;
+
+  if (action === 'disable') {
+    await moderateLinks([code], 'disable', 'Disabled after abuse reports');
+  }
+  await query(
+    `UPDATE link_reports SET status = ?, resolved_at = NOW(), resolved_by = ?
+     WHERE link_id = ? AND status = 'open'`,
+    [action === 'disable' ? 'actioned' : 'dismissed', adminId, linkId]
+  );
+  return true;
+}
@@ -0,0 +1,119 @@
+// @ts-nocheck
+// Destination updates for existing short links with a small revision history.
+// Every update stores the replaced destination (plaintext URL or client-encrypted
+// payload, exactly as it was stored) in short_link_revisions; only the most recent
+// MAX_REVISIONS entries per link are kept. Revisions go away with their link.
+
+import { query, withConnection } from './db.js';
+import { ensureShortLinksExtended } from './rateLimit.js';
+
+export const MAX_REVISIONS = 10;
+
+let ensured = false;
+
+export async function ensureLinkRevisionsTable() {
+  if (ensured) return;
+  await ensureShortLinksExtended();
+  await query(`CREATE TABLE IF NOT EXISTS short_link_revisions (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    link_id BIGINT UNSIGNED NOT NULL,
+    original_url TEXT NOT NULL,
+    security_mode VARCHAR(32) NOT NULL,
+    replaced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (link_id) REFERENCES short_links(id) ON DELETE CASCADE,
+    INDEX idx_link_replaced (link_id, replaced_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+/**
+ * Look up a link owned by the user; returns { id, securityMode } or null
+ */
+export async function findOwnedLink(code, userId) {
+  await ensureShortLinksExtended();
+  const rows = await query(
+    'SELECT id, security_mode FROM short_links WHERE short_code = ? AND user_id = ? LIMIT 1',
+    [code, userId]
+  );
+  if (!rows || rows.length === 0) return null;
+  return { id: rows[0].id, securityMode: rows[0].security_mode };
+}
+
+/**
+ * Replace the destination of a link owned by the user, recording the old one.
+ * The security mode cannot change; expectedMode guards against a concurrent
+ * change between validation and update. Returns false if the link is gone.
+ */
+export async function updateLinkDestination({ code, userId, expectedMode, newUrl }) {
+  await ensureLinkRevisionsTable();
+  return withConnection(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      const rows = await conn.query(
+        'SELECT id, original_url, security_mode FROM short_links WHERE short_code = ? AND user_id = ? FOR UPDATE',
+        [code, userId]
+      );
+      if (!rows.length || rows[0].security_mode !== expectedMode) {
+        await conn.rollback();
+        return false;
+      }
+      const link = rows[0];
+
+      await conn.query(
+        'INSERT INTO short_link_revisions (link_id, original_url, security_mode) VALUES (?, ?, ?)',
+        [link.id, link.original_url, link.security_mode]
+      );
+      await conn.query('UPDATE short_links SET original_url = ? WHERE id = ?', [newUrl, link.id]);
+
+      // Keep only the most recent revisions
+      const revisions = await conn.query(
+        'SELECT id FROM short_link_revisions WHERE link_id = ? ORDER BY replaced_at DESC, id DESC',
+        [link.id]
+      );
+      const ids = revisions.slice(MAX_REVISIONS).map(r => r.id);
+      if (ids.length > 0) {
+        await conn.query(`DELETE FROM short_link_revisions WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      }
+
+      await conn.commit();
+      return true;
+    } catch (err) {
+      try { await conn.rollback(); } catch {}
+      throw err;
+    }
+  });
+}
+
+/**
+ * List the current and previous destinations of a link owned by the user.
+ * Plaintext destinations are returned as `original`, encrypted ones as the
+ * stored `payload` (readable only with the link's key).
+ * Returns { securityMode, current, revisions } (revisions newest first) or null
+ * if the link does not exist or belongs to someone else.
+ */
+export async function listLinkRevisions(code, userId) {
+  await ensureLinkRevisionsTable();
+  const links = await query(
+    'SELECT id, original_url, security_mode FROM short_links WHERE short_code = ? AND user_id = ? LIMIT 1',
+    [code, userId]
+  );
+  if (!links || links.length === 0) return null;
+  const link = links[0];
+
+  const rows = await query(
+    `SELECT original_url, security_mode, replaced_at FROM short_link_revisions
+     WHERE link_id = ? ORDER BY replaced_at DESC, id DESC`,
+    [link.id]
+  );
+
+  const destination = (url, mode) => (mode === 'plaintext' ? { original: url } : { payload: url });
+
+  return {
+    securityMode: link.security_mode,
+    current: destination(link.original_url, link.security_mode),
+    revisions: rows.map(row => ({
+      ...destination(row.original_url, row.security_mode),
+      replacedAtIso: row.replaced_at instanceof Date ? row.replaced_at.toISOString() : new Date(row.replaced_at).toISOString(),
+    })),
+  };
+}
@@ -0,0 +1,225 @@
+// @ts-nocheck
+// User-defined tags for short links (many-to-many through short_link_tags).
+// A tag name is either plaintext or, for users who keep their encrypted links
+// zero-knowledge, a ciphertext produced in the browser with a key that never
+// reaches the server. Links are assigned and filtered by tag id, so the server
+// never needs to read an encrypted name.
+
+import { query } from './db.js';
+import { ensureShortLinksExtended } from './rateLimit.js';
+
+export const MAX_TAG_NAME_LENGTH = 50;
+export const MAX_TAGS_PER_USER = 500;
+export const MAX_TAGS_PER_LINK = 20;
+const MAX_ENCRYPTED_NAME_LENGTH = 512;
+const ENCRYPTED_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
+const LOOKUP_BATCH_SIZE = 1000;
+
+let ensured = false;
+
+export async function ensureLinkTagsTables() {
+  if (ensured) return;
+  await ensureShortLinksExtended();
+  await query(`CREATE TABLE IF NOT EXISTS link_tags (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    user_id BIGINT UNSIGNED NOT NULL,
+    name VARCHAR(512) NOT NULL,
+    is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_user_name (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query(`CREATE TABLE IF NOT EXISTS short_link_tags (
+    link_id BIGINT UNSIGNED NOT NULL,
+    tag_id BIGINT UNSIGNED NOT NULL,
+    PRIMARY KEY (link_id, tag_id),
+    INDEX idx_tag (tag_id),
+    FOREIGN KEY (link_id) REFERENCES short_links(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES link_tags(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+/**
+ * Normalize and validate a tag name. Returns { name } or { error }.
+ * Encrypted names must be base64url ciphertext; plaintext names are trimmed,
+ * single-spaced and limited to MAX_TAG_NAME_LENGTH characters.
+ */
+export function normalizeTagName(name, encrypted = false) {
+  if (typeof name !== 'string') return { error: 'Tag name is required' };
+  if (encrypted) {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.length > MAX_ENCRYPTED_NAME_LENGTH || !ENCRYPTED_NAME_REGEX.test(trimmed)) {
+      return { error: 'Invalid encrypted tag name' };
+    }
+    return { name: trimmed };
+  }
+  const normalized = name.replace(/\s+/g, ' ').trim();
+  if (!normalized) return { error: 'Tag name is required' };
+  if ([...normalized].length > MAX_TAG_NAME_LENGTH) {
+    return { error: `Tag names must be at most ${MAX_TAG_NAME_LENGTH} characters` };
+  }
+  if (/[\u0000-\u001f\u007f]/.test(normalized)) return { error: 'Tag names may not contain control characters' };
+  return { name: normalized };
+}
+
+/**
+ * Parse a list of tag ids from request input; returns an array of unique positive ids or null if invalid
+ */
+export function parseTagIds(value) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.length > MAX_TAGS_PER_LINK) return null;
+  const ids = new Set();
+  for (const item of value) {
+    const id = Number(item);
+    if (!Number.isSafeInteger(id) || id < 1) return null;
+    ids.add(id);
+  }
+  return [...ids];
+}
+
+const toTag = (row) => ({
+  id: Number(row.id),
+  name: row.name,
+  encrypted: !!row.is_encrypted,
+  linkCount: Number(row.link_count || 0),
+});
+
+/**
+ * The user's tags with the number of links carrying each, plaintext names alphabetically
+ */
+export async function listTags(userId) {
+  await ensureLinkTagsTables();
+  const rows = await query(
+    `SELECT t.id, t.name, t.is_encrypted, COUNT(st.link_id) AS link_count
+     FROM link_tags t
+     LEFT JOIN short_link_tags st ON st.tag_id = t.id
+     WHERE t.user_id = ?
+     GROUP BY t.id
+     ORDER BY t.is_encrypted ASC, t.name ASC`,
+    [userId]
+  );
+  return rows.map(toTag);
+}
+
+/**
+ * Create a tag. Throws errors with status 400 (invalid name or too many tags) or 409 (duplicate name).
+ */
+export async function createTag(userId, name, encrypted = false) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+
+  const normalized = normalizeTagName(name, encrypted);
+  if (normalized.error) fail(normalized.error, 400);
+
+  await ensureLinkTagsTables();
+  const countRows = await query('SELECT COUNT(*) AS total FROM link_tags WHERE user_id = ?', [userId]);
+  if (Number(countRows[0]?.total || 0) >= MAX_TAGS_PER_USER) fail(`You can have at most ${MAX_TAGS_PER_USER} tags`, 400);
+
+  try {
+    const res = await query(
+      'INSERT INTO link_tags (user_id, name, is_encrypted) VALUES (?, ?, ?)',
+      [userId, normalized.name, !!encrypted]
+    );
+    return { id: Number(res.insertId), name: normalized.name, encrypted: !!encrypted, linkCount: 0 };
+  } catch (err) {
+    if (err && err.code === 'ER_DUP_ENTRY') fail('You already have a tag with that name', 409);
+    throw err;
+  }
+}
+
+/**
+ * Delete a tag (its links are kept); returns false if the user has no such tag
+ */
+export async function deleteTag(userId, tagId) {
+  await ensureLinkTagsTables();
+  const res = await query('DELETE FROM link_tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+  return !!res && res.affectedRows > 0;
+}
+
+/**
+ * Check that every tag id belongs to the user; throws an error with status 400 otherwise
+ */
+export async function assertOwnTags(userId, tagIds) {
+  if (tagIds.length === 0) return;
+  await ensureLinkTagsTables();
+  const rows = await query(
+    `SELECT COUNT(*) AS total FROM link_tags WHERE user_id = ? AND id IN (${tagIds.map(() => '?').join(', ')})`,
+    [userId, ...tagIds]
+  );
+  if (Number(rows[0]?.total || 0) !== tagIds.length) {
+    const err = new Error('Unknown tag');
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Add tags to links by id (callers check ownership of both)
+ */
+export async function addTagsToLinks(linkIds, tagIds) {
+  if (linkIds.length === 0 || tagIds.length === 0) return;
+  await ensureLinkTagsTables();
+  const pairs = linkIds.flatMap(linkId => tagIds.map(tagId => [linkId, tagId]));
+  await query(
+    `INSERT IGNORE INTO short_link_tags (link_id, tag_id) VALUES ${pairs.map(() => '(?, ?)').join(', ')}`,
+    pairs.flat()
+  );
+}
+
+/**
+ * Replace the tags of one of the user's links. Returns false if the link does not exist;
+ * throws status 400 for tags the user does not own.
+ */
+export async function setLinkTags(userId, code, tagIds) {
+  await ensureLinkTagsTables();
+  const links = await query('SELECT id FROM short_links WHERE short_code = ? AND user_id = ? LIMIT 1', [code, userId]);
+  if (!links || links.length === 0) return false;
+  await assertOwnTags(userId, tagIds);
+
+  const linkId = links[0].id;
+  await query('DELETE FROM short_link_tags WHERE link_id = ?', [linkId]);
+  await addTagsToLinks([linkId], tagIds);
+  return true;
+}
+
+/**
+ * Tag ids of each link, as a Map of link id (string) to an array of tag ids
+ */
+export async function tagIdsForLinks(linkIds) {
+  const byLink = new Map();
+  if (linkIds.length === 0) return byLink;
+  await ensureLinkTagsTables();
+  // Exports can cover every link of a user; keep each IN list well below the placeholder limit
+  for (let i = 0; i < linkIds.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = linkIds.slice(i, i + LOOKUP_BATCH_SIZE);
+    const rows = await query(
+      `SELECT link_id, tag_id FROM short_link_tags WHERE link_id IN (${batch.map(() => '?').join(', ')})`,
+      batch
+    );
+    for (const row of rows) {
+      const key = String(row.link_id);
+      if (!byLink.has(key)) byLink.set(key, []);
+      byLink.get(key).push(Number(row.tag_id));
+    }
+  }
+  return byLink;
+}
+
+/**
+ * Short codes of the user's links carrying a tag (for bulk actions)
+ */
+export async function codesWithTag(userId, tagId) {
+  await ensureLinkTagsTables();
+  const rows = await query(
+    `SELECT l.short_code
+     FROM short_links l
+     JOIN short_link_tags st ON st.link_id = l.id
+     WHERE l.user_id = ? AND st.tag_id = ?`,
+    [userId, tagId]
+  );
+  return rows.map(row => row.short_code);
+}
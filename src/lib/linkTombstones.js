@@ -0,0 +1,87 @@
+// @ts-nocheck
+// Deleted links become tombstones instead of disappearing outright.
+// A tombstoned row keeps its short code (so nothing else can be allocated to it)
+// but loses its destination, owner, revision history, statistics and tags. Visitors see
+// "this link was removed" until the quarantine period
+// (features.linkShortener.deleted_code_quarantine_days) has passed; the row is then
+// deleted and the code returns to recycled_codes. A quarantine of 0 days deletes
+// and recycles immediately. Links ended at their expiry date or visit limit are
+// tombstoned with EXPIRED_REASON and keep showing "this link has expired".
+
+import { query } from './db.js';
+import { getConfig } from './config.js';
+import { recycleCode } from './codegen.js';
+import { ensureLinkRevisionsTable } from './linkRevisions.js';
+import { ensureLinkStatsTable } from './linkAnalytics.js';
+import { ensureLinkTagsTables } from './linkTags.js';
+
+const RELEASE_BATCH_SIZE = 200;
+
+// status_reason of the tombstones of links that expired rather than being deleted
+export const EXPIRED_REASON = 'Expired';
+
+function quarantineDays() {
+  const days = getConfig().features?.linkShortener?.deleted_code_quarantine_days;
+  return Number.isInteger(days) && days > 0 ? days : 0;
+}
+
+/**
+ * Delete a link, tombstoning it during the quarantine period.
+ * With userId, only a link owned by that user is deleted. Returns true if a link was deleted.
+ */
+export async function deleteLink(code, { userId = null, reason = null } = {}) {
+  const ownerClause = userId != null ? ' AND user_id = ?' : '';
+  const params = userId != null ? [code, userId] : [code];
+
+  if (quarantineDays() === 0) {
+    const res = await query(`DELETE FROM short_links WHERE short_code = ?${ownerClause}`, params);
+    if (!res || res.affectedRows === 0) return false;
+    await recycleCode(code);
+    return true;
+  }
+
+  const rows = await query(
+    `SELECT id FROM short_links WHERE short_code = ? AND status != 'tombstoned'${ownerClause} LIMIT 1`,
+    params
+  );
+  if (!rows || rows.length === 0) return false;
+  const linkId = rows[0].id;
+
+  await query(
+    `UPDATE short_links
+     SET status = 'tombstoned', status_reason = ?, tombstoned_at = NOW(),
+         original_url = '', user_id = NULL, analytics_enabled = FALSE
+     WHERE id = ?`,
+    [reason, linkId]
+  );
+  await ensureLinkRevisionsTable();
+  await ensureLinkStatsTable();
+  await query('DELETE FROM short_link_revisions WHERE link_id = ?', [linkId]);
+  await query('DELETE FROM short_link_daily_stats WHERE link_id = ?', [linkId]);
+  await ensureLinkTagsTables();
+  await query('DELETE FROM short_link_tags WHERE link_id = ?', [linkId]);
+  return true;
+}
+
+/**
+ * Remove tombstones whose quarantine has ended and recycle their codes
+ */
+export async function releaseQuarantinedCodes() {
+  const days = quarantineDays();
+  const rows = await query(
+    `SELECT short_code FROM short_links
+     WHERE status = 'tombstoned' AND tombstoned_at < (NOW() - INTERVAL ? DAY)
+     LIMIT ${RELEASE_BATCH_SIZE}`,
+    [days]
+  );
+
+  let released = 0;
+  for (const row of rows) {
+    const res = await query("DELETE FROM short_links WHERE short_code = ? AND status = 'tombstoned'", [row.short_code]);
+    if (res?.affectedRows > 0) {
+      released += res.affectedRows;
+      await recycleCode(row.short_code);
+    }
+  }
+  return released;
+}
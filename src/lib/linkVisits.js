@@ -0,0 +1,30 @@
+// @ts-nocheck
+// Visit counting for short links. Links with an expiry date (expires_at) or a maximum
+// number of visits (max_uses) only count, and only redirect, while they are within
+// those limits: the check and the count are one conditional update, so of concurrent
+// visits only as many succeed as the link has visits left. prune.js later tombstones
+// links past their limits (see linkTombstones.js EXPIRED_REASON).
+
+import { query } from './db.js';
+
+/**
+ * Count a visit to a link row ({ id, expires_at, max_uses }). Returns false, without
+ * counting, if the link has expired or used up its visits; [code].astro then answers 410.
+ */
+export async function countLinkVisit(link) {
+  if (link.expires_at == null && link.max_uses == null) {
+    // Fire-and-forget usage update
+    query('UPDATE short_links SET usage_count = usage_count + 1, last_accessed = NOW() WHERE id = ?', [link.id])
+      .catch(err => console.error('Failed to update usage_count', err));
+    return true;
+  }
+
+  const result = await query(
+    `UPDATE short_links SET usage_count = usage_count + 1, last_accessed = NOW()
+     WHERE id = ?
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND (max_uses IS NULL OR usage_count < max_uses)`,
+    [link.id]
+  );
+  return !!result && result.affectedRows > 0;
+}
@@ -0,0 +1,76 @@
+// @ts-nocheck
+// Browser-side formats of the pastebin (no server imports, so pages can bundle it).
+//
+// Encrypted paste envelope: the text an encrypted paste encrypts is a small header
+// followed by the paste itself, so details like the language stay inside the ciphertext:
+//   "\u0000" + JSON header + "\n" + text
+// Pastes created before the envelope existed are plain text and are read as such.
+//
+// Fragment: the part of a paste URL after '#' holds the decryption key of
+// encryptedAndDecryptionKeyInURL pastes and/or a line selection, joined with '&':
+//   #<key>, #L12, #L10-L20, #<key>&L10-L20
+
+const ENVELOPE_MARKER = '\u0000';
+
+// Largest header sealPasteText writes; the server allows this on top of max_length
+export const MAX_ENVELOPE_HEADER_BYTES = 64;
+
+const LINES_REGEX = /^L(\d+)(?:-L(\d+))?$/;
+
+/**
+ * Wrap paste text and its header fields for encryption
+ */
+export function sealPasteText(text, { language = null } = {}) {
+  const header = JSON.stringify(language ? { language } : {});
+  if (header.length + 2 > MAX_ENVELOPE_HEADER_BYTES) throw new Error('Paste header too long');
+  return `${ENVELOPE_MARKER}${header}\n${text}`;
+}
+
+/**
+ * Inverse of sealPasteText; returns { text, language } (language null when unset)
+ */
+export function openPasteText(sealed) {
+  if (!sealed.startsWith(ENVELOPE_MARKER)) return { text: sealed, language: null };
+  const end = sealed.indexOf('\n');
+  if (end === -1) return { text: sealed, language: null };
+  try {
+    const header = JSON.parse(sealed.slice(1, end));
+    return {
+      text: sealed.slice(end + 1),
+      language: typeof header?.language === 'string' ? header.language : null,
+    };
+  } catch {
+    return { text: sealed, language: null };
+  }
+}
+
+/**
+ * Parse a URL fragment (with or without '#'); returns { key, lines } where lines is
+ * { start, end } (1-based, start <= end) or null
+ */
+export function parseFragment(hash) {
+  let key = null;
+  let lines = null;
+  for (const part of String(hash || '').replace(/^#/, '').split('&')) {
+    if (!part) continue;
+    const match = LINES_REGEX.exec(part);
+    if (match) {
+      const a = Number(match[1]);
+      const b = match[2] ? Number(match[2]) : a;
+      if (a >= 1 && b >= 1) lines = { start: Math.min(a, b), end: Math.max(a, b) };
+    } else if (key === null) {
+      key = part;
+    }
+  }
+  return { key, lines };
+}
+
+/**
+ * Build a fragment (without '#') from a key and a line selection; '' when both are empty
+ */
+export function buildFragment({ key = null, lines = null } = {}) {
+  const parts = [];
+  if (key) parts.push(key);
+  if (lines) parts.push(lines.start === lines.end ? `L${lines.start}` : `L${lines.start}-L${lines.end}`);
+  return parts.join('&');
+}
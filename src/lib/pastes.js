@@ -0,0 +1,252 @@
+// @ts-nocheck
+// Pastebin storage. A paste is either plaintext or a ciphertext produced in the browser
+// (see browserCrypto.js) with a key that never reaches the server: a random key carried
+// in the URL fragment (encryptedAndDecryptionKeyInURL) or a passphrase shared separately.
+// Codes come from codegen.js and share its namespace with short links; pastes are
+// served at /p/<code>.
+// features.paste.max_length limits the UTF-8 size of the text in bytes. For encrypted
+// pastes only the ciphertext is visible, so its size is checked instead (the fixed
+// encryption and envelope overhead is allowed on top).
+// Plaintext pastes store their language (a syntaxHighlight.js id) in a column; encrypted
+// pastes keep it inside the ciphertext (see pasteFormat.js).
+// A paste may expire at a chosen time, or burn after reading: the first open wipes it
+// with a conditional update, so only one visitor can ever receive the content. Ended
+// pastes (status 'burned' or 'expired') keep their row without content, so visitors see
+// "already viewed / expired" and the code stays taken until the quarantine period
+// (features.paste.code_quarantine_days) has passed; prune.js then
+// deletes the row and recycles the code.
+// Pastes larger than features.paste.storage_threshold bytes are kept in the storage
+// backend (storage/index.js) as pastes/<id> instead of the content column (in_storage).
+
+import { query } from './db.js';
+import { getConfig } from './config.js';
+import { recycleCode } from './codegen.js';
+import { getStorage, readStorageText } from './storage/index.js';
+import { ENCRYPTION_OVERHEAD } from './browserCrypto.js';
+import { MAX_ENVELOPE_HEADER_BYTES } from './pasteFormat.js';
+import { LANGUAGE_IDS } from './syntaxHighlight.js';
+
+export const PASTE_SECURITY_MODES = ['plaintext', 'encryptedAndDecryptionKeyInURL', 'passphrase'];
+
+export const MAX_PASTE_EXPIRY_MS = 1000 * 60 * 60 * 24 * 3650; // 10 years
+
+const SWEEP_BATCH_SIZE = 200;
+
+const ENCRYPTED_PAYLOAD_REGEX = /^[A-Za-z0-9_-]+$/;
+
+let ensured = false;
+
+export async function ensurePastesTable() {
+  if (ensured) return;
+  await query(`CREATE TABLE IF NOT EXISTS pastes (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    short_code VARCHAR(16) NOT NULL UNIQUE,
+    content MEDIUMTEXT NOT NULL,
+    security_mode VARCHAR(32) NOT NULL DEFAULT 'plaintext',
+    language VARCHAR(32) NULL,
+    user_id BIGINT UNSIGNED NULL,
+    visitor_uuid CHAR(36) NULL,
+    ip VARCHAR(45) NULL,
+    api_token_id BIGINT UNSIGNED NULL,
+    burn_after_read BOOLEAN NOT NULL DEFAULT FALSE,
+    in_storage BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'active',
+    ended_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id),
+    INDEX idx_created (created_at),
+    INDEX idx_uuid_created (visitor_uuid, created_at),
+    INDEX idx_ip_created (ip, created_at),
+    INDEX idx_status_expires (status, expires_at),
+    INDEX idx_status_ended (status, ended_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  try { await query('ALTER TABLE pastes ADD COLUMN language VARCHAR(32) NULL AFTER security_mode'); } catch {}
+  try { await query('ALTER TABLE pastes ADD COLUMN burn_after_read BOOLEAN NOT NULL DEFAULT FALSE AFTER api_token_id'); } catch {}
+  try { await query('ALTER TABLE pastes ADD COLUMN expires_at TIMESTAMP NULL DEFAULT NULL AFTER burn_after_read'); } catch {}
+  try { await query("ALTER TABLE pastes ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'active' AFTER expires_at"); } catch {}
+  try { await query('ALTER TABLE pastes ADD COLUMN ended_at TIMESTAMP NULL DEFAULT NULL AFTER status'); } catch {}
+  try { await query('ALTER TABLE pastes ADD COLUMN in_storage BOOLEAN NOT NULL DEFAULT FALSE AFTER burn_after_read'); } catch {}
+  try { await query('ALTER TABLE pastes ADD INDEX idx_status_expires (status, expires_at)'); } catch {}
+  try { await query('ALTER TABLE pastes ADD INDEX idx_status_ended (status, ended_at)'); } catch {}
+  ensured = true;
+}
+
+/**
+ * Validate the content of a new paste; returns an error message or null
+ */
+export function validatePasteContent(content, securityMode, maxLength) {
+  if (!PASTE_SECURITY_MODES.includes(securityMode)) return 'Invalid security mode';
+  if (typeof content !== 'string' || content.length === 0) return 'Paste is empty';
+
+  if (securityMode === 'plaintext') {
+    if (!content.trim()) return 'Paste is empty';
+    if (Buffer.byteLength(content, 'utf8') > maxLength) {
+      return `Paste is too long (at most ${maxLength} bytes)`;
+    }
+    return null;
+  }
+
+  if (!ENCRYPTED_PAYLOAD_REGEX.test(content)) return 'Invalid encrypted paste';
+  // Decoded size of the base64url payload (no padding)
+  const payloadBytes = Math.floor((content.length * 3) / 4);
+  if (payloadBytes > maxLength + ENCRYPTION_OVERHEAD + MAX_ENVELOPE_HEADER_BYTES) {
+    return `Paste is too long (at most ${maxLength} bytes)`;
+  }
+  return null;
+}
+
+/**
+ * Whether a language id can be stored with a paste
+ */
+export const isPasteLanguage = (language) => LANGUAGE_IDS.includes(language);
+
+/**
+ * Parse the requested expiry of a new paste (an ISO 8601 timestamp, empty for none);
+ * returns { expiresAt } (a Date or null) or { error }
+ */
+export function parsePasteExpiry(value, now = Date.now()) {
+  if (value == null || value === '') return { expiresAt: null };
+  const expiresAt = new Date(value.toString());
+  const remaining = expiresAt.getTime() - now;
+  if (Number.isNaN(remaining) || remaining <= 0 || remaining > MAX_PASTE_EXPIRY_MS) {
+    return { error: 'Expiry must be a future date within 10 years' };
+  }
+  return { expiresAt };
+}
+
+const storageKey = (id) => `pastes/${id}`;
+
+const isTrue = (value) => value === 1 || value === true;
+
+/**
+ * Store a paste under an allocated code; returns the new row id
+ */
+export async function createPaste({ code, content, securityMode, language = null, burnAfterRead = false, expiresAt = null, userId = null, visitorUuid = null, ip = null, apiTokenId = null }) {
+  await ensurePastesTable();
+  const bytes = Buffer.byteLength(content, 'utf8');
+  const inStorage = bytes > getConfig().features.paste.storage_threshold;
+  const res = await query(
+    'INSERT INTO pastes (short_code, content, security_mode, language, burn_after_read, in_storage, expires_at, user_id, visitor_uuid, ip, api_token_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [code, inStorage ? '' : content, securityMode, language, burnAfterRead, inStorage, expiresAt, userId, visitorUuid, ip, apiTokenId]
+  );
+  if (inStorage) {
+    try {
+      await getStorage().put(storageKey(res.insertId), content, bytes);
+    } catch (err) {
+      await query('DELETE FROM pastes WHERE id = ?', [res.insertId]);
+      throw err;
+    }
+  }
+  return res.insertId;
+}
+
+async function readStoredContent(id) {
+  const content = await readStorageText(storageKey(id));
+  if (content === null) throw new Error(`Content of paste ${id} is missing from storage`);
+  return content;
+}
+
+async function removeStoredContent(row) {
+  if (isTrue(row.in_storage)) await getStorage().delete(storageKey(row.id));
+}
+
+/**
+ * A paste by code, or null. status is 'active', 'burned' or 'expired'; a paste past
+ * its expiry counts as expired even before the sweep has ended it. The content of a
+ * burn-after-read paste is left empty (only burnPaste hands it out).
+ */
+export async function findPaste(code) {
+  await ensurePastesTable();
+  const rows = await query(
+    `SELECT id, short_code, content, security_mode, language, burn_after_read, in_storage, expires_at, created_at,
+            CASE WHEN status = 'active' AND expires_at <= NOW() THEN 'expired' ELSE status END AS status
+     FROM pastes WHERE short_code = ? LIMIT 1`,
+    [code]
+  );
+  if (!rows || rows.length === 0) return null;
+  const row = rows[0];
+  const paste = { ...row, burn_after_read: isTrue(row.burn_after_read), in_storage: isTrue(row.in_storage) };
+  if (paste.burn_after_read) paste.content = '';
+  else if (paste.in_storage && paste.status === 'active') paste.content = await readStoredContent(paste.id);
+  return paste;
+}
+
+/**
+ * Open a burn-after-read paste: returns it with its content and wipes it in the same
+ * step, so concurrent opens cannot both succeed. Returns null if the paste does not
+ * exist; a paste that has already ended comes back with its status and no content.
+ */
+export async function burnPaste(code) {
+  const paste = await findPaste(code);
+  if (!paste || paste.status !== 'active' || !paste.burn_after_read) return paste;
+
+  const [row] = await query('SELECT content FROM pastes WHERE id = ?', [paste.id]);
+  if (!paste.in_storage) paste.content = row?.content ?? '';
+  const res = await query(
+    `UPDATE pastes SET status = 'burned', content = '', ended_at = NOW()
+     WHERE id = ? AND status = 'active' AND (expires_at IS NULL OR expires_at > NOW())`,
+    [paste.id]
+  );
+  if (!res || res.affectedRows === 0) {
+    // Someone else opened it (or it expired) in the meantime
+    return findPaste(code);
+  }
+  // Only the request that won the update gets here, so the content is read exactly once
+  let content = paste.content;
+  if (paste.in_storage) {
+    content = await readStoredContent(paste.id);
+    await removeStoredContent(paste);
+  }
+  return { ...paste, content };
+}
+
+/**
+ * End active pastes past their expiry; returns the number of pastes ended
+ */
+export async function endExpiredPastes() {
+  await ensurePastesTable();
+  const rows = await query(
+    `SELECT id, in_storage FROM pastes
+     WHERE status = 'active' AND expires_at <= NOW()
+     LIMIT ${SWEEP_BATCH_SIZE}`
+  );
+  let ended = 0;
+  for (const row of rows) {
+    const res = await query(
+      "UPDATE pastes SET status = 'expired', content = '', ended_at = NOW() WHERE id = ? AND status = 'active'",
+      [row.id]
+    );
+    if (res?.affectedRows > 0) {
+      await removeStoredContent(row);
+      ended += 1;
+    }
+  }
+  return ended;
+}
+
+/**
+ * Delete ended pastes whose quarantine has passed and recycle their codes
+ */
+export async function releaseEndedPasteCodes() {
+  await ensurePastesTable();
+  const days = getConfig().features.paste.code_quarantine_days;
+  const rows = await query(
+    `SELECT id, short_code, in_storage FROM pastes
+     WHERE status != 'active' AND ended_at < (NOW() - INTERVAL ? DAY)
+     LIMIT ${SWEEP_BATCH_SIZE}`,
+    [Number.isInteger(days) && days > 0 ? days : 0]
+  );
+
+  let released = 0;
+  for (const row of rows) {
+    const res = await query("DELETE FROM pastes WHERE id = ? AND status != 'active'", [row.id]);
+    if (res?.affectedRows > 0) {
+      released += res.affectedRows;
+      // The content is normally gone already; make sure nothing is left behind
+      await removeStoredContent(row);
+      await recycleCode(row.short_code);
+    }
+  }
+  return released;
+}
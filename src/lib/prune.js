@@ -4,10 +4,23 @@
 // based on configured delete_unused_after_days.
 // If last_accessed is NULL we fall back to created_at.
 // We perform small batched deletions to avoid large locks.
+// Links past their expires_at or max_uses are deleted as well.
+// Deleted links are tombstoned first (see linkTombstones.js); tombstones past their
+// quarantine are removed here and only then are their codes recycled.
+// The same scheduler also sweeps expired WebAuthn challenges, pending 2FA logins
+// and link statistics past their retention period, ends expired pastes and releases
+// the codes of ended pastes (see pastes.js), deletes abandoned and expired
+// file uploads (see uploads.js) and ends idle chat rooms (see chat.js).
 
 import { query } from './db.js';
 import { getConfig } from './config.js';
-import { recycleCode } from './codegen.js';
+import { deleteLink, releaseQuarantinedCodes, EXPIRED_REASON } from './linkTombstones.js';
+import { pruneExpiredChallenges } from './auth/webauthnChallenges.js';
+import { pruneExpiredPendingLogins } from './auth/preAuth.js';
+import { pruneOldLinkStats } from './linkAnalytics.js';
+import { endExpiredPastes, releaseEndedPasteCodes } from './pastes.js';
+import { pruneStaleUploads, endExpiredUploads, releaseEndedUploadCodes } from './uploads.js';
+import { endIdleChatRooms, releaseEndedChatRoomCodes } from './chat.js';
 
 let lastPruneRun = 0; // epoch ms
 const MIN_INTERVAL_MS = 5 * 60 * 1000; // run at most every 5 minutes per process
@@ -24,7 +37,8 @@ export async function pruneOldLinks() {
     const stale = await query(
       `SELECT short_code
          FROM short_links
-        WHERE COALESCE(last_accessed, created_at) < (NOW() - INTERVAL ? DAY)
+        WHERE status != 'tombstoned'
+          AND COALESCE(last_accessed, created_at) < (NOW() - INTERVAL ? DAY)
         ORDER BY COALESCE(last_accessed, created_at) ASC
         LIMIT ${BATCH_SIZE}`,
       [days]
@@ -39,10 +53,8 @@ export async function pruneOldLinks() {
       const code = row?.short_code;
       if (!code) continue;
 
-      const res = await query('DELETE FROM short_links WHERE short_code = ?', [code]);
-      if (res?.affectedRows > 0) {
-        deleted += res.affectedRows;
-        await recycleCode(code);
+      if (await deleteLink(code, { reason: 'Unused' })) {
+        deleted += 1;
       }
     }
 
@@ -53,6 +65,37 @@ export async function pruneOldLinks() {
   }
 }
 
+export async function pruneExpiredLinks() {
+  try {
+    const expired = await query(
+      `SELECT short_code
+         FROM short_links
+        WHERE status != 'tombstoned'
+          AND (expires_at <= NOW() OR (max_uses IS NOT NULL AND usage_count >= max_uses))
+        LIMIT ${BATCH_SIZE}`
+    );
+
+    if (!Array.isArray(expired) || expired.length === 0) {
+      return { affected: 0 };
+    }
+
+    let deleted = 0;
+    for (const row of expired) {
+      const code = row?.short_code;
+      if (!code) continue;
+
+      if (await deleteLink(code, { reason: EXPIRED_REASON })) {
+        deleted += 1;
+      }
+    }
+
+    return { affected: deleted };
+  } catch (err) {
+    console.error('Prune expired links error', err);
+    return { error: true };
+  }
+}
+
 export function schedulePrune() {
   const now = Date.now();
   if (now - lastPruneRun < MIN_INTERVAL_MS) return; // too soon
@@ -63,4 +106,64 @@ export function schedulePrune() {
       console.log(`[prune] Deleted ${r.affected} stale short_links rows`);
     }
   }).catch(e => console.error('[prune] failure', e));
+  pruneExpiredLinks().then(r => {
+    if (r.affected) {
+      console.log(`[prune] Deleted ${r.affected} expired short_links rows`);
+    }
+  }).catch(e => console.error('[prune] expired link failure', e));
+  releaseQuarantinedCodes().then(n => {
+    if (n) {
+      console.log(`[prune] Released ${n} quarantined short codes`);
+    }
+  }).catch(e => console.error('[prune] quarantine release failure', e));
+  pruneExpiredChallenges().then(n => {
+    if (n) {
+      console.log(`[prune] Deleted ${n} expired webauthn_challenges rows`);
+    }
+  }).catch(e => console.error('[prune] challenge failure', e));
+  pruneExpiredPendingLogins().then(n => {
+    if (n) {
+      console.log(`[prune] Deleted ${n} expired pending_logins rows`);
+    }
+  }).catch(e => console.error('[prune] pending login failure', e));
+  pruneOldLinkStats().then(n => {
+    if (n) {
+      console.log(`[prune] Deleted ${n} old short_link_daily_stats rows`);
+    }
+  }).catch(e => console.error('[prune] link stats failure', e));
+  endExpiredPastes().then(n => {
+    if (n) {
+      console.log(`[prune] Ended ${n} expired pastes`);
+    }
+  }).catch(e => console.error('[prune] expired paste failure', e));
+  releaseEndedPasteCodes().then(n => {
+    if (n) {
+      console.log(`[prune] Released ${n} codes of ended pastes`);
+    }
+  }).catch(e => console.error('[prune] paste release failure', e));
+  pruneStaleUploads().then(n => {
+    if (n) {
+      console.log(`[prune] Deleted ${n} abandoned uploads`);
+    }
+  }).catch(e => console.error('[prune] stale upload failure', e));
+  endExpiredUploads().then(n => {
+    if (n) {
+      console.log(`[prune] Deleted the files of ${n} expired uploads`);
+    }
+  }).catch(e => console.error('[prune] expired upload failure', e));
+  releaseEndedUploadCodes().then(n => {
+    if (n) {
+      console.log(`[prune] Released ${n} codes of expired uploads`);
+    }
+  }).catch(e => console.error('[prune] upload release failure', e));
+  endIdleChatRooms().then(n => {
+    if (n) {
+      console.log(`[prune] Ended ${n} idle chat rooms`);
+    }
+  }).catch(e => console.error('[prune] idle chat room failure', e));
+  releaseEndedChatRoomCodes().then(n => {
+    if (n) {
+      console.log(`[prune] Released ${n} codes of ended chat rooms`);
+    }
+  }).catch(e => console.error('[prune] chat room release failure', e));
 }
@@ -1,10 +1,13 @@
 // @ts-nocheck
-// Rate limiting utilities for link shortener
-// Strategy: store visitor_uuid and ip with each short_links row.
+// Rate limiting utilities for link shortener, pastebin, file drop and chat rooms
+// Strategy: store visitor_uuid and ip with each short_links (or pastes, uploads, chat_rooms) row.
 // We count rows created in the last hour for either identifier and enforce a per-hour limit.
 
 import { query } from './db.js';
 import { getConfig } from './config.js';
+import { ensurePastesTable } from './pastes.js';
+import { ensureUploadsTable } from './uploads.js';
+import { ensureChatTables } from './chat.js';
 
 // Normalize IP to binary (supports IPv4 & IPv6). For simplicity use inet6_aton equivalent in JS.
 // For rate limiting we store ip as plain VARCHAR(45) (fits IPv6) inside short_links table.
@@ -24,11 +27,23 @@ export async function ensureShortLinksExtended() {
     security_mode VARCHAR(32) NOT NULL DEFAULT 'plaintext',
     encryption_key TEXT NULL,
     is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+    api_token_id BIGINT UNSIGNED NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    max_uses INT UNSIGNED NULL DEFAULT NULL,
+    analytics_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    force_preview BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(16) NOT NULL DEFAULT 'active',
+    status_reason VARCHAR(255) NULL,
+    tombstoned_at TIMESTAMP NULL DEFAULT NULL,
     INDEX idx_user_id (user_id),
+    INDEX idx_user_created (user_id, created_at),
     INDEX idx_created (created_at),
     INDEX idx_uuid_created (visitor_uuid, created_at),
     INDEX idx_ip_created (ip, created_at),
-    INDEX idx_last_accessed (last_accessed)
+    INDEX idx_last_accessed (last_accessed),
+    INDEX idx_api_token_created (api_token_id, created_at),
+    INDEX idx_expires_at (expires_at),
+    INDEX idx_status_tombstoned (status, tombstoned_at)
   ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
   // Attempt to add missing columns (will error harmlessly if they exist). We swallow errors.
   try { await query('ALTER TABLE short_links ADD COLUMN visitor_uuid CHAR(36) NULL'); } catch {}
@@ -43,6 +58,18 @@ export async function ensureShortLinksExtended() {
   try { await query('CREATE INDEX idx_uuid_created ON short_links (visitor_uuid, created_at)'); } catch {}
   try { await query('CREATE INDEX idx_ip_created ON short_links (ip, created_at)'); } catch {}
   try { await query('CREATE INDEX idx_last_accessed ON short_links (last_accessed)'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN api_token_id BIGINT UNSIGNED NULL'); } catch {}
+  try { await query('CREATE INDEX idx_api_token_created ON short_links (api_token_id, created_at)'); } catch {}
+  try { await query('CREATE INDEX idx_user_created ON short_links (user_id, created_at)'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN expires_at TIMESTAMP NULL DEFAULT NULL'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN max_uses INT UNSIGNED NULL DEFAULT NULL'); } catch {}
+  try { await query('CREATE INDEX idx_expires_at ON short_links (expires_at)'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN analytics_enabled BOOLEAN NOT NULL DEFAULT FALSE'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN force_preview BOOLEAN NOT NULL DEFAULT FALSE'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT \'active\''); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN status_reason VARCHAR(255) NULL'); } catch {}
+  try { await query('ALTER TABLE short_links ADD COLUMN tombstoned_at TIMESTAMP NULL DEFAULT NULL'); } catch {}
+  try { await query('CREATE INDEX idx_status_tombstoned ON short_links (status, tombstoned_at)'); } catch {}
 }
 
 export async function checkLinkShortenAllowed({ visitorUuid, ip }) {
@@ -79,9 +106,12 @@ export async function checkLinkShortenAllowed({ visitorUuid, ip }) {
   const userAllowed = byUuid < perUserLimit && byIp < perUserLimit;
   const globalAllowed = globalCount < globalLimit;
   const allowed = userAllowed && globalAllowed;
+  // Links that may still be created in this window (bulk creation takes up to this many)
+  const remaining = Math.max(0, Math.min(perUserLimit - Math.max(byUuid, byIp), globalLimit - globalCount));
   
   return { 
     allowed, 
+    remaining,
     byUuid, 
     byIp, 
     globalCount,
@@ -91,3 +121,154 @@ export async function checkLinkShortenAllowed({ visitorUuid, ip }) {
   };
 }
 
+
+// API token requests get their own bucket: CI jobs and bots often share an IP
+// and have no visitor cookie, so they are limited per token owner instead. All
+// tokens of a user share one bucket, so holding several tokens does not raise
+// the limit (the global limit still applies).
+export async function checkApiTokenShortenAllowed({ userId }) {
+  await ensureShortLinksExtended();
+  const cfg = getConfig();
+  const perUserLimit = cfg.limits.apiTokenLinksPerHour;
+  const globalLimit = cfg.limits.linkShortenerGlobalPerHour;
+  const windowMinutes = cfg.limits.rateLimitWindowMinutes || 60;
+
+  const windowIntervalSQL = `NOW() - INTERVAL ${windowMinutes} MINUTE`;
+
+  const userRows = await query(
+    `SELECT COUNT(*) AS total
+     FROM short_links
+     WHERE user_id = ? AND api_token_id IS NOT NULL AND created_at >= (${windowIntervalSQL})`,
+    [userId]
+  );
+  const byUser = Number(userRows[0].total || 0);
+
+  const globalRows = await query(
+    `SELECT COUNT(*) AS total
+     FROM short_links
+     WHERE created_at >= (${windowIntervalSQL})`
+  );
+  const globalCount = Number(globalRows[0].total || 0);
+
+  const allowed = byUser < perUserLimit && globalCount < globalLimit;
+  const remaining = Math.max(0, Math.min(perUserLimit - byUser, globalLimit - globalCount));
+
+  return {
+    allowed,
+    remaining,
+    byUser,
+    globalCount,
+    limit: perUserLimit,
+    globalLimit,
+    windowMinutes
+  };
+}
+
+// Pastes have their own limits (they can be far larger than links); signed-in and
+// anonymous creators alike are counted by visitor cookie and IP
+export async function checkPasteCreateAllowed({ visitorUuid, ip }) {
+  await ensurePastesTable();
+  const cfg = getConfig();
+  const perUserLimit = cfg.limits.pastesPerHour;
+  const globalLimit = cfg.limits.pastesGlobalPerHour;
+  const windowMinutes = cfg.limits.rateLimitWindowMinutes || 60;
+
+  const windowIntervalSQL = `NOW() - INTERVAL ${windowMinutes} MINUTE`;
+
+  const userRows = await query(
+    `SELECT
+      SUM(visitor_uuid = ?) AS by_uuid,
+      SUM(ip = ?) AS by_ip,
+      COUNT(*) AS total
+     FROM pastes
+     WHERE created_at >= (${windowIntervalSQL})`,
+    [visitorUuid, ip]
+  );
+  const byUuid = Number(userRows[0].by_uuid || 0);
+  const byIp = Number(userRows[0].by_ip || 0);
+  const globalCount = Number(userRows[0].total || 0);
+
+  const allowed = byUuid < perUserLimit && byIp < perUserLimit && globalCount < globalLimit;
+
+  return {
+    allowed,
+    byUuid,
+    byIp,
+    globalCount,
+    limit: perUserLimit,
+    globalLimit,
+    windowMinutes
+  };
+}
+
+// Started file uploads are counted like pastes (the upload quota limits their total size)
+export async function checkUploadCreateAllowed({ visitorUuid, ip }) {
+  await ensureUploadsTable();
+  const cfg = getConfig();
+  const perUserLimit = cfg.limits.uploadsPerHour;
+  const globalLimit = cfg.limits.uploadsGlobalPerHour;
+  const windowMinutes = cfg.limits.rateLimitWindowMinutes || 60;
+
+  const windowIntervalSQL = `NOW() - INTERVAL ${windowMinutes} MINUTE`;
+
+  const userRows = await query(
+    `SELECT
+      SUM(visitor_uuid = ?) AS by_uuid,
+      SUM(ip = ?) AS by_ip,
+      COUNT(*) AS total
+     FROM uploads
+     WHERE created_at >= (${windowIntervalSQL})`,
+    [visitorUuid, ip]
+  );
+  const byUuid = Number(userRows[0].by_uuid || 0);
+  const byIp = Number(userRows[0].by_ip || 0);
+  const globalCount = Number(userRows[0].total || 0);
+
+  const allowed = byUuid < perUserLimit && byIp < perUserLimit && globalCount < globalLimit;
+
+  return {
+    allowed,
+    byUuid,
+    byIp,
+    globalCount,
+    limit: perUserLimit,
+    globalLimit,
+    windowMinutes
+  };
+}
+
+// Chat rooms are counted like pastes (messages have their own per-minute limit, see chat.js)
+export async function checkChatRoomCreateAllowed({ visitorUuid, ip }) {
+  await ensureChatTables();
+  const cfg = getConfig();
+  const perUserLimit = cfg.limits.chatRoomsPerHour;
+  const globalLimit = cfg.limits.chatRoomsGlobalPerHour;
+  const windowMinutes = cfg.limits.rateLimitWindowMinutes || 60;
+
+  const windowIntervalSQL = `NOW() - INTERVAL ${windowMinutes} MINUTE`;
+
+  const userRows = await query(
+    `SELECT
+      SUM(visitor_uuid = ?) AS by_uuid,
+      SUM(ip = ?) AS by_ip,
+      COUNT(*) AS total
+     FROM chat_rooms
+     WHERE created_at >= (${windowIntervalSQL})`,
+    [visitorUuid, ip]
+  );
+  const byUuid = Number(userRows[0].by_uuid || 0);
+  const byIp = Number(userRows[0].by_ip || 0);
+  const globalCount = Number(userRows[0].total || 0);
+
+  const allowed = byUuid < perUserLimit && byIp < perUserLimit && globalCount < globalLimit;
+
+  return {
+    allowed,
+    byUuid,
+    byIp,
+    globalCount,
+    limit: perUserLimit,
+    globalLimit,
+    windowMinutes
+  };
+}
@@ -0,0 +1,39 @@
+// @ts-nocheck
+// Blob storage for large items (uploaded files, large pastes). The backend is chosen
+// with storage.driver in the config: 'local' (a directory, see local.js) or 's3' (any
+// S3-compatible service such as AWS S3 or MinIO, see s3.js). Every backend offers:
+//   put(key, body, length)  store `length` bytes from body (a byte array or string, or an
+//                           async iterable of byte arrays such as a request body, which is
+//                           streamed) under key, replacing any existing object
+//   get(key)                the object as a Node.js Readable stream, or null if missing
+//   size(key)               the object's size in bytes, or null if missing
+//   delete(key)             remove the object; missing objects are ignored
+// Keys are '/'-separated paths of [A-Za-z0-9._-] segments, e.g. uploads/12/0.
+
+import { getConfig } from '../config.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+let storage = null;
+
+/**
+ * The configured storage backend
+ */
+export function getStorage() {
+  if (!storage) {
+    const config = getConfig().storage;
+    storage = config.driver === 's3' ? createS3Storage(config.s3) : createLocalStorage(config.local);
+  }
+  return storage;
+}
+
+/**
+ * Read a whole object as UTF-8 text; null if it is missing
+ */
+export async function readStorageText(key) {
+  const stream = await getStorage().get(key);
+  if (!stream) return null;
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
@@ -0,0 +1,15 @@
+// @ts-nocheck
+// Storage keys: '/'-separated paths of [A-Za-z0-9._-] segments (see index.js)
+
+const KEY_SEGMENT_REGEX = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Throw unless key is a valid storage key; returns it
+ */
+export function checkStorageKey(key) {
+  const segments = typeof key === 'string' ? key.split('/') : [];
+  if (segments.length === 0 || !segments.every(s => KEY_SEGMENT_REGEX.test(s) && s !== '.' && s !== '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+}
@@ -0,0 +1,63 @@
+// @ts-nocheck
+// Storage backend keeping each object as a file under a directory (storage.local.dir).
+// Objects are written to a temporary file and renamed into place, so readers never see
+// a partial object.
+
+import crypto from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { mkdir, open, rename, rm, rmdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { checkStorageKey } from './keys.js';
+
+const toReadable = (body) => Readable.from(typeof body === 'string' || body instanceof Uint8Array ? [body] : body);
+
+export function createLocalStorage({ dir }) {
+  const root = path.resolve(dir);
+  const filePath = (key) => path.join(root, ...checkStorageKey(key).split('/'));
+
+  return {
+    async put(key, body, length) {
+      const file = filePath(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await pipeline(toReadable(body), createWriteStream(temp, { flags: 'wx' }));
+        const { size } = await stat(temp);
+        if (size !== length) throw new Error(`Stored ${size} bytes for ${key}, expected ${length}`);
+        await rename(temp, file);
+      } catch (err) {
+        await rm(temp, { force: true });
+        throw err;
+      }
+    },
+
+    async get(key) {
+      try {
+        const handle = await open(filePath(key), 'r');
+        return handle.createReadStream();
+      } catch (err) {
+        if (err?.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async size(key) {
+      try {
+        return (await stat(filePath(key))).size;
+      } catch (err) {
+        if (err?.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      const file = filePath(key);
+      await rm(file, { force: true });
+      // Drop the containing directory once it is empty (e.g. uploads/<id>/)
+      const parent = path.dirname(file);
+      if (parent !== root) await rmdir(parent).catch(() => {});
+    },
+  };
+}
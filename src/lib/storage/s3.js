@@ -0,0 +1,139 @@
+// @ts-nocheck
+// Storage backend for S3-compatible object stores (AWS S3, MinIO, ...), configured in
+// storage.s3. Requests are signed with AWS Signature Version 4; bodies are streamed
+// with a known Content-Length and sent as UNSIGNED-PAYLOAD, so large objects are never
+// held in memory.
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+import https from 'node:https';
+import { Readable } from 'node:stream';
+import { checkStorageKey } from './keys.js';
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const REQUEST_TIMEOUT_MS = 60_000;
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+const uriEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Sign a request with AWS Signature Version 4; returns the Authorization header value.
+ * `path` is the already encoded request path, `headers` maps lowercase names to values
+ * and must include host, x-amz-date and x-amz-content-sha256; all of them are signed.
+ */
+export function signRequest({ method, path, query = {}, headers, region, accessKeyId, secretAccessKey, service = 's3' }) {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const names = Object.keys(headers).map(n => n.toLowerCase()).sort();
+  const canonicalHeaders = names.map(n => `${n}:${String(headers[n]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(k => `${uriEncode(k)}=${uriEncode(String(query[k]))}`)
+    .join('&');
+  const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, headers['x-amz-content-sha256']].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+async function readBody(res) {
+  const chunks = [];
+  for await (const chunk of res) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function s3Error(res, method, key) {
+  const body = await readBody(res).catch(() => '');
+  const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1];
+  return new Error(`S3 ${method} ${key} failed with HTTP ${res.statusCode}${code ? ` (${code})` : ''}`);
+}
+
+export function createS3Storage({ endpoint, region, bucket, access_key_id, secret_access_key, path_style, prefix = '' }) {
+  const base = new URL(endpoint);
+  const client = base.protocol === 'https:' ? https : http;
+  const host = path_style ? base.host : `${bucket}.${base.host}`;
+
+  const objectPath = (key) => {
+    const encodedKey = `${prefix}${checkStorageKey(key)}`.split('/').map(uriEncode).join('/');
+    return path_style ? `/${uriEncode(bucket)}/${encodedKey}` : `/${encodedKey}`;
+  };
+
+  // Send a signed request; resolves with the response (an IncomingMessage) once headers arrive
+  function request(method, key, { body = null, length = 0 } = {}) {
+    const path = objectPath(key);
+    const headers = {
+      host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+    };
+    headers.authorization = signRequest({
+      method,
+      path,
+      headers,
+      region,
+      accessKeyId: access_key_id,
+      secretAccessKey: secret_access_key,
+    });
+    if (body) headers['content-length'] = String(length);
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: base.protocol,
+        hostname: path_style ? base.hostname : `${bucket}.${base.hostname}`,
+        port: base.port || undefined,
+        method,
+        path,
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+      }, resolve);
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      if (!body) {
+        req.end();
+        return;
+      }
+      const source = Readable.from(typeof body === 'string' || body instanceof Uint8Array ? [body] : body);
+      source.on('error', err => req.destroy(err));
+      source.pipe(req);
+    });
+  }
+
+  return {
+    async put(key, body, length) {
+      const res = await request('PUT', key, { body, length });
+      if (res.statusCode !== 200) throw await s3Error(res, 'PUT', key);
+      res.resume();
+    },
+
+    async get(key) {
+      const res = await request('GET', key);
+      if (res.statusCode === 404) {
+        res.resume();
+        return null;
+      }
+      if (res.statusCode !== 200) throw await s3Error(res, 'GET', key);
+      return res;
+    },
+
+    async size(key) {
+      const res = await request('HEAD', key);
+      res.resume();
+      if (res.statusCode === 404) return null;
+      if (res.statusCode !== 200) throw new Error(`S3 HEAD ${key} failed with HTTP ${res.statusCode}`);
+      return Number(res.headers['content-length']);
+    },
+
+    async delete(key) {
+      const res = await request('DELETE', key);
+      if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) throw await s3Error(res, 'DELETE', key);
+      res.resume();
+    },
+  };
+}
@@ -0,0 +1,299 @@
+// @ts-nocheck
+// Small client-side syntax highlighter for the paste viewer.
+// Highlighting runs in the browser so encrypted pastes never leave it in plaintext.
+// Each language is an ordered list of token rules (class name + regex without capturing
+// groups) that are combined into one scanner; identifiers go through the language's
+// keyword and literal lists. detectLanguage() scores the text against per-language
+// hints and is used when a paste has no language set.
+// Output is escaped HTML split into lines, with tokens as <span class="hl-<class>">.
+
+const words = (list) => new Set(list.split(/\s+/).filter(Boolean));
+
+// Rules shared by several languages
+const SLASH_COMMENT = ['comment', /\/\/[^\n]*/];
+const HASH_COMMENT = ['comment', /#[^\n]*/];
+const BLOCK_COMMENT = ['comment', /\/\*[\s\S]*?(?:\*\/|$(?![\s\S]))/];
+const DQ_STRING = ['string', /"(?:[^"\\\n]|\\.)*"?/];
+const SQ_STRING = ['string', /'(?:[^'\\\n]|\\.)*'?/];
+const BT_STRING = ['string', /`(?:[^`\\]|\\[\s\S])*`?/];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/];
+const WORD = ['word', /[A-Za-z_$][\w$]*/];
+
+const C_LIKE_RULES = [BLOCK_COMMENT, SLASH_COMMENT, DQ_STRING, SQ_STRING, NUMBER, WORD];
+const C_LITERALS = words('true false null NULL nullptr');
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+
+const MARKUP_RULES = [
+  ['comment', /<!--[\s\S]*?(?:-->|$(?![\s\S]))/],
+  ['meta', /<[!?][^>\n]*>?/],
+  ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/],
+  ['attr', /[A-Za-z_:][\w:.-]*(?==)/],
+  DQ_STRING,
+  SQ_STRING,
+];
+
+/**
+ * Supported languages by id. `label` is shown in language pickers.
+ */
+export const LANGUAGES = {
+  plaintext: { label: 'Plain text', rules: [] },
+  bash: {
+    label: 'Bash / Shell',
+    rules: [HASH_COMMENT, DQ_STRING, SQ_STRING, ['variable', /\$(?:\{[^}\n]*\}?|[\w@#?*!$-]+)/], NUMBER, WORD],
+    keywords: words('if then else elif fi for while until do done case esac in function return local export readonly declare unset shift exit break continue source alias echo cd set trap eval exec'),
+    literals: words('true false'),
+    detect: [[/^#!.*\b(?:ba|z|da)?sh\b/, 10], [/^\s*(?:sudo|apt(?:-get)?|npm|cd|echo|export|git|curl|chmod)\s/m, 2], [/\$\{?\w+\}?/, 1], [/\b(?:fi|esac|done)\b/, 3]],
+  },
+  c: {
+    label: 'C',
+    rules: [['meta', /^[ \t]*#[ \t]*\w+[^\n]*/], ...C_LIKE_RULES],
+    keywords: words('auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while'),
+    literals: C_LITERALS,
+    detect: [[/^#include\s*<\w+\.h>/m, 6], [/\b(?:printf|malloc|free|sizeof)\s*\(/, 2], [/\bint\s+main\s*\(/, 3]],
+  },
+  cpp: {
+    label: 'C++',
+    rules: [['meta', /^[ \t]*#[ \t]*\w+[^\n]*/], ...C_LIKE_RULES],
+    keywords: words('auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long mutable namespace new noexcept operator override private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while'),
+    literals: C_LITERALS,
+    detect: [[/^#include\s*<(?:iostream|vector|string|map|memory)>/m, 8], [/\bstd::/, 4], [/\b(?:template\s*<|namespace\s+\w+|cout\s*<<)/, 3]],
+  },
+  csharp: {
+    label: 'C#',
+    rules: C_LIKE_RULES,
+    keywords: words('abstract as async await base bool break case catch class const continue decimal default delegate do double else enum event explicit extern finally float for foreach get if implicit in int interface internal is lock long namespace new object out override params private protected public readonly ref return sealed set short static string struct switch this throw try typeof uint using var virtual void while'),
+    literals: words('true false null'),
+    detect: [[/^using System[\w.]*;/m, 8], [/\bnamespace\s+[\w.]+\s*[{;]/, 2], [/\bpublic\s+(?:static\s+)?(?:async\s+)?\w+\s+\w+\s*\(/, 1], [/\bConsole\.Write/, 4]],
+  },
+  css: {
+    label: 'CSS',
+    rules: [BLOCK_COMMENT, DQ_STRING, SQ_STRING, ['keyword', /@[\w-]+/], ['attr', /[\w-]+(?=\s*:(?!:))/], ['number', /#[\da-fA-F]{3,8}\b|-?\b\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/]],
+    detect: [[/^[\w.#:\-\s,>*[\]="]+\{\s*$/m, 2], [/^\s*[\w-]+\s*:\s*[^;\n]+;\s*$/m, 2], [/@media|@import|@keyframes/, 4]],
+  },
+  diff: {
+    label: 'Diff',
+    rules: [['meta', /^(?:diff |index |--- |\+\+\+ |@@)[^\n]*/], ['inserted', /^\+[^\n]*/], ['deleted', /^-[^\n]*/]],
+    detect: [[/^diff --git /m, 10], [/^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/m, 10], [/^--- \S+\n\+\+\+ \S+/m, 8]],
+  },
+  go: {
+    label: 'Go',
+    rules: [BLOCK_COMMENT, SLASH_COMMENT, DQ_STRING, SQ_STRING, BT_STRING, NUMBER, WORD],
+    keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+    literals: words('true false nil iota'),
+    detect: [[/^package\s+\w+\s*$/m, 5], [/\bfunc\s+(?:\([^)]*\)\s*)?\w+\s*\(/, 4], [/:=/, 1], [/\bfmt\.\w+\(/, 4]],
+  },
+  html: {
+    label: 'HTML',
+    rules: MARKUP_RULES,
+    detect: [[/<!DOCTYPE html>/i, 10], [/<(?:html|head|body|div|span|p|a|script|style)\b[^>]*>/i, 4], [/<\/\w+>/, 1]],
+  },
+  java: {
+    label: 'Java',
+    rules: [['meta', /@\w+/], ...C_LIKE_RULES],
+    keywords: words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws transient try var void volatile while'),
+    literals: words('true false null'),
+    detect: [[/\bpublic\s+(?:final\s+)?class\s+\w+/, 4], [/^import\s+java\./m, 8], [/System\.out\.print/, 6], [/^package\s+[\w.]+;/m, 4]],
+  },
+  javascript: {
+    label: 'JavaScript',
+    rules: [BLOCK_COMMENT, SLASH_COMMENT, DQ_STRING, SQ_STRING, BT_STRING, NUMBER, WORD],
+    keywords: words(JS_KEYWORDS),
+    literals: words('true false null undefined NaN Infinity'),
+    detect: [[/^#!.*\bnode\b/, 10], [/\b(?:const|let)\s+\w+\s*=/, 2], [/=>/, 1], [/\bfunction\s*\w*\s*\(/, 2], [/\b(?:console\.log|require\(|document\.|module\.exports)/, 3], [/^\s*import .* from ['"]/m, 2]],
+  },
+  json: {
+    label: 'JSON',
+    rules: [['attr', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/], DQ_STRING, NUMBER, WORD],
+    literals: words('true false null'),
+  },
+  markdown: {
+    label: 'Markdown',
+    rules: [
+      ['string', /^```[\s\S]*?(?:^```|$(?![\s\S]))/],
+      ['heading', /^#{1,6}[ \t][^\n]*/],
+      ['string', /`[^`\n]+`/],
+      ['keyword', /\*\*[^*\n]+\*\*|__[^_\n]+__/],
+      ['link', /!?\[[^\]\n]*\]\([^)\n]*\)/],
+      ['meta', /^[ \t]*(?:[-*+]|\d+\.)(?=[ \t])|^>[^\n]*/],
+    ],
+    detect: [[/^#{1,6} \S/m, 3], [/^```/m, 3], [/\[[^\]\n]+\]\([^)\n]+\)/, 3], [/^[-*] \S/m, 1]],
+  },
+  php: {
+    label: 'PHP',
+    rules: [['meta', /<\?php|\?>/], BLOCK_COMMENT, SLASH_COMMENT, HASH_COMMENT, DQ_STRING, SQ_STRING, ['variable', /\$\w+/], NUMBER, WORD],
+    keywords: words('abstract and array as break case catch class clone const continue declare default do echo else elseif empty endforeach endif extends final finally fn for foreach function global if implements include interface isset list namespace new or print private protected public require require_once return static switch throw trait try unset use var while'),
+    literals: words('true false null TRUE FALSE NULL'),
+    detect: [[/<\?php/, 10], [/\$\w+\s*=/, 2], [/\becho\s/, 1], [/->\w+\(/, 1]],
+  },
+  python: {
+    label: 'Python',
+    rules: [HASH_COMMENT, ['string', /[rbfRBF]{0,2}(?:"""[\s\S]*?(?:"""|$(?![\s\S]))|'''[\s\S]*?(?:'''|$(?![\s\S])))/], DQ_STRING, SQ_STRING, ['meta', /@[\w.]+/], NUMBER, WORD],
+    keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield self'),
+    literals: words('True False None'),
+    detect: [[/^#!.*\bpython/, 10], [/^\s*def\s+\w+\s*\(.*\)\s*(?:->\s*[\w[\], ]+)?:\s*$/m, 4], [/^\s*(?:from\s+[\w.]+\s+)?import\s+\w+/m, 1], [/^\s*(?:elif|except|class\s+\w+.*):/m, 3], [/\bself\./, 2], [/\bprint\(/, 1]],
+  },
+  ruby: {
+    label: 'Ruby',
+    rules: [HASH_COMMENT, DQ_STRING, SQ_STRING, ['variable', /@{1,2}\w+|\$\w+/], ['literal', /:\w+/], NUMBER, WORD],
+    keywords: words('alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor attr_reader puts'),
+    literals: words('true false nil'),
+    detect: [[/^#!.*\bruby/, 10], [/^\s*def\s+\w+[?!]?(?:\(.*\))?\s*$/m, 2], [/^\s*end\s*$/m, 2], [/\b(?:puts|require|attr_accessor)\b/, 2], [/\bdo\s*\|\w+/, 3]],
+  },
+  rust: {
+    label: 'Rust',
+    rules: [BLOCK_COMMENT, SLASH_COMMENT, DQ_STRING, ['meta', /#!?\[[^\]\n]*\]/], ['string', /'(?:[^'\\\n]|\\.)'/], NUMBER, ['function', /\b\w+!/], WORD],
+    keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+    literals: words('true false None Some Ok Err'),
+    detect: [[/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/, 4], [/\blet\s+mut\b/, 5], [/\b(?:println|vec|format)!/, 5], [/^use\s+(?:std|crate)::/m, 5], [/\bimpl\b/, 2]],
+  },
+  sql: {
+    label: 'SQL',
+    rules: [['comment', /--[^\n]*/], BLOCK_COMMENT, SQ_STRING, ['attr', /`[^`\n]*`?/], DQ_STRING, NUMBER, WORD],
+    keywords: words('add all alter and as asc between by case check column constraint create cross database default delete desc distinct drop else end exists foreign from full group having if in index inner insert interval into is join key left like limit not on or order outer primary references right select set table then truncate union unique update using values view when where with'),
+    literals: words('null true false'),
+    caseInsensitive: true,
+    detect: [[/\b(?:SELECT\s+[\w*,\s.]+\s+FROM|INSERT\s+INTO|CREATE\s+TABLE|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b/i, 6], [/\bWHERE\b/i, 1], [/;\s*$/m, 1]],
+  },
+  typescript: {
+    label: 'TypeScript',
+    rules: [BLOCK_COMMENT, SLASH_COMMENT, DQ_STRING, SQ_STRING, BT_STRING, ['meta', /@\w+/], NUMBER, WORD],
+    keywords: words(`${JS_KEYWORDS} abstract any as boolean declare enum implements interface keyof namespace never number private protected public readonly string type unknown`),
+    literals: words('true false null undefined NaN Infinity'),
+    detect: [[/\b(?:interface|type)\s+\w+\s*(?:<[^>]*>)?\s*[={]/, 4], [/:\s*(?:string|number|boolean|void|any|unknown)\b/, 3], [/\b(?:public|private|readonly)\s+\w+\s*:/, 3], [/\bas\s+const\b/, 3]],
+  },
+  xml: {
+    label: 'XML',
+    rules: MARKUP_RULES,
+    detect: [[/^\s*<\?xml\b/, 10], [/<\w+:\w+[\s>]/, 2], [/xmlns(?::\w+)?=/, 4]],
+  },
+  yaml: {
+    label: 'YAML',
+    rules: [HASH_COMMENT, ['meta', /^(?:---|\.\.\.)[ \t]*$/], ['attr', /^[ \t]*(?:- )?[\w.-]+(?=[ \t]*:(?:[ \t]|$))/], DQ_STRING, SQ_STRING, NUMBER, WORD],
+    literals: words('true false null yes no on off ~'),
+    detect: [[/^---\s*$/m, 2], [/^[\w.-]+:\s*$/m, 2], [/^\s+[\w.-]+:\s+\S/m, 1], [/^\s*- [\w.-]+:\s/m, 2]],
+  },
+};
+
+export const LANGUAGE_IDS = Object.keys(LANGUAGES);
+
+const DETECT_SAMPLE_LENGTH = 10000;
+const DETECT_MIN_SCORE = 3;
+const scanners = new Map();
+
+function scannerFor(language) {
+  if (scanners.has(language)) return scanners.get(language);
+  const spec = LANGUAGES[language];
+  const scanner = spec.rules.length
+    ? {
+        regex: new RegExp(spec.rules.map(([, rule]) => `(${rule.source})`).join('|'), 'gm'),
+        classes: spec.rules.map(([cls]) => cls),
+      }
+    : null;
+  scanners.set(language, scanner);
+  return scanner;
+}
+
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Class of an identifier: keyword, literal, function call, type-like name or none
+function wordClass(spec, word, next) {
+  const key = spec.caseInsensitive ? word.toLowerCase() : word;
+  if (spec.keywords?.has(key)) return 'keyword';
+  if (spec.literals?.has(key)) return 'literal';
+  if (next === '(') return 'function';
+  if (spec.keywords && /^[A-Z][a-z]\w*$/.test(word)) return 'type';
+  return null;
+}
+
+/**
+ * Split text into tokens: [{ cls, text }] with cls null for unhighlighted text
+ */
+export function tokenize(text, language) {
+  const spec = LANGUAGES[language];
+  const scanner = spec && scannerFor(language);
+  if (!scanner) return [{ cls: null, text }];
+
+  const tokens = [];
+  const push = (cls, value) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (last && last.cls === cls) last.text += value;
+    else tokens.push({ cls, text: value });
+  };
+
+  const { regex, classes } = scanner;
+  regex.lastIndex = 0;
+  let position = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0] === '') {
+      // Anchored rules can match empty at the end of the input; step past it
+      regex.lastIndex++;
+      continue;
+    }
+    push(null, text.slice(position, match.index));
+    const ruleIndex = match.findIndex((group, i) => i > 0 && group !== undefined) - 1;
+    let cls = classes[ruleIndex];
+    if (cls === 'word') {
+      const rest = text.slice(regex.lastIndex, regex.lastIndex + 40);
+      cls = wordClass(spec, match[0], rest.trimStart()[0]);
+    }
+    push(cls, match[0]);
+    position = regex.lastIndex;
+  }
+  push(null, text.slice(position));
+  return tokens;
+}
+
+/**
+ * Highlight text as an array of HTML strings, one per line (escaped, with token spans
+ * closed and reopened at line breaks so every line stands alone)
+ */
+export function highlightLines(text, language) {
+  const lines = [''];
+  for (const { cls, text: value } of tokenize(text, language)) {
+    const parts = value.split('\n');
+    parts.forEach((part, i) => {
+      if (i > 0) lines.push('');
+      if (!part) return;
+      const escaped = escapeHtml(part);
+      lines[lines.length - 1] += cls ? `<span class="hl-${cls}">${escaped}</span>` : escaped;
+    });
+  }
+  // A trailing newline does not start another line
+  if (lines.length > 1 && lines[lines.length - 1] === '' && text.endsWith('\n')) lines.pop();
+  return lines;
+}
+
+/**
+ * Best guess at the language of a text; 'plaintext' when nothing scores well
+ */
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, DETECT_SAMPLE_LENGTH);
+  const trimmed = sample.trim();
+  if (!trimmed) return 'plaintext';
+
+  if (/^[{[]/.test(trimmed)) {
+    try {
+      JSON.parse(text);
+      return 'json';
+    } catch {
+      // Not JSON; fall through to scoring
+    }
+  }
+
+  let best = 'plaintext';
+  let bestScore = DETECT_MIN_SCORE - 1;
+  for (const [id, spec] of Object.entries(LANGUAGES)) {
+    if (!spec.detect) continue;
+    const score = spec.detect.reduce((sum, [pattern, weight]) => sum + (pattern.test(sample) ? weight : 0), 0);
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,115 @@
+// @ts-nocheck
+// Format of encrypted file drop uploads, shared by the browser (which encrypts and
+// decrypts) and the server (which only checks sizes). No server imports.
+//
+// A file of `size` bytes is split into chunks of UPLOAD_CHUNK_SIZE bytes (the last one
+// may be shorter). Each chunk is encrypted on its own with AES-GCM and the file key
+// (browserCrypto.js encryptBytes: iv + tag + ciphertext), authenticating its position
+// ("chunk:<index>:<more|last>") so chunks cannot be reordered, swapped between files of
+// the same key or cut off at the end. The server stores every encrypted chunk as its own
+// object and serves them back to back, so in a download chunk i starts at
+// i * (UPLOAD_CHUNK_SIZE + CHUNK_OVERHEAD).
+// The file name and type are encrypted separately (sealUploadMetadata); the server only
+// learns the size.
+
+import { AES_IV_LENGTH, AES_TAG_LENGTH, encryptBytes, decryptBytes, bytesToBase64Url, base64UrlToBytes } from './browserCrypto.js';
+
+export const UPLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Bytes encryption adds to every chunk (a raw 256-bit key needs no salt)
+export const CHUNK_OVERHEAD = AES_IV_LENGTH + AES_TAG_LENGTH;
+
+// Longest encrypted metadata (base64url characters) the server accepts
+export const MAX_METADATA_LENGTH = 4096;
+
+const MAX_NAME_LENGTH = 255;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Number of chunks of a file of `size` bytes (at least 1)
+ */
+export const chunkCount = (size) => Math.max(1, Math.ceil(size / UPLOAD_CHUNK_SIZE));
+
+/**
+ * Plaintext length of chunk `index` of a file of `size` bytes
+ */
+export function plainChunkLength(size, index) {
+  const count = chunkCount(size);
+  if (!Number.isInteger(index) || index < 0 || index >= count) throw new Error('Invalid chunk index');
+  return index === count - 1 ? size - index * UPLOAD_CHUNK_SIZE : UPLOAD_CHUNK_SIZE;
+}
+
+/**
+ * Stored (encrypted) length of chunk `index` of a file of `size` bytes
+ */
+export const encryptedChunkLength = (size, index) => plainChunkLength(size, index) + CHUNK_OVERHEAD;
+
+/**
+ * Byte offset of encrypted chunk `index` in the downloaded ciphertext
+ */
+export const encryptedChunkOffset = (index) => index * (UPLOAD_CHUNK_SIZE + CHUNK_OVERHEAD);
+
+/**
+ * Stored (encrypted) size of a file of `size` bytes
+ */
+export const encryptedSize = (size) => size + chunkCount(size) * CHUNK_OVERHEAD;
+
+/**
+ * Human-readable size in the units config sizes use (B, KB, MB, GB, TB; powers of 1024)
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 || Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+const chunkAad = (index, count) => textEncoder.encode(`chunk:${index}:${index === count - 1 ? 'last' : 'more'}`);
+
+const METADATA_AAD = textEncoder.encode('metadata');
+
+/**
+ * Encrypt chunk `index` of `count` with a key from keyFromBase64()
+ */
+export function encryptChunk(bytes, key, index, count) {
+  return encryptBytes(bytes, key, { additionalData: chunkAad(index, count) });
+}
+
+/**
+ * Inverse of encryptChunk; throws if the chunk was altered or is not at this position
+ */
+export function decryptChunk(bytes, key, index, count) {
+  return decryptBytes(bytes, key, { additionalData: chunkAad(index, count) });
+}
+
+/**
+ * Encrypt the name, type and size of a file; returns a base64url payload
+ */
+export async function sealUploadMetadata({ name, type, size }, key) {
+  const metadata = {
+    name: String(name || 'file').slice(0, MAX_NAME_LENGTH),
+    type: String(type || 'application/octet-stream').slice(0, 255),
+    size,
+  };
+  const payload = await encryptBytes(textEncoder.encode(JSON.stringify(metadata)), key, { additionalData: METADATA_AAD });
+  return bytesToBase64Url(payload);
+}
+
+/**
+ * Inverse of sealUploadMetadata; returns { name, type, size }
+ */
+export async function openUploadMetadata(payload, key) {
+  const bytes = await decryptBytes(base64UrlToBytes(payload), key, { additionalData: METADATA_AAD });
+  const metadata = JSON.parse(textDecoder.decode(bytes));
+  return {
+    name: typeof metadata?.name === 'string' && metadata.name ? metadata.name : 'file',
+    type: typeof metadata?.type === 'string' && metadata.type ? metadata.type : 'application/octet-stream',
+    size: Number(metadata?.size) || 0,
+  };
+}
@@ -0,0 +1,344 @@
+// @ts-nocheck
+// File drop storage. Files are encrypted in the browser in chunks (see uploadFormat.js)
+// with a key carried in the URL fragment, so the server only ever holds ciphertext and
+// the encrypted name/type.
+// An upload is started with its size and encrypted metadata (createUpload), which
+// allocates its code from codegen.js and returns a secret upload token. The chunks are
+// then sent one after the other with that token; each is stored as its own object
+// uploads/<id>/<index> in the storage backend (storage/index.js), so a failed or
+// interrupted chunk is simply sent again. After the last chunk the upload is complete
+// and can be downloaded at /f/<code>, which streams the chunks back to back.
+// Uploads that stop for STALE_UPLOAD_HOURS are deleted. Complete uploads expire after
+// features.uploads.delete_after_days; like ended pastes, their row (without file or
+// metadata) keeps the code taken for features.uploads.code_quarantine_days before
+// prune.js deletes it and recycles the code. Owners can delete a complete upload
+// earlier (deleteUpload), which ends it the same way.
+// Quotas count the plaintext size of a user's stored and unfinished uploads (anonymous
+// uploads: per IP address). createUpload checks and reserves them under a named lock per
+// owner, so concurrent uploads cannot together exceed the quota.
+
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { query, withConnection } from './db.js';
+import { getConfig } from './config.js';
+import { recycleCode } from './codegen.js';
+import { getStorage } from './storage/index.js';
+import { MAX_METADATA_LENGTH, chunkCount, encryptedChunkLength, encryptedSize, formatBytes } from './uploadFormat.js';
+
+const UPLOAD_TOKEN_BYTES = 32;
+const UPLOAD_TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+const METADATA_REGEX = /^[A-Za-z0-9_-]+$/;
+const STALE_UPLOAD_HOURS = 24;
+const SWEEP_BATCH_SIZE = 100;
+const QUOTA_LOCK_TIMEOUT_SECONDS = 10;
+
+let ensured = false;
+
+export async function ensureUploadsTable() {
+  if (ensured) return;
+  await query(`CREATE TABLE IF NOT EXISTS uploads (
+    id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+    short_code VARCHAR(16) NOT NULL UNIQUE,
+    upload_token_hash CHAR(64) NOT NULL UNIQUE,
+    metadata TEXT NOT NULL,
+    size BIGINT UNSIGNED NOT NULL,
+    chunk_count INT UNSIGNED NOT NULL,
+    received_chunks INT UNSIGNED NOT NULL DEFAULT 0,
+    status VARCHAR(16) NOT NULL DEFAULT 'uploading',
+    user_id BIGINT UNSIGNED NULL,
+    visitor_uuid CHAR(36) NULL,
+    ip VARCHAR(45) NULL,
+    api_token_id BIGINT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    ended_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_user_status (user_id, status),
+    INDEX idx_ip_status (ip, status),
+    INDEX idx_created (created_at),
+    INDEX idx_uuid_created (visitor_uuid, created_at),
+    INDEX idx_ip_created (ip, created_at),
+    INDEX idx_status_updated (status, updated_at),
+    INDEX idx_status_completed (status, completed_at),
+    INDEX idx_status_ended (status, ended_at)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  ensured = true;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function uploadsConfig() {
+  return getConfig().features.uploads;
+}
+
+const chunkKey = (id, index) => `uploads/${id}/${index}`;
+
+async function removeChunks(upload) {
+  const storage = getStorage();
+  for (let index = 0; index < Number(upload.chunk_count); index++) {
+    await storage.delete(chunkKey(upload.id, index));
+  }
+}
+
+/**
+ * Validate a new upload; returns an error message or null
+ */
+export function validateUploadRequest({ size, metadata }, maxSize) {
+  if (!Number.isSafeInteger(size) || size < 0) return 'Invalid file size';
+  if (size === 0) return 'File is empty';
+  if (size > maxSize) return `File is too large (at most ${formatBytes(maxSize)})`;
+  if (typeof metadata !== 'string' || !METADATA_REGEX.test(metadata) || metadata.length > MAX_METADATA_LENGTH) {
+    return 'Invalid file metadata';
+  }
+  return null;
+}
+
+/**
+ * Bytes of uploads a user (or, with no user, an IP address) currently has stored or in progress
+ */
+export async function getStoredBytes({ userId = null, ip = null }, run = query) {
+  await ensureUploadsTable();
+  const rows = userId != null
+    ? await run("SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE user_id = ? AND status IN ('uploading', 'complete')", [userId])
+    : await run("SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE user_id IS NULL AND ip = ? AND status IN ('uploading', 'complete')", [ip]);
+  return Number(rows[0]?.total || 0);
+}
+
+/**
+ * Start an upload under an allocated code; returns { id, token }. The token is only
+ * returned here and authorizes sending the chunks.
+ * The size counts towards the owner's quota from the insert on; throws an Error with
+ * status 403 if it does not fit (and 503 if the owner's quota lock is not available).
+ */
+export async function createUpload({ code, size, metadata, quota, userId = null, visitorUuid = null, ip = null, apiTokenId = null }) {
+  await ensureUploadsTable();
+  const token = crypto.randomBytes(UPLOAD_TOKEN_BYTES).toString('base64url');
+  const lockName = `uploads_quota:${userId != null ? `user:${userId}` : `ip:${ip}`}`;
+
+  return withConnection(async (conn) => {
+    // Named locks belong to the connection; creates of the same owner wait for each other
+    const locks = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, QUOTA_LOCK_TIMEOUT_SECONDS]);
+    if (Number(locks[0]?.acquired) !== 1) throw httpError('Service temporarily unavailable', 503);
+    try {
+      const stored = await getStoredBytes({ userId, ip }, (sql, params) => conn.query(sql, params));
+      if (stored + size > quota) {
+        throw httpError(`Upload quota exceeded (${formatBytes(stored)} of ${formatBytes(quota)} in use)`, 403);
+      }
+      const res = await conn.query(
+        'INSERT INTO uploads (short_code, upload_token_hash, metadata, size, chunk_count, user_id, visitor_uuid, ip, api_token_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [code, sha256(token), metadata, size, chunkCount(size), userId, visitorUuid, ip, apiTokenId]
+      );
+      return { id: Number(res.insertId), token };
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [lockName]).catch(() => {});
+    }
+  });
+}
+
+/**
+ * The unfinished or complete upload an upload token belongs to, or null
+ */
+export async function findUploadByToken(token) {
+  if (typeof token !== 'string' || !UPLOAD_TOKEN_REGEX.test(token)) return null;
+  await ensureUploadsTable();
+  const rows = await query(
+    "SELECT id, short_code, size, chunk_count, received_chunks, status FROM uploads WHERE upload_token_hash = ? AND status IN ('uploading', 'complete') LIMIT 1",
+    [sha256(token)]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Store chunk `index` of an upload from `body` (an async iterable of byte arrays, such as
+ * a request body). Chunks must arrive in order; resending a chunk that was already stored
+ * is accepted and ignored. Returns { receivedChunks, complete }.
+ * Throws an Error with a `status` for invalid chunks.
+ */
+export async function writeUploadChunk(upload, index, body) {
+  const size = Number(upload.size);
+  const count = Number(upload.chunk_count);
+  const received = Number(upload.received_chunks);
+
+  if (!Number.isInteger(index) || index < 0 || index >= count) throw httpError('Invalid chunk index', 400);
+  if (index < received) return { receivedChunks: received, complete: upload.status === 'complete' };
+  if (upload.status !== 'uploading') throw httpError('Upload is already complete', 409);
+  if (index > received) throw httpError(`Expected chunk ${received}`, 409);
+
+  const expected = encryptedChunkLength(size, index);
+  // Stop reading as soon as the body is longer than the chunk; a short body fails the
+  // put, which leaves no object behind (an interrupted attempt is simply overwritten)
+  async function* checkedBody() {
+    let received = 0;
+    for await (const part of body) {
+      received += part.length;
+      if (received > expected) throw httpError('Chunk is too large', 400);
+      yield part;
+    }
+    if (received !== expected) throw httpError('Chunk is incomplete', 400);
+  }
+  await getStorage().put(chunkKey(upload.id, index), checkedBody(), expected);
+
+  const last = index === count - 1;
+  const res = await query(
+    `UPDATE uploads SET received_chunks = received_chunks + 1${last ? ", status = 'complete', completed_at = NOW()" : ''}
+     WHERE id = ? AND status = 'uploading' AND received_chunks = ?`,
+    [upload.id, index]
+  );
+  if (!res || res.affectedRows === 0) throw httpError('The upload changed during the request', 409);
+  return { receivedChunks: index + 1, complete: last };
+}
+
+/**
+ * Abandon an unfinished upload: deletes it and recycles its code. Returns true if deleted.
+ */
+export async function cancelUpload(upload) {
+  const res = await query("DELETE FROM uploads WHERE id = ? AND status = 'uploading'", [upload.id]);
+  if (!res || res.affectedRows === 0) return false;
+  await removeChunks(upload);
+  await recycleCode(upload.short_code);
+  return true;
+}
+
+/**
+ * The unfinished or complete upload with this code created by the user, or null
+ */
+export async function findOwnedUpload(code, userId) {
+  await ensureUploadsTable();
+  const rows = await query(
+    "SELECT id, short_code, size, chunk_count, received_chunks, status FROM uploads WHERE short_code = ? AND user_id = ? AND status IN ('uploading', 'complete') LIMIT 1",
+    [code, userId]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+// Delete the file of a complete upload and keep its row (without metadata) for the quarantine
+async function endUpload(upload) {
+  const res = await query(
+    "UPDATE uploads SET status = 'expired', metadata = '', ended_at = NOW() WHERE id = ? AND status = 'complete'",
+    [upload.id]
+  );
+  if (!res || res.affectedRows === 0) return false;
+  await removeChunks(upload);
+  return true;
+}
+
+/**
+ * Delete an upload for its owner, freeing its quota: an unfinished one is cancelled, a
+ * complete one ends like an expired one. Returns true if deleted.
+ */
+export async function deleteUpload(upload) {
+  if (upload.status === 'uploading' && await cancelUpload(upload)) return true;
+  // It may have completed in the meantime
+  return endUpload(upload);
+}
+
+/**
+ * An upload by code, or null. status is 'uploading', 'complete' or 'expired'; a file past
+ * its retention counts as expired even before the sweep has deleted it.
+ */
+export async function findUpload(code) {
+  await ensureUploadsTable();
+  const days = uploadsConfig().delete_after_days;
+  const rows = await query(
+    `SELECT id, short_code, metadata, size, chunk_count, created_at, completed_at,
+            CASE WHEN completed_at IS NULL OR ? = 0 THEN NULL ELSE completed_at + INTERVAL ? DAY END AS expires_at,
+            CASE WHEN status = 'complete' AND ? > 0 AND completed_at <= (NOW() - INTERVAL ? DAY) THEN 'expired' ELSE status END AS status
+     FROM uploads WHERE short_code = ? LIMIT 1`,
+    [days, days, days, days, code]
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * The stored (encrypted) file of a complete upload as { stream, length }, stream being
+ * a web ReadableStream of the chunks back to back. Throws if the first chunk is missing;
+ * a later missing chunk errors the stream.
+ */
+export async function openUploadStream(upload) {
+  const storage = getStorage();
+  const count = Number(upload.chunk_count);
+  const first = await storage.get(chunkKey(upload.id, 0));
+  if (!first) throw new Error(`Chunk 0 of upload ${upload.id} is missing`);
+
+  async function* chunks() {
+    yield* first;
+    for (let index = 1; index < count; index++) {
+      const chunk = await storage.get(chunkKey(upload.id, index));
+      if (!chunk) throw new Error(`Chunk ${index} of upload ${upload.id} is missing`);
+      yield* chunk;
+    }
+  }
+  return { stream: Readable.toWeb(Readable.from(chunks())), length: encryptedSize(Number(upload.size)) };
+}
+
+/**
+ * Delete uploads that stopped before completion; returns the number deleted
+ */
+export async function pruneStaleUploads() {
+  await ensureUploadsTable();
+  const rows = await query(
+    `SELECT id, short_code, chunk_count FROM uploads
+     WHERE status = 'uploading' AND updated_at < (NOW() - INTERVAL ${STALE_UPLOAD_HOURS} HOUR)
+     LIMIT ${SWEEP_BATCH_SIZE}`
+  );
+  let deleted = 0;
+  for (const row of rows) {
+    if (await cancelUpload(row)) deleted += 1;
+  }
+  return deleted;
+}
+
+/**
+ * Delete the files of uploads past features.uploads.delete_after_days, keeping their rows
+ * for the quarantine period; returns the number of uploads ended
+ */
+export async function endExpiredUploads() {
+  const days = uploadsConfig().delete_after_days;
+  if (!days || days <= 0) return 0;
+  await ensureUploadsTable();
+  const rows = await query(
+    `SELECT id, chunk_count FROM uploads
+     WHERE status = 'complete' AND completed_at <= (NOW() - INTERVAL ? DAY)
+     LIMIT ${SWEEP_BATCH_SIZE}`,
+    [days]
+  );
+  let ended = 0;
+  for (const row of rows) {
+    if (await endUpload(row)) ended += 1;
+  }
+  return ended;
+}
+
+/**
+ * Delete expired uploads whose quarantine has passed and recycle their codes
+ */
+export async function releaseEndedUploadCodes() {
+  await ensureUploadsTable();
+  const days = uploadsConfig().code_quarantine_days;
+  const rows = await query(
+    `SELECT id, short_code, chunk_count FROM uploads
+     WHERE status = 'expired' AND ended_at < (NOW() - INTERVAL ? DAY)
+     LIMIT ${SWEEP_BATCH_SIZE}`,
+    [Number.isInteger(days) && days > 0 ? days : 0]
+  );
+
+  let released = 0;
+  for (const row of rows) {
+    const res = await query("DELETE FROM uploads WHERE id = ? AND status = 'expired'", [row.id]);
+    if (res?.affectedRows > 0) {
+      released += res.affectedRows;
+      // The chunks are normally gone already; make sure nothing is left behind
+      await removeChunks(row);
+      await recycleCode(row.short_code);
+    }
+  }
+  return released;
+}
@@ -138,6 +138,39 @@ export function validateUrl(url, options = {}) {
   return { valid: true, normalizedUrl };
 }
 
+/**
+ * Describe properties of a (valid) destination that visitors should double-check
+ * before following it; used on the link preview page
+ * @param {string} url - A URL that passed validateUrl
+ * @returns {string[]} Human-readable warnings, empty if nothing stands out
+ */
+export function destinationWarnings(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [];
+  }
+  const warnings = [];
+  const hostname = parsed.hostname.toLowerCase();
+  if (parsed.protocol === 'http:') {
+    warnings.push('This link does not use HTTPS, so the connection to the site is not encrypted.');
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[')) {
+    warnings.push('The destination is a raw IP address instead of a domain name.');
+  }
+  if (hostname.split('.').some(label => label.startsWith('xn--'))) {
+    warnings.push('The domain name contains international characters; make sure it is not imitating a site you know.');
+  }
+  if (parsed.username || parsed.password) {
+    warnings.push('The address contains text before an @ sign, which can disguise the real destination.');
+  }
+  if (parsed.port) {
+    warnings.push(`The destination uses an unusual port (${parsed.port}).`);
+  }
+  return warnings;
+}
+
 /**
  * Simple check if string looks like a URL (less strict, for initial checks)
  * @param {string} str - String to check
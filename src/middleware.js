@@ -11,12 +11,24 @@ export async function onRequest(context, next) {
   const url = new URL(request.url);
   const pathname = url.pathname;
 
-  // Heuristic: if the path looks like a short code (single segment, no slash after leading, length <=16, no dot),
-  // we skip assigning a visitor UUID so that passive consumers of a short link remain anonymous.
+  // Heuristic: if the path looks like a short code (single segment, no slash after leading, length <=16, no dot)
+  // or a paste (/p/<code>[/raw|/open]), file (/f/<code>[/data]) or chat room (/c/<code>[/events|/send]), we skip assigning a visitor UUID so that passive consumers remain anonymous.
   const isPotentialRedirect = (() => {
     if (pathname === '/' || pathname.includes('/')) {
       // If there is a second slash (beyond leading) it's not a single-segment short code.
       const segments = pathname.split('/').filter(Boolean);
+      // Paste viewers (/p/<code>, /p/<code>/raw and /p/<code>/open) are passive consumers too
+      if (segments[0] === 'p' && (segments.length === 2 || (segments.length === 3 && (segments[2] === 'raw' || segments[2] === 'open')))) {
+        return segments[1].length <= 16;
+      }
+      // So are file downloads (/f/<code> and /f/<code>/data)
+      if (segments[0] === 'f' && (segments.length === 2 || (segments.length === 3 && segments[2] === 'data'))) {
+        return segments[1].length <= 16;
+      }
+      // And chat rooms (/c/<code>, /c/<code>/events and /c/<code>/send)
+      if (segments[0] === 'c' && (segments.length === 2 || (segments.length === 3 && (segments[2] === 'events' || segments[2] === 'send')))) {
+        return segments[1].length <= 16;
+      }
       if (segments.length !== 1) return false;
       const seg = segments[0];
       if (seg.length === 0 || seg.length > 16) return false;
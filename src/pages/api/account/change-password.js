@@ -1,5 +1,5 @@
 // @ts-nocheck
-import { getSessionUser } from '../../../lib/auth/session.js';
+import { getSessionUser, revokeOtherSessions } from '../../../lib/auth/session.js';
 import { findUserByEmail, updateUserPassword } from '../../../lib/auth/user.js';
 import { verifyPassword, hashPassword } from '../../../lib/auth/password.js';
 import { validatePasswordComplexity } from '../../../lib/auth/passwordValidation.js';
@@ -51,10 +51,12 @@ export async function POST({ request, cookies }) {
     // Hash and update password
     const newPasswordHash = await hashPassword(newPassword);
     await updateUserPassword(user.id, newPasswordHash);
+    // Sign out every other device; this session stays signed in
+    await revokeOtherSessions(user.id, user.sessionId);
 
     return jsonResponse({ 
       ok: true, 
-      message: 'Password changed successfully' 
+      message: 'Password changed successfully. Your other devices have been signed out.' 
     }, 200);
   } catch (err) {
     console.error('Change password error:', err);
@@ -0,0 +1,30 @@
+// @ts-nocheck
+import { getSessionUser, listUserSessions } from '../../../../lib/auth/session.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function GET({ cookies }) {
+  try {
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const sessions = await listUserSessions(user.id);
+
+    return jsonResponse({
+      ok: true,
+      sessions: sessions.map(s => ({ ...s, current: s.id === Number(user.sessionId) })),
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,31 @@
+// @ts-nocheck
+import { getSessionUser, revokeOtherSessions } from '../../../../lib/auth/session.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ cookies }) {
+  try {
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const revoked = await revokeOtherSessions(user.id, user.sessionId);
+
+    return jsonResponse({
+      ok: true,
+      revoked,
+      message: revoked === 1 ? 'Signed out 1 other session' : `Signed out ${revoked} other sessions`,
+    });
+  } catch (err) {
+    console.error('Revoke other sessions error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,41 @@
+// @ts-nocheck
+import { getSessionUser, revokeSession } from '../../../../lib/auth/session.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const body = await request.json();
+    const sessionId = Number(body.sessionId);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    // The current session is ended through sign out, which also clears the cookie
+    if (sessionId === Number(user.sessionId)) {
+      return jsonResponse({ ok: false, message: 'Use sign out to end the current session' }, 400);
+    }
+
+    const revoked = await revokeSession(user.id, sessionId);
+    if (!revoked) {
+      return jsonResponse({ ok: false, message: 'Session not found' }, 404);
+    }
+
+    return jsonResponse({ ok: true, message: 'Session signed out' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,37 @@
+// @ts-nocheck
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { createApiToken } from '../../../../lib/auth/apiTokens.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    // Tokens are managed from a browser session only, never with another token
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const body = await request.json();
+    const created = await createApiToken(user.id, body.name, body.scopes);
+
+    return jsonResponse({
+      ok: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      token: created,
+    });
+  } catch (err) {
+    if (err && err.status === 400) {
+      return jsonResponse({ ok: false, message: err.message }, 400);
+    }
+    console.error('Create API token error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
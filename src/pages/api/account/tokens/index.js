@@ -0,0 +1,28 @@
+// @ts-nocheck
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { listApiTokens, API_TOKEN_SCOPES } from '../../../../lib/auth/apiTokens.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function GET({ cookies }) {
+  try {
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const tokens = await listApiTokens(user.id);
+
+    return jsonResponse({ ok: true, tokens, scopes: API_TOKEN_SCOPES });
+  } catch (err) {
+    console.error('List API tokens error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
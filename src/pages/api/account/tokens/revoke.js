@@ -0,0 +1,37 @@
+// @ts-nocheck
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { revokeApiToken } from '../../../../lib/auth/apiTokens.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const user = await getSessionUser(cookies);
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const body = await request.json();
+    const tokenId = Number(body.tokenId);
+    if (!Number.isInteger(tokenId) || tokenId <= 0) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    const revoked = await revokeApiToken(user.id, tokenId);
+    if (!revoked) {
+      return jsonResponse({ ok: false, message: 'Token not found' }, 404);
+    }
+
+    return jsonResponse({ ok: true, message: 'API token revoked' });
+  } catch (err) {
+    console.error('Revoke API token error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,38 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { addBlocklistEntry } from '../../../../lib/domainBlocklist.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/admin/blocklist/add
+ * Accepts JSON with fields: pattern (example.com, *.example.com or /regex/), note (optional)
+ */
+export async function POST({ request, cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const payload = await request.json();
+    const pattern = typeof payload.pattern === 'string' ? payload.pattern : '';
+    const note = typeof payload.note === 'string' ? payload.note.trim() : '';
+
+    await addBlocklistEntry(pattern, note, sessionUser.id);
+    return jsonResponse({ ok: true, message: 'Added to the blocklist' });
+  } catch (err) {
+    if (err && (err.status === 400 || err.status === 409)) {
+      return jsonResponse({ ok: false, message: err.message }, err.status);
+    }
+    console.error('Add blocklist entry error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,27 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { listBlocklistEntries } from '../../../../lib/domainBlocklist.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function GET({ cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const { entries, fileEntryCount } = await listBlocklistEntries();
+    return jsonResponse({ ok: true, entries, fileEntryCount });
+  } catch (err) {
+    console.error('List blocklist error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
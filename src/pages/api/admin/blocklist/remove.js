@@ -0,0 +1,40 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { removeBlocklistEntry } from '../../../../lib/domainBlocklist.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/admin/blocklist/remove
+ * Accepts JSON with fields: id (entries from the local file cannot be removed here)
+ */
+export async function POST({ request, cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const payload = await request.json();
+    const id = Number(payload.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    const removed = await removeBlocklistEntry(id);
+    if (!removed) {
+      return jsonResponse({ ok: false, message: 'Entry not found' }, 404);
+    }
+    return jsonResponse({ ok: true, message: 'Removed from the blocklist' });
+  } catch (err) {
+    console.error('Remove blocklist entry error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,31 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { listOpenReports } from '../../../../lib/linkReports.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/admin/link-reports
+ * Returns open abuse reports grouped by link, most reported first
+ */
+export async function GET({ cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const links = await listOpenReports();
+    return jsonResponse({ ok: true, links });
+  } catch (err) {
+    console.error('List link reports error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,46 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { resolveLinkReports } from '../../../../lib/linkReports.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/admin/link-reports/resolve
+ * Accepts JSON with fields: code, action (disable|dismiss)
+ * Resolves every open report of the link; 'disable' also disables the link.
+ */
+export async function POST({ request, cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const payload = await request.json();
+    const code = typeof payload.code === 'string' ? payload.code.trim() : '';
+    const action = payload.action;
+    if (!code || (action !== 'disable' && action !== 'dismiss')) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    const resolved = await resolveLinkReports({ code, action, adminId: sessionUser.id });
+    if (!resolved) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    return jsonResponse({
+      ok: true,
+      message: action === 'disable' ? `Link ${code} disabled` : `Reports for ${code} dismissed`,
+    });
+  } catch (err) {
+    console.error('Resolve link reports error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,52 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { moderateLinks, MODERATION_ACTIONS, MAX_BULK_CODES } from '../../../../lib/linkModeration.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/admin/links/action
+ * Accepts JSON with fields: codes (array of short codes), action (disable|enable|delete), reason (optional, for disable)
+ * Deleted links are tombstoned; their codes are recycled after the quarantine period.
+ */
+export async function POST({ request, cookies }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const payload = await request.json();
+    const action = payload.action;
+    const codes = Array.isArray(payload.codes)
+      ? [...new Set(payload.codes.filter(code => typeof code === 'string' && code.trim()).map(code => code.trim()))]
+      : [];
+    const reason = typeof payload.reason === 'string' ? payload.reason.trim().slice(0, 255) : '';
+
+    if (!MODERATION_ACTIONS.includes(action) || codes.length === 0) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    if (codes.length > MAX_BULK_CODES) {
+      return jsonResponse({ ok: false, message: `At most ${MAX_BULK_CODES} links per request` }, 400);
+    }
+
+    const affected = await moderateLinks(codes, action, reason || null);
+    const verb = { disable: 'disabled', enable: 'enabled', delete: 'deleted' }[action];
+
+    return jsonResponse({
+      ok: true,
+      message: `${affected} link${affected === 1 ? '' : 's'} ${verb}`,
+      affected,
+    });
+  } catch (err) {
+    console.error('Admin link action error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
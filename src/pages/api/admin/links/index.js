@@ -0,0 +1,64 @@
+import { getSessionUser } from '../../../../lib/auth/session.js';
+import { searchLinks, LINK_STATUSES } from '../../../../lib/linkModeration.js';
+
+export const prerender = false;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/admin/links?code=&host=&user=&from=YYYY-MM-DD&to=YYYY-MM-DD&status=&page=&pageSize=
+ * Searches every short link: code prefix, destination host (plaintext links), creator email,
+ * creation window (UTC days, both inclusive) and status. Newest first, paginated.
+ */
+export async function GET({ cookies, url }) {
+  try {
+    // Check admin authentication
+    const sessionUser = await getSessionUser(cookies);
+    if (!sessionUser || sessionUser.role !== 'admin') {
+      return jsonResponse({ ok: false, message: 'Unauthorized' }, 403);
+    }
+
+    const params = url.searchParams;
+    const from = (params.get('from') || '').trim();
+    const to = (params.get('to') || '').trim();
+    const status = (params.get('status') || '').trim();
+
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+      return jsonResponse({ ok: false, message: 'Dates must be in YYYY-MM-DD format' }, 400);
+    }
+    if (status && !LINK_STATUSES.includes(status)) {
+      return jsonResponse({ ok: false, message: 'Invalid status' }, 400);
+    }
+
+    let createdTo = null;
+    if (to) {
+      // Make the end date inclusive
+      createdTo = new Date(`${to}T00:00:00Z`);
+      createdTo.setUTCDate(createdTo.getUTCDate() + 1);
+    }
+
+    const result = await searchLinks({
+      code: (params.get('code') || '').trim(),
+      host: (params.get('host') || '').trim(),
+      user: (params.get('user') || '').trim(),
+      createdFrom: from ? new Date(`${from}T00:00:00Z`) : null,
+      createdTo,
+      status,
+    }, {
+      page: params.get('page') || 1,
+      pageSize: params.get('pageSize') || undefined,
+    });
+
+    return jsonResponse({ ok: true, ...result });
+  } catch (err) {
+    console.error('Admin link search error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
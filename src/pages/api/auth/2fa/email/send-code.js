@@ -5,16 +5,14 @@ import crypto from 'crypto';
 import { getSessionUser } from '../../../../../lib/auth/session.js';
 import { sendEmail2FACode, isEmail2FAEnabled } from '../../../../../lib/auth/emailTwoFactor.js';
 import { isEmailEnabled } from '../../../../../lib/email.js';
-import { query } from '../../../../../lib/db.js';
+import { getPendingLogin } from '../../../../../lib/auth/preAuth.js';
 
 export const prerender = false;
 
 export async function POST({ request, cookies }) {
-  const sessionUser = await getSessionUser(cookies);
-  
   try {
     const body = await request.json();
-    const { email, idempotencyKey } = body;
+    const { idempotencyKey } = body;
     
     // Generate idempotency key if not provided
     const finalIdempotencyKey = idempotencyKey || crypto.randomBytes(32).toString('hex');
@@ -27,36 +25,22 @@ export async function POST({ request, cookies }) {
       });
     }
     
-    let userId, userEmail;
+    // Same order as verify.js: a pending login (the user passed the password check and
+    // holds a pre-auth cookie) takes precedence over the current session, so the code
+    // is sent to the user it will be checked against
+    const pending = await getPendingLogin(cookies);
+    const sessionUser = pending ? null : await getSessionUser(cookies);
     
-    if (sessionUser) {
-      // Authenticated user requesting code
-      userId = sessionUser.id;
-      userEmail = sessionUser.email;
-    } else if (email) {
-      // Login flow - user not yet authenticated but email provided
-      const users = await query(
-        'SELECT id, email FROM users WHERE email = ?',
-        [email.toLowerCase()]
-      );
-      
-      if (users.length === 0) {
-        // Don't reveal if email exists or not
-        return new Response(JSON.stringify({ ok: true, message: 'If email 2FA is enabled, a code will be sent' }), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
-      
-      userId = users[0].id;
-      userEmail = users[0].email;
-    } else {
-      return new Response(JSON.stringify({ ok: false, message: 'Not authenticated' }), {
+    if (!pending && !sessionUser) {
+      return new Response(JSON.stringify({ ok: false, message: 'Your sign-in session has expired. Please sign in again.', restart: true }), {
         status: 401,
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
+    const userId = pending ? pending.userId : sessionUser.id;
+    const userEmail = pending ? pending.email : sessionUser.email;
+    
     // Check if email 2FA is enabled
     const enabled = await isEmail2FAEnabled(userId);
     if (!enabled) {
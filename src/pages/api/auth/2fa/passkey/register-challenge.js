@@ -2,6 +2,7 @@ import { query } from '../../../../../lib/db.js';
 import { getSessionUser } from '../../../../../lib/auth/session.js';
 import { generateRegistrationOptions } from '../../../../../lib/auth/passkey.js';
 import { verifyPasswordForUser, get2FAStatus } from '../../../../../lib/auth/twoFactor.js';
+import { schedulePrune } from '../../../../../lib/prune.js';
 
 export const prerender = false;
 
@@ -54,24 +55,10 @@ export async function POST({ request, cookies }) {
             // If we reach here with a twoFactorCode, it's valid
         }
 
-        // Generate registration options
-        const options = await generateRegistrationOptions(user);
+        schedulePrune();
 
-        // Store challenge in session (temporary - valid for 5 minutes)
-        // In production, you might want to use a more robust temporary storage
-        const session = JSON.parse(cookies.get('session')?.value || '{}');
-        session.passkeyChallenge = {
-            challenge: options.challenge,
-            expires: Date.now() + 5 * 60 * 1000 // 5 minutes
-        };
-        
-        cookies.set('session', JSON.stringify(session), {
-            path: '/',
-            httpOnly: true,
-            secure: true,
-            sameSite: 'lax',
-            maxAge: 60 * 60 * 24 * 30 // 30 days
-        });
+        // Generate registration options (challenge is stored server-side, bound to this user)
+        const options = await generateRegistrationOptions(user);
 
         return new Response(JSON.stringify({ options }), {
             status: 200,
@@ -23,43 +23,13 @@ export async function POST({ request, cookies }) {
             });
         }
 
-        // Get stored challenge from session
-        const session = JSON.parse(cookies.get('session')?.value || '{}');
-        const challengeData = session.passkeyChallenge;
-
-        if (!challengeData || !challengeData.challenge) {
-            return new Response(JSON.stringify({ error: 'No challenge found. Please start the registration process again.' }), {
-                status: 400,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-
-        // Check if challenge has expired
-        if (Date.now() > challengeData.expires) {
-            return new Response(JSON.stringify({ error: 'Challenge has expired. Please start the registration process again.' }), {
-                status: 400,
-                headers: { 'Content-Type': 'application/json' }
-            });
-        }
-
-        // Verify and store the passkey
+        // Verify and store the passkey (consumes the server-side challenge)
         const passkey = await verifyRegistration(
             user.id,
             credential,
-            challengeData.challenge,
             deviceName.trim()
         );
 
-        // Clear the challenge from session
-        delete session.passkeyChallenge;
-        cookies.set('session', JSON.stringify(session), {
-            path: '/',
-            httpOnly: true,
-            secure: true,
-            sameSite: 'lax',
-            maxAge: 60 * 60 * 24 * 30 // 30 days
-        });
-
         return new Response(JSON.stringify({ 
             success: true,
             passkey: {
@@ -1,30 +1,65 @@
 // @ts-nocheck
 // API endpoint to verify 2FA code during login
+// Also used by TwoFactorModal for step-up checks of an already signed-in user
 
 import { verifyTOTP, decryptTOTPSecret } from '../../../../lib/auth/totp.js';
 import { verifyAndUseBackupCode } from '../../../../lib/auth/backupCodes.js';
 import { verifyEmail2FACode } from '../../../../lib/auth/emailTwoFactor.js';
-import { rotateSessionOnLogin } from '../../../../lib/auth/session.js';
+import { rotateSessionOnLogin, destroySessionCookie, sessionMetaFromRequest, getSessionUser } from '../../../../lib/auth/session.js';
+import { getPendingLogin, takePreAuthAttempt, recordFailedPreAuthAttempt, consumePreAuthCookie } from '../../../../lib/auth/preAuth.js';
+import { isAccountLocked, recordFailedLogin, resetFailedAttempts } from '../../../../lib/auth/lockout.js';
 import { query } from '../../../../lib/db.js';
 
 export const prerender = false;
 
-export async function POST({ request, cookies }) {
+export async function POST({ request, cookies, clientAddress }) {
   try {
     const body = await request.json();
-    const { email, code, isBackupCode, isEmailCode } = body;
+    const { code, isBackupCode, isEmailCode } = body;
     
-    if (!email || !code) {
-      return new Response(JSON.stringify({ ok: false, message: 'Email and code required' }), {
+    // The user comes from the pre-auth cookie issued by a successful password check
+    // (or the current session for step-up checks), never from the request body
+    const pending = await getPendingLogin(cookies);
+    const sessionUser = pending ? null : await getSessionUser(cookies);
+    if (!pending && !sessionUser) {
+      return new Response(JSON.stringify({ ok: false, message: 'Your sign-in session has expired. Please sign in again.', restart: true }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    if (!code || typeof code !== 'string') {
+      return new Response(JSON.stringify({ ok: false, message: 'Code required' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
+    const userId = pending ? pending.userId : sessionUser.id;
+    
+    if (await isAccountLocked(userId)) {
+      return new Response(JSON.stringify({ 
+        ok: false, 
+        message: 'Account is locked due to multiple failed login attempts. Check your email for unlock instructions or wait for the lockout to expire.' 
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // Every code checked for a pending login uses up one of its attempts first,
+    // including those of requests sent in parallel
+    if (pending && !(await takePreAuthAttempt(cookies, pending))) {
+      return new Response(JSON.stringify({ ok: false, message: 'Too many invalid codes. Please sign in again.', restart: true }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
     // Get user
     const users = await query(
-      'SELECT * FROM users WHERE email = ?',
-      [email.toLowerCase()]
+      'SELECT * FROM users WHERE id = ?',
+      [userId]
     );
     
     if (users.length === 0) {
@@ -42,14 +77,9 @@ export async function POST({ request, cookies }) {
       verified = await verifyEmail2FACode(user.id, code);
     } else if (isBackupCode) {
       // Verify backup code
-      if (!user.backup_codes) {
-        return new Response(JSON.stringify({ ok: false, message: 'Invalid code' }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
-      
-      const result = verifyAndUseBackupCode(user.backup_codes, code);
+      const result = user.backup_codes
+        ? verifyAndUseBackupCode(user.backup_codes, code)
+        : { valid: false };
       
       if (result.valid) {
         verified = true;
@@ -73,13 +103,75 @@ export async function POST({ request, cookies }) {
       }
     }
     
+    if (!verified && !pending) {
+      // Step-up failures count towards the account lockout like failed logins, so a
+      // signed-in session cannot be used to guess codes without limit
+      const locked = await recordFailedLogin(user.id);
+      if (locked) {
+        return new Response(JSON.stringify({ 
+          ok: false, 
+          message: 'Account has been locked due to too many failed attempts. Check your email for unlock instructions.'
+        }), {
+          status: 403,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      return new Response(JSON.stringify({ ok: false, message: 'Invalid code' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
     if (!verified) {
+      const { exhausted, locked } = await recordFailedPreAuthAttempt(cookies, pending);
+      
+      if (locked) {
+        return new Response(JSON.stringify({ 
+          ok: false, 
+          message: 'Account has been locked due to too many failed login attempts. Check your email for unlock instructions.',
+          restart: true
+        }), {
+          status: 403,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      if (exhausted) {
+        return new Response(JSON.stringify({ ok: false, message: 'Too many invalid codes. Please sign in again.', restart: true }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
       return new Response(JSON.stringify({ ok: false, message: 'Invalid code' }), {
         status: 401,
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
+    // Step-up check for a signed-in user: the existing session stays as is
+    if (!pending) {
+      await resetFailedAttempts(user.id);
+      return new Response(JSON.stringify({
+        ok: true,
+        message: '2FA verified successfully'
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // Single use: a concurrent request may already have completed this login
+    const consumed = await consumePreAuthCookie(cookies, pending);
+    if (!consumed) {
+      return new Response(JSON.stringify({ ok: false, message: 'Your sign-in session has expired. Please sign in again.', restart: true }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    await resetFailedAttempts(user.id);
+    
     // Update last login
     await query(
       'UPDATE users SET last_login_at = NOW() WHERE id = ?',
@@ -87,7 +179,8 @@ export async function POST({ request, cookies }) {
     );
     
     // Create session
-    await rotateSessionOnLogin(cookies, user.id);
+    await destroySessionCookie(cookies);
+    await rotateSessionOnLogin(cookies, user.id, sessionMetaFromRequest(request, clientAddress));
     
     return new Response(JSON.stringify({
       ok: true,
@@ -1,6 +1,7 @@
 import { verifyPassword } from '../../../lib/auth/password.js';
 import { findUserByEmail, recordLogin } from '../../../lib/auth/user.js';
-import { rotateSessionOnLogin, destroySessionCookie } from '../../../lib/auth/session.js';
+import { rotateSessionOnLogin, destroySessionCookie, sessionMetaFromRequest } from '../../../lib/auth/session.js';
+import { createPreAuthCookie } from '../../../lib/auth/preAuth.js';
 import { 
   isAccountLocked, 
   getLoginDelay, 
@@ -29,7 +30,7 @@ async function readPayload(request) {
   };
 }
 
-export async function POST({ request, cookies }) {
+export async function POST({ request, cookies, clientAddress }) {
   try {
     const payload = await readPayload(request);
     const email = typeof payload.email === 'string' ? payload.email.trim().toLowerCase() : '';
@@ -89,11 +90,13 @@ export async function POST({ request, cookies }) {
       // Get available 2FA methods
       const twoFactorStatus = await get2FAStatus(user.id);
       
-      // Don't create session yet, require 2FA verification first
+      // Don't create session yet, require 2FA verification first.
+      // The pre-auth cookie binds the 2FA step to this password check.
+      await createPreAuthCookie(cookies, user.id);
+      
       return jsonResponse({ 
         ok: true, 
         requires2FA: true,
-        email: user.email,
         twoFactorMethods: {
           totp: twoFactorStatus.totpEnabled,
           email: twoFactorStatus.emailEnabled,
@@ -104,10 +107,11 @@ export async function POST({ request, cookies }) {
       });
     }
 
-    // Rotate session token on login (prevents session fixation attacks)
-    // This destroys all existing sessions for the user and creates a new one
+    // Rotate session token on login (prevents session fixation attacks): the session this
+    // browser carried is destroyed and a new one is created; sessions on the user's other
+    // devices are kept, up to auth.sessions.maxSessions (the least recently used are dropped)
     await destroySessionCookie(cookies);
-    await rotateSessionOnLogin(cookies, user.id);
+    await rotateSessionOnLogin(cookies, user.id, sessionMetaFromRequest(request, clientAddress));
     await recordLogin(user.id);
 
     return jsonResponse({ ok: true, message: 'Logged in' });
@@ -0,0 +1,27 @@
+import { generateLoginOptions } from '../../../../lib/auth/passkey.js';
+import { issueChallengeBinding } from '../../../../lib/auth/webauthnChallenges.js';
+import { schedulePrune } from '../../../../lib/prune.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ cookies }) {
+  try {
+    schedulePrune();
+
+    // No user is known yet: bind the challenge to this browser instead
+    const bindingKey = issueChallengeBinding(cookies);
+    const options = await generateLoginOptions(bindingKey);
+
+    return jsonResponse({ ok: true, options });
+  } catch (err) {
+    console.error('Passkey login options error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
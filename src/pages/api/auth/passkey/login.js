@@ -0,0 +1,60 @@
+import { verifyLogin } from '../../../../lib/auth/passkey.js';
+import { takeChallengeBinding } from '../../../../lib/auth/webauthnChallenges.js';
+import { recordLogin } from '../../../../lib/auth/user.js';
+import { rotateSessionOnLogin, destroySessionCookie, sessionMetaFromRequest } from '../../../../lib/auth/session.js';
+import { isAccountLocked, resetFailedAttempts } from '../../../../lib/auth/lockout.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export async function POST({ request, cookies, clientAddress }) {
+  try {
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const { credential } = await request.json();
+    if (!credential || typeof credential !== 'object') {
+      return jsonResponse({ ok: false, message: 'Credential required' }, 400);
+    }
+
+    const bindingKey = takeChallengeBinding(cookies);
+    if (!bindingKey) {
+      return jsonResponse({ ok: false, message: 'Sign-in request expired. Please try again.' }, 400);
+    }
+
+    let result;
+    try {
+      result = await verifyLogin(credential, bindingKey);
+    } catch (err) {
+      console.warn('Passkey login rejected:', err.message);
+      return jsonResponse({ ok: false, message: 'Passkey sign-in failed' }, 401);
+    }
+
+    const locked = await isAccountLocked(result.userId);
+    if (locked) {
+      return jsonResponse({ 
+        ok: false, 
+        message: 'Account is locked due to multiple failed login attempts. Check your email for unlock instructions or wait for the lockout to expire.' 
+      }, 403);
+    }
+
+    // A verified passkey with user verification satisfies both factors
+    await resetFailedAttempts(result.userId);
+    await destroySessionCookie(cookies);
+    await rotateSessionOnLogin(cookies, result.userId, sessionMetaFromRequest(request, clientAddress));
+    await recordLogin(result.userId);
+
+    return jsonResponse({ ok: true, message: 'Logged in' });
+  } catch (err) {
+    console.error('Passkey login error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -1,6 +1,6 @@
 import { hashPassword } from '../../../lib/auth/password.js';
 import { createUser, findUserByEmail, recordLogin, getUserCount } from '../../../lib/auth/user.js';
-import { createSessionCookie } from '../../../lib/auth/session.js';
+import { createSessionCookie, sessionMetaFromRequest } from '../../../lib/auth/session.js';
 import { createEmailVerificationToken } from '../../../lib/auth/emailVerification.js';
 import { isEmailEnabled, sendVerificationEmail } from '../../../lib/email.js';
 import { validatePasswordComplexity } from '../../../lib/auth/passwordValidation.js';
@@ -33,7 +33,7 @@ function validateEmail(email) {
   return regex.test(trimmed);
 }
 
-export async function POST({ request, cookies }) {
+export async function POST({ request, cookies, clientAddress }) {
   try {
     const payload = await readPayload(request);
     const email = typeof payload.email === 'string' ? payload.email.trim().toLowerCase() : '';
@@ -66,7 +66,7 @@ export async function POST({ request, cookies }) {
     const passwordHash = await hashPassword(password);
     const userId = await createUser(email, passwordHash, role);
     await recordLogin(userId);
-    await createSessionCookie(cookies, userId);
+    await createSessionCookie(cookies, userId, sessionMetaFromRequest(request, clientAddress));
 
     // Send verification email if SMTP is configured
     if (isEmailEnabled()) {
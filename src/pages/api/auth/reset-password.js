@@ -1,5 +1,6 @@
 import { resetPasswordWithToken } from '../../../lib/auth/emailVerification.js';
 import { hashPassword } from '../../../lib/auth/password.js';
+import { revokeAllSessions } from '../../../lib/auth/session.js';
 
 export const prerender = false;
 
@@ -33,6 +34,9 @@ export async function POST({ request }) {
       return jsonResponse({ ok: false, message: result.error || 'Password reset failed' }, 400);
     }
 
+    // Whoever might have taken over the account loses access along with the old password
+    await revokeAllSessions(result.userId);
+
     return jsonResponse({ ok: true, message: 'Password reset successfully' }, 200);
   } catch (err) {
     console.error('[reset-password] Error:', err);
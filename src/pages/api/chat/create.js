@@ -0,0 +1,119 @@
+import { getConfig } from '../../../lib/config.js';
+import { allocateCode, recycleCode } from '../../../lib/codegen.js';
+import { checkChatRoomCreateAllowed } from '../../../lib/rateLimit.js';
+import { schedulePrune } from '../../../lib/prune.js';
+import { getSessionUser } from '../../../lib/auth/session.js';
+import { createChatRoom } from '../../../lib/chat.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/chat/create
+ * Creates an end-to-end encrypted chat room (see lib/chat.js). The room key is made in
+ * the browser and never sent here.
+ * Accepts JSON with field: history (boolean, keep the last messages as ciphertext for
+ * people who join later; default false: messages are only relayed)
+ * Authenticates with the session cookie; anonymous use depends on
+ * features.chat.allow_anonymous.
+ * Returns JSON: { ok, message, code?, url?, history? } where url is /c/<code> (without the key)
+ */
+export async function POST({ request, cookies, clientAddress }) {
+  let code = null;
+
+  try {
+    const config = getConfig();
+    const chatConfig = config.features.chat;
+    if (!chatConfig.enabled) {
+      return jsonResponse({ ok: false, message: 'Chat is disabled on this server' }, 404);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const user = await getSessionUser(cookies);
+    if (!user && !chatConfig.allow_anonymous) {
+      return jsonResponse({ ok: false, message: 'Sign in to create chat rooms' }, 401);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    if (body?.history !== undefined && typeof body.history !== 'boolean') {
+      return jsonResponse({ ok: false, message: 'history must be true or false' }, 400);
+    }
+    const history = body?.history === true;
+
+    const visitorId = cookies.get('visitor_id')?.value || 'anon';
+    const ip =
+      clientAddress ||
+      request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      '0.0.0.0';
+
+    let rl;
+    try {
+      rl = await checkChatRoomCreateAllowed({ visitorUuid: visitorId, ip });
+    } catch (err) {
+      console.error('Chat rate limit check failed', err);
+      return jsonResponse({ ok: false, message: 'Server error' }, 500);
+    }
+    if (!rl.allowed) {
+      const message = rl.globalCount >= rl.globalLimit ? 'Service temporarily unavailable' : 'Rate limit exceeded';
+      return jsonResponse({ ok: false, message }, 429);
+    }
+
+    schedulePrune();
+
+    try {
+      const linkConfig = config.features.linkShortener;
+      const allocation = await allocateCode({
+        strategy: linkConfig.force_random_codes ? 'random' : 'sequential',
+        length: linkConfig.random_code_length,
+      });
+      code = allocation.code;
+    } catch (err) {
+      console.error('Chat code allocation error', err);
+      return jsonResponse({ ok: false, message: 'Service temporarily unavailable' }, 503);
+    }
+
+    await createChatRoom({
+      code,
+      persistHistory: history,
+      userId: user ? user.id : null,
+      visitorUuid: visitorId,
+      ip,
+    });
+    const created = code;
+    code = null;
+
+    const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+    return jsonResponse({
+      ok: true,
+      message: 'Chat room created',
+      code: created,
+      url: `${base}/c/${created}`,
+      history,
+    });
+  } catch (err) {
+    console.error('Chat create error', err);
+    if (code) {
+      try {
+        await recycleCode(code);
+      } catch (recycleErr) {
+        console.error('Failed to recycle code after chat error', recycleErr);
+      }
+    }
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
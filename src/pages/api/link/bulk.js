@@ -0,0 +1,219 @@
+import { getConfig } from '../../../lib/config.js';
+import { query } from '../../../lib/db.js';
+import { allocateCodes, recycleCode, CODE_STRATEGIES } from '../../../lib/codegen.js';
+import { checkLinkShortenAllowed, checkApiTokenShortenAllowed, ensureShortLinksExtended } from '../../../lib/rateLimit.js';
+import { schedulePrune } from '../../../lib/prune.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { validateUrl, MAX_URL_LENGTH } from '../../../lib/urlValidation.js';
+import { findBlockedPattern } from '../../../lib/domainBlocklist.js';
+import { urlsFromJson, urlsFromCsv } from '../../../lib/bulkLinks.js';
+import { parseTagIds, assertOwnTags, addTagsToLinks } from '../../../lib/linkTags.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Read the URLs and options of a bulk request: JSON, a text/csv body,
+ * or multipart/form-data with the CSV in a "file" field.
+ * Returns { urls, codeStrategy, tags } or null for unsupported input.
+ */
+async function readBulkInput(request, url) {
+  const contentType = request.headers.get('content-type') || '';
+  let codeStrategy = url.searchParams.get('codeStrategy');
+  let tags = url.searchParams.getAll('tag');
+
+  if (contentType.includes('application/json')) {
+    const body = await request.json();
+    if (body && !Array.isArray(body)) {
+      if (body.codeStrategy != null) codeStrategy = body.codeStrategy.toString();
+      if (body.tags != null) tags = body.tags;
+    }
+    const urls = urlsFromJson(body);
+    return urls ? { urls, codeStrategy, tags } : null;
+  }
+
+  if (contentType.includes('text/csv') || contentType.includes('text/plain')) {
+    return { urls: urlsFromCsv(await request.text()), codeStrategy, tags };
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const file = formData.get('file');
+    if (!file || typeof file === 'string') return null;
+    const strategy = formData.get('codeStrategy');
+    if (typeof strategy === 'string' && strategy) codeStrategy = strategy;
+    if (formData.has('tag')) tags = formData.getAll('tag');
+    return { urls: urlsFromCsv(await file.text()), codeStrategy, tags };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/link/bulk?codeStrategy=<sequential|random>&tag=<id>
+ * Creates plaintext short links for many URLs at once. Accepts a JSON array of URLs
+ * (or { url } objects, or { urls, codeStrategy, tags }), a text/csv body, or a CSV file
+ * uploaded as multipart/form-data field "file". Every new link gets the given tags.
+ * Every URL counts against the hourly link limits; URLs beyond the remaining
+ * allowance are reported as rate limited instead of created.
+ * Returns JSON: { ok, message, created, failed, results: [{ row, url, ok, code?, short?, error? }] }
+ * where row is the 1-based position of the URL in the input (CSV header excluded).
+ */
+export async function POST({ request, cookies, clientAddress, url }) {
+  let allocated = [];
+
+  try {
+    const auth = await getApiUser(request, cookies, 'links:write');
+    if (auth.error) {
+      return jsonResponse({ ok: false, message: auth.error }, auth.status);
+    }
+    if (!auth.user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+    const user = auth.user;
+    const apiTokenId = auth.apiToken ? auth.apiToken.id : null;
+
+    let input;
+    try {
+      input = await readBulkInput(request, url);
+    } catch {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    if (!input) {
+      return jsonResponse({ ok: false, message: 'Send a JSON array of URLs or a CSV file' }, 415);
+    }
+
+    const config = getConfig();
+    const linkConfig = config.features.linkShortener;
+    const maxUrls = config.limits.bulkLinksPerRequest;
+    const requestedStrategy = input.codeStrategy || 'sequential';
+    if (!CODE_STRATEGIES.includes(requestedStrategy)) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    const tagIds = parseTagIds(input.tags);
+    if (!tagIds) {
+      return jsonResponse({ ok: false, message: 'Invalid tags' }, 400);
+    }
+    await assertOwnTags(user.id, tagIds);
+    if (input.urls.length === 0) {
+      return jsonResponse({ ok: false, message: 'No URLs to shorten' }, 400);
+    }
+    if (input.urls.length > maxUrls) {
+      return jsonResponse({ ok: false, message: `At most ${maxUrls} URLs per request` }, 413);
+    }
+
+    const results = [];
+    const accepted = [];
+    for (const [index, rawUrl] of input.urls.entries()) {
+      const result = { row: index + 1, url: rawUrl, ok: false };
+      results.push(result);
+      const validation = validateUrl(rawUrl, { allowHttp: true, blockLocalhost: true, maxLength: MAX_URL_LENGTH });
+      if (!validation.valid) {
+        result.error = validation.error || 'Invalid URL';
+      } else if (await findBlockedPattern(validation.normalizedUrl)) {
+        result.error = 'Links to this destination are not allowed';
+      } else {
+        accepted.push({ result, normalizedUrl: validation.normalizedUrl });
+      }
+    }
+
+    const visitorId = cookies.get('visitor_id')?.value || 'anon';
+    const ip =
+      clientAddress ||
+      request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      '0.0.0.0';
+
+    let rl;
+    try {
+      rl = apiTokenId
+        ? await checkApiTokenShortenAllowed({ userId: user.id })
+        : await checkLinkShortenAllowed({ visitorUuid: visitorId, ip });
+    } catch (err) {
+      console.error('Rate limit check failed', err);
+      return jsonResponse({ ok: false, message: 'Server error' }, 500);
+    }
+
+    const toCreate = accepted.slice(0, rl.remaining);
+    for (const { result } of accepted.slice(rl.remaining)) {
+      result.error = 'Rate limit exceeded';
+    }
+
+    if (toCreate.length > 0) {
+      await ensureShortLinksExtended();
+      schedulePrune();
+
+      try {
+        allocated = await allocateCodes(toCreate.length, {
+          strategy: linkConfig.force_random_codes ? 'random' : requestedStrategy,
+          length: linkConfig.random_code_length,
+        });
+      } catch (err) {
+        console.error('Bulk code allocation error', err);
+        return jsonResponse({ ok: false, message: 'Service temporarily unavailable' }, 503);
+      }
+
+      const rows = toCreate.map(({ normalizedUrl }, i) => [
+        allocated[i].code,
+        normalizedUrl,
+        visitorId,
+        ip,
+        'plaintext',
+        null,
+        false,
+        user.id,
+        apiTokenId,
+      ]);
+      await query(
+        `INSERT INTO short_links (short_code, original_url, visitor_uuid, ip, security_mode, encryption_key, is_encrypted, user_id, api_token_id)
+         VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        rows.flat()
+      );
+      const createdCodes = allocated.map(({ code }) => code);
+      allocated = [];
+
+      if (tagIds.length > 0) {
+        const inserted = await query(
+          `SELECT id FROM short_links WHERE user_id = ? AND short_code IN (${createdCodes.map(() => '?').join(', ')})`,
+          [user.id, ...createdCodes]
+        );
+        await addTagsToLinks(inserted.map(row => row.id), tagIds);
+      }
+
+      const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+      toCreate.forEach(({ result }, i) => {
+        result.ok = true;
+        result.code = createdCodes[i];
+        result.short = `${base}/${createdCodes[i]}`;
+      });
+    }
+
+    const created = toCreate.length;
+    return jsonResponse({
+      ok: true,
+      message: `Created ${created} of ${results.length} links`,
+      created,
+      failed: results.length - created,
+      results,
+    });
+  } catch (err) {
+    if (err && err.status === 400) {
+      return jsonResponse({ ok: false, message: err.message }, 400);
+    }
+    console.error('Bulk shorten error', err);
+    // The batch insert is all-or-nothing, so every allocated code is still free
+    for (const { code } of allocated) {
+      try {
+        await recycleCode(code);
+      } catch (recycleErr) {
+        console.error('Failed to recycle code after bulk error', recycleErr);
+      }
+    }
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -1,7 +1,7 @@
-import { query } from '../../../lib/db.js';
 import { ensureShortLinksExtended } from '../../../lib/rateLimit.js';
-import { getSessionUser } from '../../../lib/auth/session.js';
-import { recycleCode } from '../../../lib/codegen.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { deleteLink } from '../../../lib/linkTombstones.js';
+import { codesWithTag } from '../../../lib/linkTags.js';
 
 export const prerender = false;
 
@@ -20,31 +20,50 @@ async function readPayload(request) {
   const formData = await request.formData();
   return {
     code: formData.get('code'),
+    tag: formData.get('tag'),
   };
 }
 
+/**
+ * POST /api/link/delete
+ * Accepts JSON or form data with either code (one link) or tag (every link carrying that tag id)
+ */
 export async function POST({ request, cookies }) {
   try {
-    const user = await getSessionUser(cookies);
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
     if (!user) {
       return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
     }
 
     const payload = await readPayload(request);
+
+    if (payload.tag != null && payload.tag !== '') {
+      const tagId = Number(payload.tag);
+      if (!Number.isSafeInteger(tagId) || tagId < 1) {
+        return jsonResponse({ ok: false, message: 'Invalid tag' }, 400);
+      }
+      let deletedCount = 0;
+      for (const tagged of await codesWithTag(user.id, tagId)) {
+        if (await deleteLink(tagged, { userId: user.id })) deletedCount += 1;
+      }
+      return jsonResponse({ ok: true, message: `Deleted ${deletedCount} links`, deleted: deletedCount });
+    }
+
     const code = typeof payload.code === 'string' ? payload.code.trim() : '';
     if (!code) {
       return jsonResponse({ ok: false, message: 'Missing short code' }, 400);
     }
 
     await ensureShortLinksExtended();
-    const result = await query('DELETE FROM short_links WHERE short_code = ? AND user_id = ?', [code, user.id]);
+    const deleted = await deleteLink(code, { userId: user.id });
 
-    if (result.affectedRows === 0) {
+    if (!deleted) {
       return jsonResponse({ ok: false, message: 'Link not found' }, 404);
     }
 
-    await recycleCode(code);
-
     return jsonResponse({ ok: true, message: 'Link deleted' });
   } catch (err) {
     console.error('Delete link error:', err);
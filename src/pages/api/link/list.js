@@ -1,7 +1,10 @@
 import { getConfig } from '../../../lib/config.js';
 import { query } from '../../../lib/db.js';
 import { ensureShortLinksExtended } from '../../../lib/rateLimit.js';
-import { getSessionUser } from '../../../lib/auth/session.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { exportRecord, exportCsv } from '../../../lib/bulkLinks.js';
+import { listUserLinks, parseLinkListParams } from '../../../lib/linkListing.js';
+import { ensureLinkTagsTables, listTags, tagIdsForLinks } from '../../../lib/linkTags.js';
 
 export const prerender = false;
 
@@ -20,9 +23,52 @@ function jsonResponse(body, status = 200) {
   });
 }
 
-export async function GET({ cookies }) {
+/**
+ * Download every link of the user (no row limit) as CSV or JSON, optionally only those with a tag
+ */
+async function exportLinks(userId, format, base, tagId) {
+  await ensureLinkTagsTables();
+  const tagClause = tagId ? ' AND EXISTS (SELECT 1 FROM short_link_tags st WHERE st.link_id = id AND st.tag_id = ?)' : '';
+  const rows = await query(
+    `SELECT id, short_code, original_url, security_mode, created_at, last_accessed, usage_count, expires_at, max_uses
+     FROM short_links
+     WHERE user_id = ?${tagClause}
+     ORDER BY created_at DESC, id DESC`,
+    tagId ? [userId, tagId] : [userId]
+  );
+  const tagsById = new Map((await listTags(userId)).map(tag => [tag.id, tag]));
+  const tagIds = await tagIdsForLinks(rows.map(row => row.id));
+  const records = rows.map(row => exportRecord(
+    row,
+    base,
+    (tagIds.get(String(row.id)) || []).map(id => tagsById.get(id)).filter(Boolean)
+  ));
+  const filename = `links-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const body = format === 'csv' ? exportCsv(records) : JSON.stringify({ ok: true, links: records });
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store',
+    },
+  });
+}
+
+/**
+ * GET /api/link/list?security=&tag=&createdFrom=&createdTo=&accessedFrom=&accessedTo=&neverUsed=1&q=
+ *                    &sort=created|usage|accessed&order=desc|asc&cursor=&limit=
+ * One page of the user's links (dates are UTC days, both ends inclusive; q searches
+ * plaintext destinations). Pass nextCursor from the response as cursor for the next page.
+ * GET /api/link/list?format=csv|json[&tag=] exports all of the user's links (or those with a tag)
+ * as a file download.
+ */
+export async function GET({ request, cookies, url }) {
   try {
-    const user = await getSessionUser(cookies);
+    const { user, error, status } = await getApiUser(request, cookies, 'links:read');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
     if (!user) {
       return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
     }
@@ -31,18 +77,35 @@ export async function GET({ cookies }) {
     const config = getConfig();
     const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
 
-    const rows = await query(
-      `SELECT short_code, created_at, last_accessed, usage_count, security_mode, is_encrypted
-       FROM short_links
-       WHERE user_id = ?
-       ORDER BY created_at DESC
-       LIMIT 200`,
-      [user.id]
-    );
+    const format = url.searchParams.get('format');
+    if (format) {
+      if (format !== 'csv' && format !== 'json') {
+        return jsonResponse({ ok: false, message: 'Unsupported export format' }, 400);
+      }
+      const tag = url.searchParams.get('tag');
+      if (tag && !/^[1-9]\d{0,17}$/.test(tag)) {
+        return jsonResponse({ ok: false, message: 'Invalid tag' }, 400);
+      }
+      return await exportLinks(user.id, format, base, tag);
+    }
+
+    let options;
+    try {
+      options = parseLinkListParams(url.searchParams);
+    } catch (err) {
+      if (err && err.status === 400) {
+        return jsonResponse({ ok: false, message: err.message }, 400);
+      }
+      throw err;
+    }
+
+    const { rows, nextCursor } = await listUserLinks(user.id, options);
 
     const links = rows.map(row => {
       const iso = row.created_at instanceof Date ? row.created_at.toISOString() : new Date(row.created_at).toISOString();
       const lastAccessedIso = row.last_accessed ? (row.last_accessed instanceof Date ? row.last_accessed.toISOString() : new Date(row.last_accessed).toISOString()) : null;
+      const expiresAtIso = row.expires_at ? (row.expires_at instanceof Date ? row.expires_at.toISOString() : new Date(row.expires_at).toISOString()) : null;
+      const maxUses = row.max_uses != null ? Number(row.max_uses) : null;
       return {
         code: row.short_code,
         short: base ? `${base}/${row.short_code}` : `/${row.short_code}`,
@@ -54,10 +117,17 @@ export async function GET({ cookies }) {
         securityMode: row.security_mode,
         securityLabel: securityLabelFor(row.security_mode),
         isEncrypted: !!row.is_encrypted,
+        expiresAtIso,
+        expiresAtDisplay: expiresAtIso ? new Date(expiresAtIso).toLocaleString() : 'Never',
+        maxUses,
+        isExpired: (expiresAtIso !== null && new Date(expiresAtIso).getTime() <= Date.now()) ||
+          (maxUses !== null && Number(row.usage_count || 0) >= maxUses),
+        analyticsEnabled: !!row.analytics_enabled,
+        tags: row.tagIds,
       };
     });
 
-    return jsonResponse({ ok: true, links });
+    return jsonResponse({ ok: true, links, nextCursor });
   } catch (err) {
     console.error('List links error:', err);
     return jsonResponse({ ok: false, message: 'Server error' }, 500);
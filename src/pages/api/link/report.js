@@ -0,0 +1,41 @@
+import { createLinkReport } from '../../../lib/linkReports.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/link/report
+ * Accepts JSON with fields: code, reason (phishing|malware|spam|illegal|other), details (optional)
+ * Public; queues the report for the admins. Reporters are rate limited by coarse network.
+ */
+export async function POST({ request, clientAddress }) {
+  try {
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const body = await request.json();
+    const code = typeof body.code === 'string' ? body.code.trim() : '';
+    const reason = typeof body.reason === 'string' ? body.reason : '';
+    if (!code || code.length > 16) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    await createLinkReport({ code, reason, details: body.details, ip: clientAddress });
+
+    return jsonResponse({ ok: true, message: 'Thank you, the report will be reviewed.' });
+  } catch (err) {
+    if (err && err.status) {
+      return jsonResponse({ ok: false, message: err.message }, err.status);
+    }
+    console.error('Link report error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,43 @@
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { listLinkRevisions } from '../../../lib/linkRevisions.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/link/revisions?code=<code>
+ * Returns the current and previous destinations of one of the user's links (newest first).
+ * Encrypted links return their payloads, which only the key holder can read.
+ */
+export async function GET({ request, cookies, url }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:read');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const code = (url.searchParams.get('code') || '').trim();
+    if (!code) {
+      return jsonResponse({ ok: false, message: 'Missing short code' }, 400);
+    }
+
+    const history = await listLinkRevisions(code, user.id);
+    if (!history) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    return jsonResponse({ ok: true, ...history });
+  } catch (err) {
+    console.error('List link revisions error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
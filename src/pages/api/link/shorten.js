@@ -4,19 +4,29 @@
 
 import { getConfig } from "../../../lib/config";
 import { query } from "../../../lib/db.js";
-import { allocateCode, recycleCode } from "../../../lib/codegen.js";
-import { checkLinkShortenAllowed, ensureShortLinksExtended } from "../../../lib/rateLimit.js";
+import { allocateCode, recycleCode, validateCustomCode, claimCustomCode, CODE_STRATEGIES } from "../../../lib/codegen.js";
+import { checkLinkShortenAllowed, checkApiTokenShortenAllowed, ensureShortLinksExtended } from "../../../lib/rateLimit.js";
 import { schedulePrune } from "../../../lib/prune.js";
-import { getSessionUser } from "../../../lib/auth/session.js";
-import { MAX_URL_LENGTH, MAX_ENCRYPTED_LENGTH } from "../../../lib/urlValidation.js";
+import { getApiUser } from "../../../lib/auth/apiTokens.js";
+import { validateUrl, MAX_URL_LENGTH, MAX_ENCRYPTED_LENGTH } from "../../../lib/urlValidation.js";
+import { findBlockedPattern } from "../../../lib/domainBlocklist.js";
+import { parseTagIds, assertOwnTags, addTagsToLinks } from "../../../lib/linkTags.js";
 
 export const prerender = false;
 
 const ENCRYPTED_PAYLOAD_REGEX = /^[A-Za-z0-9_-]+$/;
+const MAX_EXPIRY_MS = 1000 * 60 * 60 * 24 * 3650; // 10 years
+const MAX_USES_LIMIT = 1_000_000;
 
 /**
  * POST /api/link/shorten
- * Accepts JSON with fields: url, security (plaintext|encryptedAndDecryptionKeyInURL|encrypted), keyLength, clientEncrypted
+ * Accepts JSON with fields: url, security (plaintext|encryptedAndDecryptionKeyInURL|encrypted), keyLength, clientEncrypted,
+ * customCode (optional vanity code, signed-in users only), codeStrategy (sequential|random),
+ * expiresAt (optional ISO 8601 timestamp), maxUses (optional visit limit),
+ * analytics (opt in to aggregated visit statistics, signed-in users only),
+ * forcePreview (always show the preview page instead of redirecting straight away),
+ * tags (optional array of the user's tag ids, signed-in users only)
+ * Authenticates with the session cookie or an API token with the links:write scope (anonymous use is allowed)
  * Returns JSON: { ok: boolean, message: string, short?: string, original?: string, key?: string }
  */
 export async function POST({ request, cookies, clientAddress }) {
@@ -41,6 +51,31 @@ export async function POST({ request, cookies, clientAddress }) {
     const parsedKeyBits = keyLengthParam != null ? parseInt(keyLengthParam.toString(), 10) : 128;
     const keyLengthBits = Number.isFinite(parsedKeyBits) ? parsedKeyBits : 128;
     const clientEncrypted = body.clientEncrypted === true || body.clientEncrypted === "1" || body.clientEncrypted === 1;
+    const customCode = typeof body.customCode === "string" && body.customCode.trim() ? body.customCode.trim() : null;
+    const requestedStrategy = body.codeStrategy != null ? body.codeStrategy.toString() : "sequential";
+    const analytics = body.analytics === true || body.analytics === "1" || body.analytics === 1;
+    const forcePreview = body.forcePreview === true || body.forcePreview === "1" || body.forcePreview === 1;
+    const tagIds = parseTagIds(body.tags);
+    if (!tagIds) {
+      return new Response(JSON.stringify({ ok: false, message: "Invalid tags" }), { status: 400 });
+    }
+
+    let expiresAt = null;
+    if (body.expiresAt != null && body.expiresAt !== "") {
+      expiresAt = new Date(body.expiresAt.toString());
+      const remaining = expiresAt.getTime() - Date.now();
+      if (Number.isNaN(remaining) || remaining <= 0 || remaining > MAX_EXPIRY_MS) {
+        return new Response(JSON.stringify({ ok: false, message: "Expiry must be a future date within 10 years" }), { status: 400 });
+      }
+    }
+
+    let maxUses = null;
+    if (body.maxUses != null && body.maxUses !== "") {
+      maxUses = Number(body.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT) {
+        return new Response(JSON.stringify({ ok: false, message: `Visit limit must be between 1 and ${MAX_USES_LIMIT}` }), { status: 400 });
+      }
+    }
 
     if (typeof url !== "string" || !url.trim()) {
       return new Response(JSON.stringify({ ok: false, message: "Invalid request" }), { status: 400 });
@@ -51,6 +86,10 @@ export async function POST({ request, cookies, clientAddress }) {
       return new Response(JSON.stringify({ ok: false, message: "Invalid request" }), { status: 400 });
     }
 
+    if (!CODE_STRATEGIES.includes(requestedStrategy)) {
+      return new Response(JSON.stringify({ ok: false, message: "Invalid request" }), { status: 400 });
+    }
+
     if (keyLengthBits < 128 || keyLengthBits > 256) {
       return new Response(JSON.stringify({ ok: false, message: "Invalid request" }), { status: 400 });
     }
@@ -94,6 +133,11 @@ export async function POST({ request, cookies, clientAddress }) {
       if (!looksLikeUrl) {
         return new Response(JSON.stringify({ ok: false, message: "Invalid request" }), { status: 422 });
       }
+      // Encrypted destinations cannot be checked; plaintext ones are matched against the blocklist
+      const validation = validateUrl(trimmedUrl, { allowHttp: true, blockLocalhost: true, maxLength: MAX_URL_LENGTH });
+      if (validation.valid && await findBlockedPattern(validation.normalizedUrl)) {
+        return new Response(JSON.stringify({ ok: false, message: "Links to this destination are not allowed" }), { status: 403 });
+      }
     }
 
     // For client-side encryption modes we do NOT accept or store encryption keys.
@@ -103,7 +147,47 @@ export async function POST({ request, cookies, clientAddress }) {
 
     const config = getConfig();
     const base = config?.app?.baseUrl?.replace(/\/+$/, "") || "";
-    const user = await getSessionUser(cookies);
+    const auth = await getApiUser(request, cookies, "links:write");
+    if (auth.error) {
+      return new Response(JSON.stringify({ ok: false, message: auth.error }), { status: auth.status });
+    }
+    const user = auth.user;
+    const apiTokenId = auth.apiToken ? auth.apiToken.id : null;
+
+    if (customCode) {
+      if (!user) {
+        return new Response(JSON.stringify({ ok: false, message: "Sign in to choose a custom short code" }), { status: 401 });
+      }
+      const customCodeError = validateCustomCode(customCode, {
+        minLength: config.features.linkShortener.custom_code_min_length,
+      });
+      if (customCodeError) {
+        return new Response(JSON.stringify({ ok: false, message: customCodeError }), { status: 400 });
+      }
+    }
+
+    if (analytics) {
+      if (!user) {
+        return new Response(JSON.stringify({ ok: false, message: "Sign in to collect link statistics" }), { status: 401 });
+      }
+      if (!config.features.linkShortener.analytics_enabled) {
+        return new Response(JSON.stringify({ ok: false, message: "Link statistics are disabled on this server" }), { status: 400 });
+      }
+    }
+
+    if (tagIds.length > 0) {
+      if (!user) {
+        return new Response(JSON.stringify({ ok: false, message: "Sign in to tag links" }), { status: 401 });
+      }
+      try {
+        await assertOwnTags(user.id, tagIds);
+      } catch (err) {
+        if (err && err.status === 400) {
+          return new Response(JSON.stringify({ ok: false, message: err.message }), { status: 400 });
+        }
+        throw err;
+      }
+    }
 
     const visitorId = cookies.get("visitor_id")?.value || "anon";
     const ip =
@@ -113,7 +197,9 @@ export async function POST({ request, cookies, clientAddress }) {
 
     let rl;
     try {
-      rl = await checkLinkShortenAllowed({ visitorUuid: visitorId, ip });
+      rl = apiTokenId
+        ? await checkApiTokenShortenAllowed({ userId: user.id })
+        : await checkLinkShortenAllowed({ visitorUuid: visitorId, ip });
     } catch (err) {
       console.error("Rate limit check failed", err);
       return new Response(JSON.stringify({ ok: false, message: "Server error" }), { status: 500 });
@@ -136,21 +222,32 @@ export async function POST({ request, cookies, clientAddress }) {
 
     let allocation;
     try {
-      allocation = await allocateCode();
+      const linkConfig = config.features.linkShortener;
+      allocation = customCode
+        ? await claimCustomCode(customCode)
+        : await allocateCode({
+            strategy: linkConfig.force_random_codes ? "random" : requestedStrategy,
+            length: linkConfig.random_code_length,
+          });
     } catch (err) {
+      if (err && err.status === 409) {
+        return new Response(JSON.stringify({ ok: false, message: err.message }), { status: 409 });
+      }
       console.error("Code allocation error", err);
       return new Response(JSON.stringify({ ok: false, message: "Server error" }), { status: 500 });
     }
 
     shortCode = allocation.code;
-    codeInUse = true;
+    // Custom codes never came from the pool, so there is nothing to give back on failure
+    codeInUse = !customCode;
 
     const urlToStore = trimmedUrl;
     const isEncrypted = requiresEncryption;
 
+    let linkId;
     try {
-      await query(
-        "INSERT INTO short_links (short_code, original_url, visitor_uuid, ip, security_mode, encryption_key, is_encrypted, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      const inserted = await query(
+        "INSERT INTO short_links (short_code, original_url, visitor_uuid, ip, security_mode, encryption_key, is_encrypted, user_id, api_token_id, expires_at, max_uses, analytics_enabled, force_preview) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
         [
           shortCode,
           urlToStore,
@@ -160,11 +257,21 @@ export async function POST({ request, cookies, clientAddress }) {
           null, // never store client keys
           isEncrypted,
           user ? user.id : null,
+          apiTokenId,
+          expiresAt,
+          maxUses,
+          analytics,
+          forcePreview,
         ]
       );
+      linkId = inserted.insertId;
       codeInUse = false;
     } catch (err) {
       if (err && err.code === "ER_DUP_ENTRY") {
+        // A custom code claimed concurrently by someone else is a conflict, not a free code
+        if (customCode) {
+          return new Response(JSON.stringify({ ok: false, message: "That short code is already taken" }), { status: 409 });
+        }
         if (codeInUse && shortCode) {
           try {
             await recycleCode(shortCode);
@@ -187,6 +294,10 @@ export async function POST({ request, cookies, clientAddress }) {
       return new Response(JSON.stringify({ ok: false, message: "Server error" }), { status: 500 });
     }
 
+    if (tagIds.length > 0) {
+      await addTagsToLinks([linkId], tagIds);
+    }
+
     const response = {
       ok: true,
       message: "Short URL created",
@@ -197,6 +308,22 @@ export async function POST({ request, cookies, clientAddress }) {
       response.original = trimmedUrl;
     }
 
+    if (expiresAt) {
+      response.expiresAt = expiresAt.toISOString();
+    }
+
+    if (maxUses) {
+      response.maxUses = maxUses;
+    }
+
+    if (analytics) {
+      response.analytics = true;
+    }
+
+    if (forcePreview) {
+      response.forcePreview = true;
+    }
+
     if (requiresEncryption) {
       const isStandardKeyLength = keyLengthBits === 128 || keyLengthBits === 192 || keyLengthBits === 256;
       if (!isStandardKeyLength) {
@@ -0,0 +1,91 @@
+import { getConfig } from '../../../lib/config.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { getLinkStats, setLinkAnalytics } from '../../../lib/linkAnalytics.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/link/stats?code=<code>&days=<1-365>
+ * Returns the aggregated daily visit statistics of one of the user's links:
+ * a zero-filled daily series plus the top referrer hosts, countries and browser families
+ * (leaving out daily counts below features.linkShortener.analytics_min_visits).
+ */
+export async function GET({ request, cookies, url }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:read');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const code = (url.searchParams.get('code') || '').trim();
+    if (!code) {
+      return jsonResponse({ ok: false, message: 'Missing short code' }, 400);
+    }
+
+    const stats = await getLinkStats(code, user.id, url.searchParams.get('days') || 30);
+    if (!stats) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    return jsonResponse({ ok: true, ...stats });
+  } catch (err) {
+    console.error('Link stats error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
+
+/**
+ * POST /api/link/stats
+ * Accepts JSON with fields: code, enabled
+ * Turns statistics collection on or off; turning it off deletes the collected statistics.
+ */
+export async function POST({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const body = await request.json();
+    const code = typeof body.code === 'string' ? body.code.trim() : '';
+    if (!code || typeof body.enabled !== 'boolean') {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    if (body.enabled && !getConfig().features.linkShortener.analytics_enabled) {
+      return jsonResponse({ ok: false, message: 'Link statistics are disabled on this server' }, 400);
+    }
+
+    const updated = await setLinkAnalytics(code, user.id, body.enabled);
+    if (!updated) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    return jsonResponse({
+      ok: true,
+      message: body.enabled ? 'Statistics enabled' : 'Statistics disabled and deleted',
+      enabled: body.enabled,
+    });
+  } catch (err) {
+    console.error('Toggle link stats error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
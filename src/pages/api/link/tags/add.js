@@ -0,0 +1,37 @@
+import { getApiUser } from '../../../../lib/auth/apiTokens.js';
+import { createTag } from '../../../../lib/linkTags.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/link/tags/add
+ * Accepts JSON with fields: name, encrypted (true if name is client-side ciphertext)
+ */
+export async function POST({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const payload = await request.json();
+    const tag = await createTag(user.id, payload.name, payload.encrypted === true);
+    return jsonResponse({ ok: true, message: 'Tag created', tag });
+  } catch (err) {
+    if (err && (err.status === 400 || err.status === 409)) {
+      return jsonResponse({ ok: false, message: err.message }, err.status);
+    }
+    console.error('Create tag error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,46 @@
+import { getApiUser } from '../../../../lib/auth/apiTokens.js';
+import { parseTagIds, setLinkTags, MAX_TAGS_PER_LINK } from '../../../../lib/linkTags.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/link/tags/assign
+ * Accepts JSON with fields: code, tags (array of tag ids, replaces the link's current tags)
+ */
+export async function POST({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const payload = await request.json();
+    const code = typeof payload.code === 'string' ? payload.code.trim() : '';
+    const tagIds = parseTagIds(payload.tags);
+    if (!code || !tagIds) {
+      return jsonResponse({ ok: false, message: `Send a short code and at most ${MAX_TAGS_PER_LINK} tag ids` }, 400);
+    }
+
+    const updated = await setLinkTags(user.id, code, tagIds);
+    if (!updated) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+    return jsonResponse({ ok: true, message: 'Tags updated', tags: tagIds });
+  } catch (err) {
+    if (err && err.status === 400) {
+      return jsonResponse({ ok: false, message: err.message }, 400);
+    }
+    console.error('Assign tags error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
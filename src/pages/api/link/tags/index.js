@@ -0,0 +1,33 @@
+import { getApiUser } from '../../../../lib/auth/apiTokens.js';
+import { listTags } from '../../../../lib/linkTags.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/link/tags
+ * Returns the user's tags: { id, name, encrypted, linkCount }. Encrypted names are
+ * ciphertext that only the user's browser can decrypt.
+ */
+export async function GET({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:read');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    return jsonResponse({ ok: true, tags: await listTags(user.id) });
+  } catch (err) {
+    console.error('List tags error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,43 @@
+import { getApiUser } from '../../../../lib/auth/apiTokens.js';
+import { deleteTag } from '../../../../lib/linkTags.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/link/tags/remove
+ * Accepts JSON with fields: id
+ * Deletes the tag; links carrying it are kept (use /api/link/delete with tag to delete them).
+ */
+export async function POST({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const payload = await request.json();
+    const id = Number(payload.id);
+    if (!Number.isSafeInteger(id) || id < 1) {
+      return jsonResponse({ ok: false, message: 'Invalid tag' }, 400);
+    }
+
+    const removed = await deleteTag(user.id, id);
+    if (!removed) {
+      return jsonResponse({ ok: false, message: 'Tag not found' }, 404);
+    }
+    return jsonResponse({ ok: true, message: 'Tag deleted' });
+  } catch (err) {
+    console.error('Delete tag error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,92 @@
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { validateUrl, MAX_URL_LENGTH, MAX_ENCRYPTED_LENGTH } from '../../../lib/urlValidation.js';
+import { findOwnedLink, updateLinkDestination } from '../../../lib/linkRevisions.js';
+import { findBlockedPattern } from '../../../lib/domainBlocklist.js';
+
+export const prerender = false;
+
+const ENCRYPTED_PAYLOAD_REGEX = /^[A-Za-z0-9_-]+$/;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/link/update
+ * Accepts JSON with fields: code, url, clientEncrypted
+ * Plaintext links take a new URL (re-validated); encrypted links take a new
+ * payload encrypted in the browser with the link's existing key.
+ */
+export async function POST({ request, cookies }) {
+  try {
+    const { user, error, status } = await getApiUser(request, cookies, 'links:write');
+    if (error) {
+      return jsonResponse({ ok: false, message: error }, status);
+    }
+    if (!user) {
+      return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const body = await request.json();
+    const code = typeof body.code === 'string' ? body.code.trim() : '';
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    const clientEncrypted = body.clientEncrypted === true || body.clientEncrypted === '1' || body.clientEncrypted === 1;
+
+    if (!code || !url) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+
+    const link = await findOwnedLink(code, user.id);
+    if (!link) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    let urlToStore;
+    if (link.securityMode === 'plaintext') {
+      if (clientEncrypted) {
+        return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+      }
+      const validation = validateUrl(url, { allowHttp: true, blockLocalhost: true, maxLength: MAX_URL_LENGTH });
+      if (!validation.valid) {
+        return jsonResponse({ ok: false, message: `Invalid URL: ${validation.error}` }, 422);
+      }
+      if (await findBlockedPattern(validation.normalizedUrl)) {
+        return jsonResponse({ ok: false, message: 'Links to this destination are not allowed' }, 403);
+      }
+      urlToStore = validation.normalizedUrl;
+    } else {
+      // Encrypted links: the server never sees the URL or key, only the new payload
+      if (!clientEncrypted || url.length > MAX_ENCRYPTED_LENGTH || !ENCRYPTED_PAYLOAD_REGEX.test(url)) {
+        return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+      }
+      urlToStore = url;
+    }
+
+    const updated = await updateLinkDestination({
+      code,
+      userId: user.id,
+      expectedMode: link.securityMode,
+      newUrl: urlToStore,
+    });
+    if (!updated) {
+      return jsonResponse({ ok: false, message: 'Link not found' }, 404);
+    }
+
+    const response = { ok: true, message: 'Link updated' };
+    if (link.securityMode === 'plaintext') {
+      response.original = urlToStore;
+    }
+    return jsonResponse(response);
+  } catch (err) {
+    console.error('Update link error:', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,151 @@
+import { getConfig } from '../../../lib/config.js';
+import { allocateCode, recycleCode } from '../../../lib/codegen.js';
+import { checkPasteCreateAllowed } from '../../../lib/rateLimit.js';
+import { schedulePrune } from '../../../lib/prune.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { createPaste, validatePasteContent, isPasteLanguage, parsePasteExpiry, PASTE_SECURITY_MODES } from '../../../lib/pastes.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/paste/create
+ * Accepts JSON with fields: content (the text, or the base64url ciphertext for encrypted pastes),
+ * security (plaintext|encryptedAndDecryptionKeyInURL|passphrase),
+ * language (optional syntax highlighting language, plaintext pastes only; encrypted pastes
+ * carry it inside the ciphertext), burnAfterRead (optional, delete on first open),
+ * expiresAt (optional ISO 8601 timestamp)
+ * Encrypted pastes are encrypted in the browser; keys and passphrases are never sent here.
+ * Authenticates with the session cookie or an API token with the pastes:write scope;
+ * anonymous use depends on features.paste.allow_anonymous.
+ * Returns JSON: { ok, message, code?, url?, burnAfterRead?, expiresAt? } where url is /p/<code> (without any key)
+ */
+export async function POST({ request, cookies, clientAddress }) {
+  let code = null;
+
+  try {
+    const config = getConfig();
+    const pasteConfig = config.features.paste;
+    if (!pasteConfig.enabled) {
+      return jsonResponse({ ok: false, message: 'The pastebin is disabled on this server' }, 404);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const auth = await getApiUser(request, cookies, 'pastes:write');
+    if (auth.error) {
+      return jsonResponse({ ok: false, message: auth.error }, auth.status);
+    }
+    const user = auth.user;
+    if (!user && !pasteConfig.allow_anonymous) {
+      return jsonResponse({ ok: false, message: 'Sign in to create pastes' }, 401);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    const security = body?.security != null ? body.security.toString() : 'plaintext';
+    if (!PASTE_SECURITY_MODES.includes(security)) {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    const language = body?.language != null && body.language !== '' ? body.language.toString() : null;
+    if (language && (security !== 'plaintext' || !isPasteLanguage(language))) {
+      return jsonResponse({ ok: false, message: 'Invalid language' }, 400);
+    }
+    const burnAfterRead = body?.burnAfterRead === true || body?.burnAfterRead === '1' || body?.burnAfterRead === 1;
+    const expiry = parsePasteExpiry(body?.expiresAt);
+    if (expiry.error) {
+      return jsonResponse({ ok: false, message: expiry.error }, 400);
+    }
+    const content = body?.content;
+    const contentError = validatePasteContent(content, security, pasteConfig.max_length);
+    if (contentError) {
+      return jsonResponse({ ok: false, message: contentError }, 400);
+    }
+
+    const visitorId = cookies.get('visitor_id')?.value || 'anon';
+    const ip =
+      clientAddress ||
+      request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      '0.0.0.0';
+
+    let rl;
+    try {
+      rl = await checkPasteCreateAllowed({ visitorUuid: visitorId, ip });
+    } catch (err) {
+      console.error('Paste rate limit check failed', err);
+      return jsonResponse({ ok: false, message: 'Server error' }, 500);
+    }
+    if (!rl.allowed) {
+      const message = rl.globalCount >= rl.globalLimit ? 'Service temporarily unavailable' : 'Rate limit exceeded';
+      return jsonResponse({ ok: false, message }, 429);
+    }
+
+    schedulePrune();
+
+    try {
+      const linkConfig = config.features.linkShortener;
+      // Plaintext pastes get random codes so they cannot be found by walking the sequence
+      const allocation = await allocateCode({
+        strategy: security === 'plaintext' || linkConfig.force_random_codes ? 'random' : 'sequential',
+        length: linkConfig.random_code_length,
+      });
+      code = allocation.code;
+    } catch (err) {
+      console.error('Paste code allocation error', err);
+      return jsonResponse({ ok: false, message: 'Service temporarily unavailable' }, 503);
+    }
+
+    await createPaste({
+      code,
+      content,
+      securityMode: security,
+      language,
+      burnAfterRead,
+      expiresAt: expiry.expiresAt,
+      userId: user ? user.id : null,
+      visitorUuid: visitorId,
+      ip,
+      apiTokenId: auth.apiToken ? auth.apiToken.id : null,
+    });
+    const created = code;
+    code = null;
+
+    const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+    const response = {
+      ok: true,
+      message: 'Paste created',
+      code: created,
+      url: `${base}/p/${created}`,
+    };
+    if (burnAfterRead) {
+      response.burnAfterRead = true;
+    }
+    if (expiry.expiresAt) {
+      response.expiresAt = expiry.expiresAt.toISOString();
+    }
+    return jsonResponse(response);
+  } catch (err) {
+    console.error('Paste create error', err);
+    if (code) {
+      try {
+        await recycleCode(code);
+      } catch (recycleErr) {
+        console.error('Failed to recycle code after paste error', recycleErr);
+      }
+    }
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,37 @@
+import { getConfig } from '../../../lib/config.js';
+import { findUploadByToken, cancelUpload } from '../../../lib/uploads.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/upload/cancel
+ * Abandons the unfinished upload identified by the X-Upload-Token header, freeing its
+ * quota and code. Complete uploads cannot be cancelled (see /api/upload/delete).
+ * Returns JSON: { ok, message }
+ */
+export async function POST({ request }) {
+  try {
+    if (!getConfig().features.uploads.enabled) {
+      return jsonResponse({ ok: false, message: 'File uploads are disabled on this server' }, 404);
+    }
+
+    const upload = await findUploadByToken(request.headers.get('x-upload-token'));
+    if (!upload) {
+      return jsonResponse({ ok: false, message: 'Upload not found' }, 404);
+    }
+    if (!(await cancelUpload(upload))) {
+      return jsonResponse({ ok: false, message: 'Upload is already complete' }, 409);
+    }
+    return jsonResponse({ ok: true, message: 'Upload cancelled' });
+  } catch (err) {
+    console.error('Upload cancel error', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,72 @@
+import { getConfig } from '../../../lib/config.js';
+import { findUploadByToken, writeUploadChunk } from '../../../lib/uploads.js';
+import { UPLOAD_CHUNK_SIZE, CHUNK_OVERHEAD } from '../../../lib/uploadFormat.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * PUT /api/upload/chunk?index=<n>
+ * Stores one encrypted chunk of an upload started with /api/upload/create. The body is
+ * the chunk (application/octet-stream); the X-Upload-Token header identifies the upload.
+ * Chunks are sent in order starting at 0; a chunk that was already stored may be sent
+ * again (it is ignored), so an interrupted upload resumes at /api/upload/status's
+ * receivedChunks.
+ * Returns JSON: { ok, message?, receivedChunks?, chunkCount?, complete?, url? }
+ */
+export async function PUT({ request, url }) {
+  try {
+    const config = getConfig();
+    if (!config.features.uploads.enabled) {
+      return jsonResponse({ ok: false, message: 'File uploads are disabled on this server' }, 404);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/octet-stream')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+    const contentLength = Number(request.headers.get('content-length'));
+    if (contentLength > UPLOAD_CHUNK_SIZE + CHUNK_OVERHEAD) {
+      return jsonResponse({ ok: false, message: 'Chunk is too large' }, 413);
+    }
+
+    const upload = await findUploadByToken(request.headers.get('x-upload-token'));
+    if (!upload) {
+      return jsonResponse({ ok: false, message: 'Upload not found' }, 404);
+    }
+
+    const indexParam = url.searchParams.get('index');
+    const index = indexParam != null && /^\d+$/.test(indexParam) ? Number(indexParam) : NaN;
+    if (!request.body) {
+      return jsonResponse({ ok: false, message: 'Chunk is incomplete' }, 400);
+    }
+
+    let result;
+    try {
+      result = await writeUploadChunk(upload, index, request.body);
+    } catch (err) {
+      if (err?.status) {
+        return jsonResponse({ ok: false, message: err.message }, err.status);
+      }
+      throw err;
+    }
+
+    const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+    return jsonResponse({
+      ok: true,
+      receivedChunks: result.receivedChunks,
+      chunkCount: Number(upload.chunk_count),
+      complete: result.complete,
+      ...(result.complete ? { url: `${base}/f/${upload.short_code}` } : {}),
+    });
+  } catch (err) {
+    console.error('Upload chunk error', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
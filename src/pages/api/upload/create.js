@@ -0,0 +1,149 @@
+import { getConfig } from '../../../lib/config.js';
+import { allocateCode, recycleCode } from '../../../lib/codegen.js';
+import { checkUploadCreateAllowed } from '../../../lib/rateLimit.js';
+import { schedulePrune } from '../../../lib/prune.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { createUpload, getStoredBytes, validateUploadRequest } from '../../../lib/uploads.js';
+import { UPLOAD_CHUNK_SIZE, chunkCount, formatBytes } from '../../../lib/uploadFormat.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/upload/create
+ * Starts an end-to-end encrypted upload (see lib/uploadFormat.js for the format).
+ * Accepts JSON with fields: size (plaintext size of the file in bytes),
+ * metadata (the file name and type, encrypted in the browser, base64url)
+ * Authenticates with the session cookie or an API token with the uploads:write scope;
+ * anonymous use depends on features.uploads.allow_anonymous.
+ * Returns JSON: { ok, message, code?, url?, uploadToken?, chunkSize?, chunkCount? } where
+ * url is /f/<code> (without the key) and uploadToken authorizes /api/upload/chunk,
+ * /api/upload/status and /api/upload/cancel (X-Upload-Token header)
+ */
+export async function POST({ request, cookies, clientAddress }) {
+  let code = null;
+
+  try {
+    const config = getConfig();
+    const uploadConfig = config.features.uploads;
+    if (!uploadConfig.enabled) {
+      return jsonResponse({ ok: false, message: 'File uploads are disabled on this server' }, 404);
+    }
+
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+    }
+
+    const auth = await getApiUser(request, cookies, 'uploads:write');
+    if (auth.error) {
+      return jsonResponse({ ok: false, message: auth.error }, auth.status);
+    }
+    const user = auth.user;
+    if (!user && !uploadConfig.allow_anonymous) {
+      return jsonResponse({ ok: false, message: 'Sign in to upload files' }, 401);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    const size = Number(body?.size);
+    const metadata = body?.metadata;
+    const validationError = validateUploadRequest({ size, metadata }, uploadConfig.max_size);
+    if (validationError) {
+      return jsonResponse({ ok: false, message: validationError }, 400);
+    }
+
+    const visitorId = cookies.get('visitor_id')?.value || 'anon';
+    const ip =
+      clientAddress ||
+      request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      '0.0.0.0';
+
+    let rl;
+    let stored;
+    try {
+      rl = await checkUploadCreateAllowed({ visitorUuid: visitorId, ip });
+      stored = await getStoredBytes({ userId: user ? user.id : null, ip });
+    } catch (err) {
+      console.error('Upload limit check failed', err);
+      return jsonResponse({ ok: false, message: 'Server error' }, 500);
+    }
+    if (!rl.allowed) {
+      const message = rl.globalCount >= rl.globalLimit ? 'Service temporarily unavailable' : 'Rate limit exceeded';
+      return jsonResponse({ ok: false, message }, 429);
+    }
+    // Early answer without allocating a code; createUpload checks again as it reserves the bytes
+    if (stored + size > uploadConfig.user_quota) {
+      return jsonResponse({
+        ok: false,
+        message: `Upload quota exceeded (${formatBytes(stored)} of ${formatBytes(uploadConfig.user_quota)} in use)`,
+      }, 403);
+    }
+
+    schedulePrune();
+
+    try {
+      const linkConfig = config.features.linkShortener;
+      const allocation = await allocateCode({
+        strategy: linkConfig.force_random_codes ? 'random' : 'sequential',
+        length: linkConfig.random_code_length,
+      });
+      code = allocation.code;
+    } catch (err) {
+      console.error('Upload code allocation error', err);
+      return jsonResponse({ ok: false, message: 'Service temporarily unavailable' }, 503);
+    }
+
+    let token;
+    try {
+      ({ token } = await createUpload({
+        code,
+        size,
+        metadata,
+        quota: uploadConfig.user_quota,
+        userId: user ? user.id : null,
+        visitorUuid: visitorId,
+        ip,
+        apiTokenId: auth.apiToken ? auth.apiToken.id : null,
+      }));
+    } catch (err) {
+      if (!err.status) throw err;
+      await recycleCode(code);
+      code = null;
+      return jsonResponse({ ok: false, message: err.message }, err.status);
+    }
+    const created = code;
+    code = null;
+
+    const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+    return jsonResponse({
+      ok: true,
+      message: 'Upload started',
+      code: created,
+      url: `${base}/f/${created}`,
+      uploadToken: token,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      chunkCount: chunkCount(size),
+    });
+  } catch (err) {
+    console.error('Upload create error', err);
+    if (code) {
+      try {
+        await recycleCode(code);
+      } catch (recycleErr) {
+        console.error('Failed to recycle code after upload error', recycleErr);
+      }
+    }
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,61 @@
+import { getConfig } from '../../../lib/config.js';
+import { getApiUser } from '../../../lib/auth/apiTokens.js';
+import { findUploadByToken, findOwnedUpload, deleteUpload } from '../../../lib/uploads.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /api/upload/delete
+ * Deletes an unfinished or complete upload, freeing its quota. The upload is identified
+ * by the X-Upload-Token header (whoever started it, also anonymously) or, for uploads of a
+ * signed-in user, by JSON field code with the session cookie or an API token with the
+ * uploads:write scope. The link says the file has expired until its code is reused.
+ * Returns JSON: { ok, message }
+ */
+export async function POST({ request, cookies }) {
+  try {
+    if (!getConfig().features.uploads.enabled) {
+      return jsonResponse({ ok: false, message: 'File uploads are disabled on this server' }, 404);
+    }
+
+    let upload;
+    const uploadToken = request.headers.get('x-upload-token');
+    if (uploadToken) {
+      upload = await findUploadByToken(uploadToken);
+    } else {
+      const { user, error, status } = await getApiUser(request, cookies, 'uploads:write');
+      if (error) {
+        return jsonResponse({ ok: false, message: error }, status);
+      }
+      if (!user) {
+        return jsonResponse({ ok: false, message: 'Authentication required' }, 401);
+      }
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+      }
+      const code = typeof body?.code === 'string' ? body.code.trim() : '';
+      if (!code || code.length > 16) {
+        return jsonResponse({ ok: false, message: 'Missing code' }, 400);
+      }
+      upload = await findOwnedUpload(code, user.id);
+    }
+
+    if (!upload || !(await deleteUpload(upload))) {
+      return jsonResponse({ ok: false, message: 'Upload not found' }, 404);
+    }
+    return jsonResponse({ ok: true, message: 'Upload deleted' });
+  } catch (err) {
+    console.error('Upload delete error', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,43 @@
+import { getConfig } from '../../../lib/config.js';
+import { findUploadByToken } from '../../../lib/uploads.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /api/upload/status
+ * Progress of the upload identified by the X-Upload-Token header, for resuming it.
+ * Returns JSON: { ok, message?, code?, url?, receivedChunks?, chunkCount?, complete? }
+ */
+export async function GET({ request }) {
+  try {
+    const config = getConfig();
+    if (!config.features.uploads.enabled) {
+      return jsonResponse({ ok: false, message: 'File uploads are disabled on this server' }, 404);
+    }
+
+    const upload = await findUploadByToken(request.headers.get('x-upload-token'));
+    if (!upload) {
+      return jsonResponse({ ok: false, message: 'Upload not found' }, 404);
+    }
+
+    const base = config?.app?.baseUrl?.replace(/\/+$/, '') || '';
+    return jsonResponse({
+      ok: true,
+      code: upload.short_code,
+      url: `${base}/f/${upload.short_code}`,
+      receivedChunks: Number(upload.received_chunks),
+      chunkCount: Number(upload.chunk_count),
+      complete: upload.status === 'complete',
+    });
+  } catch (err) {
+    console.error('Upload status error', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
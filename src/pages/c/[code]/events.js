@@ -0,0 +1,131 @@
+import { getConfig } from '../../../lib/config.js';
+import { getSessionUser } from '../../../lib/auth/session.js';
+import { findChatRoom, getChatHistory, subscribeToChatRoom } from '../../../lib/chat.js';
+
+export const prerender = false;
+
+// Comment line sent while the room is quiet, so proxies keep the connection open
+const HEARTBEAT_MS = 25_000;
+const RECONNECT_MS = 3000;
+
+const textEncoder = new TextEncoder();
+
+function textResponse(body, status) {
+  return new Response(body, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'private, no-store' },
+  });
+}
+
+function formatEvent({ type, ...data }) {
+  const id = type === 'message' ? `id: ${data.id}\n` : '';
+  return `${id}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /c/<code>/events
+ * Server-sent event stream of a chat room: 'message' events ({ id, payload, sentAt },
+ * payload being the ciphertext), 'presence' events ({ count } of connected people) and
+ * a final 'closed' event when the room ends. Rooms with history first replay their
+ * stored messages, after the Last-Event-ID when the browser reconnects.
+ */
+export async function GET({ params, request, cookies }) {
+  const code = params.code;
+  const chatConfig = getConfig().features.chat;
+  if (!chatConfig.enabled || !code || code.length > 16) {
+    return textResponse('Chat room not found\n', 404);
+  }
+
+  let room;
+  try {
+    if (!chatConfig.allow_anonymous && !(await getSessionUser(cookies))) {
+      return textResponse('Sign in to join chat rooms\n', 401);
+    }
+    room = await findChatRoom(code);
+  } catch (err) {
+    console.error('Chat room lookup failed', err);
+    return textResponse('Server error\n', 500);
+  }
+  if (!room) {
+    return textResponse('Chat room not found\n', 404);
+  }
+  if (room.status !== 'active') {
+    return textResponse('This chat room has expired\n', 410);
+  }
+
+  const lastEventId = Number(request.headers.get('last-event-id'));
+  const afterId = Number.isSafeInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+
+  let stop = () => {};
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      // Live events are held back until the stored messages have been sent
+      let pending = [];
+
+      const write = (text) => {
+        if (closed) return;
+        try {
+          controller.enqueue(textEncoder.encode(text));
+        } catch {
+          stop();
+        }
+      };
+      const send = (event) => {
+        write(formatEvent(event));
+        if (event.type === 'closed') {
+          stop();
+          try {
+            controller.close();
+          } catch {}
+        }
+      };
+
+      const unsubscribe = subscribeToChatRoom(room.id, (event) => {
+        if (pending) pending.push(event);
+        else send(event);
+      });
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+      stop = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal?.addEventListener('abort', () => stop(), { once: true });
+
+      write(`retry: ${RECONNECT_MS}\n\n`);
+      getChatHistory(room, afterId)
+        .catch((err) => {
+          console.error('Chat history lookup failed', err);
+          return [];
+        })
+        .then((history) => {
+          let lastId = afterId;
+          for (const message of history) {
+            send(message);
+            lastId = message.id;
+          }
+          const live = pending;
+          pending = null;
+          for (const event of live) {
+            // Skip messages stored after subscribing that the history already included
+            if (event.type === 'message' && room.persist_history && event.id <= lastId) continue;
+            send(event);
+          }
+        });
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'private, no-store',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
@@ -0,0 +1,72 @@
+import { getConfig } from '../../../lib/config.js';
+import { getSessionUser } from '../../../lib/auth/session.js';
+import { findChatRoom, postChatMessage, takeChatMessageSlot, validateChatPayload } from '../../../lib/chat.js';
+
+export const prerender = false;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'private, no-store' },
+  });
+}
+
+/**
+ * POST /c/<code>/send
+ * Relays a message to everyone in the room (and stores it in rooms with history).
+ * Accepts JSON with field: payload (the message encrypted in the browser, see
+ * lib/chatFormat.js)
+ * Returns JSON: { ok, message?, id?, sentAt? }
+ */
+export async function POST({ params, request, cookies, clientAddress }) {
+  const code = params.code;
+  const config = getConfig();
+  const chatConfig = config.features.chat;
+  if (!chatConfig.enabled || !code || code.length > 16) {
+    return jsonResponse({ ok: false, message: 'Chat room not found' }, 404);
+  }
+
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('application/json')) {
+    return jsonResponse({ ok: false, message: 'Unsupported media type' }, 415);
+  }
+
+  try {
+    if (!chatConfig.allow_anonymous && !(await getSessionUser(cookies))) {
+      return jsonResponse({ ok: false, message: 'Sign in to join chat rooms' }, 401);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ ok: false, message: 'Invalid request' }, 400);
+    }
+    const validationError = validateChatPayload(body?.payload, chatConfig.max_message_length);
+    if (validationError) {
+      return jsonResponse({ ok: false, message: validationError }, 400);
+    }
+
+    const room = await findChatRoom(code);
+    if (!room) {
+      return jsonResponse({ ok: false, message: 'Chat room not found' }, 404);
+    }
+    if (room.status !== 'active') {
+      return jsonResponse({ ok: false, message: 'This chat room has expired' }, 410);
+    }
+
+    const ip =
+      clientAddress ||
+      request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      '0.0.0.0';
+    if (!takeChatMessageSlot(ip, config.limits.chatMessagesPerMinute)) {
+      return jsonResponse({ ok: false, message: 'You are sending messages too quickly' }, 429);
+    }
+
+    const message = await postChatMessage(room, body.payload);
+    return jsonResponse({ ok: true, id: message.id, sentAt: message.sentAt });
+  } catch (err) {
+    console.error('Chat send failed', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
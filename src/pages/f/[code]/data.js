@@ -0,0 +1,46 @@
+import { getConfig } from '../../../lib/config.js';
+import { findUpload, openUploadStream } from '../../../lib/uploads.js';
+
+export const prerender = false;
+
+// Encrypted bytes are only ever a download, never rendered, cached in shared caches or
+// sent on as a referrer
+const DATA_HEADERS = {
+  'Content-Type': 'application/octet-stream',
+  'Content-Disposition': 'attachment',
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "default-src 'none'; sandbox",
+  'Cache-Control': 'private, no-store',
+  'Referrer-Policy': 'no-referrer',
+};
+
+function textResponse(body, status) {
+  return new Response(body, { status, headers: { ...DATA_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' } });
+}
+
+/**
+ * GET /f/<code>/data
+ * The encrypted file of a complete upload, streamed from the storage backend. The viewer at /f/<code>
+ * decrypts it chunk by chunk in the browser (see lib/uploadFormat.js).
+ */
+export async function GET({ params }) {
+  const code = params.code;
+  if (!getConfig().features.uploads.enabled || !code || code.length > 16) {
+    return textResponse('File not found\n', 404);
+  }
+
+  try {
+    const upload = await findUpload(code);
+    if (!upload || upload.status === 'uploading') {
+      return textResponse('File not found\n', 404);
+    }
+    if (upload.status !== 'complete') {
+      return textResponse('This file has expired\n', 410);
+    }
+    const { stream, length } = await openUploadStream(upload);
+    return new Response(stream, { status: 200, headers: { ...DATA_HEADERS, 'Content-Length': String(length) } });
+  } catch (err) {
+    console.error('Upload download failed', err);
+    return textResponse('Server error\n', 500);
+  }
+}
@@ -0,0 +1,50 @@
+import { getConfig } from '../../../lib/config.js';
+import { burnPaste } from '../../../lib/pastes.js';
+
+export const prerender = false;
+
+const ENDED_MESSAGES = {
+  burned: 'This paste was already viewed',
+  expired: 'This paste has expired',
+};
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'private, no-store' },
+  });
+}
+
+/**
+ * POST /p/<code>/open
+ * Returns the content of a paste; a burn-after-read paste is deleted by this request.
+ * The viewer only calls this when the visitor asks to see a burn-after-read paste, so
+ * link previews and prefetching (which use GET) cannot use up the single view.
+ * Returns JSON: { ok, message?, status?, content?, security?, language? }; status is
+ * 'burned' or 'expired' (with HTTP 410) once the paste has ended.
+ */
+export async function POST({ params }) {
+  const code = params.code;
+  if (!getConfig().features.paste.enabled || !code || code.length > 16) {
+    return jsonResponse({ ok: false, message: 'Paste not found' }, 404);
+  }
+
+  try {
+    const paste = await burnPaste(code);
+    if (!paste) {
+      return jsonResponse({ ok: false, message: 'Paste not found' }, 404);
+    }
+    if (paste.status !== 'active') {
+      return jsonResponse({ ok: false, status: paste.status, message: ENDED_MESSAGES[paste.status] || 'Paste not found' }, 410);
+    }
+    return jsonResponse({
+      ok: true,
+      content: paste.content,
+      security: paste.security_mode,
+      language: paste.language || null,
+    });
+  } catch (err) {
+    console.error('Paste open failed', err);
+    return jsonResponse({ ok: false, message: 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,54 @@
+import { getConfig } from '../../../lib/config.js';
+import { findPaste } from '../../../lib/pastes.js';
+
+export const prerender = false;
+
+// Never let a browser render a paste as anything but text, cache it in shared caches,
+// or send its address on to other sites
+const RAW_HEADERS = {
+  'Content-Type': 'text/plain; charset=utf-8',
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "default-src 'none'; sandbox",
+  'Cache-Control': 'private, no-store',
+  'Referrer-Policy': 'no-referrer',
+};
+
+function textResponse(body, status = 200) {
+  return new Response(body, { status, headers: RAW_HEADERS });
+}
+
+/**
+ * GET /p/<code>/raw
+ * The text of an unencrypted paste as text/plain. Encrypted pastes are only
+ * readable in the browser (the viewer offers its own raw view after decrypting), and
+ * burn-after-read pastes only through the viewer, so a GET never uses up their view.
+ */
+export async function GET({ params }) {
+  const code = params.code;
+  if (!getConfig().features.paste.enabled || !code || code.length > 16) {
+    return textResponse('Paste not found\n', 404);
+  }
+
+  try {
+    const paste = await findPaste(code);
+    if (!paste) {
+      return textResponse('Paste not found\n', 404);
+    }
+    if (paste.status === 'burned') {
+      return textResponse('This paste was already viewed\n', 410);
+    }
+    if (paste.status === 'expired') {
+      return textResponse('This paste has expired\n', 410);
+    }
+    if (paste.burn_after_read) {
+      return textResponse('This paste can only be viewed once; open the paste link to view it\n', 404);
+    }
+    if (paste.security_mode !== 'plaintext') {
+      return textResponse('Encrypted pastes have no raw view on the server; open the paste link to decrypt it\n', 404);
+    }
+    return textResponse(paste.content);
+  } catch (err) {
+    console.error('Raw paste lookup failed', err);
+    return textResponse('Server error\n', 500);
+  }
+}
@@ -0,0 +1,26 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { getBearerToken, getApiUser } from '../src/lib/auth/apiTokens.js';
+
+const requestWith = (authorization) =>
+  new Request('https://example.com/api/link/list', authorization ? { headers: { authorization } } : {});
+
+describe('getBearerToken', () => {
+  it('extracts the token from a Bearer header', () => {
+    expect(getBearerToken(requestWith('Bearer sat_pat_abc'))).toBe('sat_pat_abc');
+    expect(getBearerToken(requestWith('bearer   sat_pat_abc '))).toBe('sat_pat_abc');
+  });
+
+  it('ignores missing or non-Bearer headers', () => {
+    expect(getBearerToken(requestWith(null))).toBeNull();
+    expect(getBearerToken(requestWith('Basic dXNlcjpwYXNz'))).toBeNull();
+    expect(getBearerToken(requestWith('Bearer a b'))).toBeNull();
+  });
+});
+
+describe('getApiUser', () => {
+  it('rejects bearer values that are not personal API tokens', async () => {
+    const result = await getApiUser(requestWith('Bearer not-a-token'), null, 'links:read');
+    expect(result).toEqual({ error: 'Invalid API token', status: 401 });
+  });
+});
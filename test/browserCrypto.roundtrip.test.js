@@ -0,0 +1,48 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import {
+  encryptText,
+  decryptText,
+  keyFromBase64,
+  keyFromPassphrase,
+  generateRandomKeyBase64,
+  base64UrlToBytes,
+  bytesToBase64Url,
+  ENCRYPTION_OVERHEAD,
+  AES_IV_LENGTH,
+  AES_TAG_LENGTH,
+} from '../src/lib/browserCrypto.js';
+
+describe('base64url helpers', () => {
+  it('round-trip arbitrary bytes without padding', () => {
+    const bytes = Uint8Array.from([0, 251, 255, 62, 63, 1]);
+    const encoded = bytesToBase64Url(bytes);
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(base64UrlToBytes(encoded)).toEqual(bytes);
+  });
+});
+
+describe('encryptText / decryptText', () => {
+  it('uses a 256-bit fragment key directly (no salt)', async () => {
+    const key = keyFromBase64(generateRandomKeyBase64(256));
+    const payload = await encryptText('héllo wörld', key);
+    expect(base64UrlToBytes(payload).length).toBe(AES_IV_LENGTH + AES_TAG_LENGTH + Buffer.byteLength('héllo wörld'));
+    expect(await decryptText(payload, key)).toBe('héllo wörld');
+  });
+
+  it('stretches passphrases with a salt and rejects the wrong one', async () => {
+    const payload = await encryptText('secret', keyFromPassphrase('correct horse'));
+    expect(base64UrlToBytes(payload).length).toBe(ENCRYPTION_OVERHEAD + 6);
+    await expect(decryptText(payload, keyFromPassphrase('wrong horse'))).rejects.toThrow();
+  });
+
+  it('rejects a different key', async () => {
+    const payload = await encryptText('secret', keyFromBase64(generateRandomKeyBase64(256)));
+    await expect(decryptText(payload, keyFromBase64(generateRandomKeyBase64(256)))).rejects.toThrow();
+  });
+
+  it('rejects keys that are not base64url', () => {
+    expect(() => keyFromBase64('not a key')).toThrow();
+    expect(() => keyFromBase64('')).toThrow();
+  });
+});
@@ -0,0 +1,79 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from '../src/lib/csv.js';
+import { urlsFromJson, urlsFromCsv, exportRecord, exportCsv } from '../src/lib/bulkLinks.js';
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF', () => {
+    const rows = parseCsv('a,"b,c"\r\n"say ""hi""",d\r\n');
+    expect(rows).toEqual([['a', 'b,c'], ['say "hi"', 'd']]);
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFurl\n\nexample.com\n')).toEqual([['url'], ['example.com']]);
+  });
+
+  it('keeps newlines inside quoted fields', () => {
+    expect(parseCsv('"line1\nline2",x')).toEqual([['line1\nline2', 'x']]);
+  });
+
+  it('round-trips through toCsv', () => {
+    const rows = [['code', 'original'], ['a', 'https://example.com/?q=1,2'], ['b', 'say "hi"']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('urlsFromCsv', () => {
+  it('uses the url column when there is a header row', () => {
+    expect(urlsFromCsv('name,URL\nHome,example.com\nDocs,docs.example.com\n')).toEqual(['example.com', 'docs.example.com']);
+  });
+
+  it('uses the first column without a header row', () => {
+    expect(urlsFromCsv('example.com,ignored\nexample.org\n')).toEqual(['example.com', 'example.org']);
+  });
+});
+
+describe('urlsFromJson', () => {
+  it('accepts arrays of strings or { url } objects and { urls } wrappers', () => {
+    expect(urlsFromJson(['a.com', { url: 'b.com' }, 42])).toEqual(['a.com', 'b.com', '']);
+    expect(urlsFromJson({ urls: ['a.com'] })).toEqual(['a.com']);
+  });
+
+  it('rejects other shapes', () => {
+    expect(urlsFromJson({ url: 'a.com' })).toBeNull();
+    expect(urlsFromJson('a.com')).toBeNull();
+  });
+});
+
+describe('exportRecord', () => {
+  const row = {
+    short_code: 'abc',
+    original_url: 'ciphertext',
+    security_mode: 'encrypted',
+    created_at: new Date('2026-01-02T03:04:05Z'),
+    last_accessed: null,
+    usage_count: 3n,
+    expires_at: null,
+    max_uses: null,
+  };
+
+  it('omits encrypted destinations', () => {
+    const record = exportRecord(row, 'https://s.example');
+    expect(record.original).toBeNull();
+    expect(record.short).toBe('https://s.example/abc');
+    expect(record.usageCount).toBe(3);
+  });
+
+  it('names tags, keeping encrypted names as ciphertext', () => {
+    const record = exportRecord(row, '', [{ name: 'launch', encrypted: false }, { name: 'Zm9v', encrypted: true }]);
+    expect(record.tags).toEqual(['launch', 'encrypted:Zm9v']);
+    expect(parseCsv(exportCsv([record]))[1].at(-1)).toBe('launch; encrypted:Zm9v');
+  });
+
+  it('writes a header row to CSV', () => {
+    const csv = exportCsv([exportRecord({ ...row, security_mode: 'plaintext', original_url: 'https://example.com' }, '')]);
+    const [header, line] = parseCsv(csv);
+    expect(header[0]).toBe('code');
+    expect(line.slice(0, 3)).toEqual(['abc', '/abc', 'https://example.com']);
+  });
+});
@@ -0,0 +1,55 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { validateChatPayload, subscribeToChatRoom, takeChatMessageSlot } from '../src/lib/chat.js';
+import { maxPayloadLength } from '../src/lib/chatFormat.js';
+
+describe('validateChatPayload', () => {
+  it('accepts base64url payloads up to the allowed length', () => {
+    expect(validateChatPayload('AbC-_123', 100)).toBeNull();
+    expect(validateChatPayload('A'.repeat(maxPayloadLength(100)), 100)).toBeNull();
+  });
+
+  it('rejects empty, malformed and oversized payloads', () => {
+    expect(validateChatPayload('', 100)).toBe('Message is empty');
+    expect(validateChatPayload(undefined, 100)).toBe('Message is empty');
+    expect(validateChatPayload('not base64!', 100)).toBe('Invalid encrypted message');
+    expect(validateChatPayload('A'.repeat(maxPayloadLength(100) + 1), 100)).toMatch(/too long/);
+  });
+});
+
+describe('subscribeToChatRoom', () => {
+  it('tells everyone in the room how many people are connected', () => {
+    const first = [];
+    const second = [];
+    const stopFirst = subscribeToChatRoom(101, event => first.push(event));
+    const stopSecond = subscribeToChatRoom(101, event => second.push(event));
+    expect(first).toEqual([{ type: 'presence', count: 1 }, { type: 'presence', count: 2 }]);
+    expect(second).toEqual([{ type: 'presence', count: 2 }]);
+
+    stopSecond();
+    stopSecond();
+    expect(first.at(-1)).toEqual({ type: 'presence', count: 1 });
+    expect(first).toHaveLength(3);
+    stopFirst();
+  });
+
+  it('keeps rooms apart', () => {
+    const events = [];
+    const stop = subscribeToChatRoom(102, event => events.push(event));
+    const stopOther = subscribeToChatRoom(103, () => {});
+    expect(events).toEqual([{ type: 'presence', count: 1 }]);
+    stop();
+    stopOther();
+  });
+});
+
+describe('takeChatMessageSlot', () => {
+  it('allows `limit` messages per sender and minute', () => {
+    const now = 1_000_000;
+    expect(takeChatMessageSlot('198.51.100.1', 2, now)).toBe(true);
+    expect(takeChatMessageSlot('198.51.100.1', 2, now + 1000)).toBe(true);
+    expect(takeChatMessageSlot('198.51.100.1', 2, now + 2000)).toBe(false);
+    expect(takeChatMessageSlot('198.51.100.2', 2, now + 2000)).toBe(true);
+    expect(takeChatMessageSlot('198.51.100.1', 2, now + 60_001)).toBe(true);
+  });
+});
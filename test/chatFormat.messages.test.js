@@ -0,0 +1,40 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { keyFromBase64, generateRandomKeyBase64, base64UrlToBytes } from '../src/lib/browserCrypto.js';
+import { sealChatMessage, openChatMessage, normalizeChatName, maxPayloadLength, MAX_NAME_LENGTH } from '../src/lib/chatFormat.js';
+
+describe('sealChatMessage / openChatMessage', () => {
+  const key = keyFromBase64(generateRandomKeyBase64(256));
+
+  it('round-trips a message', async () => {
+    const payload = await sealChatMessage({ name: 'Ada', text: 'héllo\nwörld' }, key, 'abc');
+    expect(payload).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(await openChatMessage(payload, key, 'abc')).toEqual({ name: 'Ada', text: 'héllo\nwörld' });
+  });
+
+  it('cannot be opened in another room or with another key', async () => {
+    const payload = await sealChatMessage({ name: 'Ada', text: 'hi' }, key, 'abc');
+    await expect(openChatMessage(payload, key, 'abd')).rejects.toThrow();
+    await expect(openChatMessage(payload, keyFromBase64(generateRandomKeyBase64(256)), 'abc')).rejects.toThrow();
+  });
+
+  it('stays within the payload length the server allows', async () => {
+    const text = '"\n'.repeat(500); // 1000 bytes
+    const payload = await sealChatMessage({ name: '\u0001'.repeat(100), text }, key, 'abc');
+    expect(payload.length).toBeLessThanOrEqual(maxPayloadLength(1000));
+    expect(base64UrlToBytes(payload).length).toBeGreaterThan(1000);
+  });
+});
+
+describe('normalizeChatName', () => {
+  it('trims, collapses whitespace and shortens names', () => {
+    expect(normalizeChatName('  Ada   Lovelace ')).toBe('Ada Lovelace');
+    expect(Array.from(normalizeChatName('😀'.repeat(50)))).toHaveLength(MAX_NAME_LENGTH);
+  });
+
+  it('falls back to anonymous', () => {
+    expect(normalizeChatName('')).toBe('anonymous');
+    expect(normalizeChatName('   ')).toBe('anonymous');
+    expect(normalizeChatName(null)).toBe('anonymous');
+  });
+});
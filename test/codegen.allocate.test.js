@@ -1,14 +1,22 @@
 // @ts-nocheck
-import { describe, it, expect, beforeEach } from 'vitest';
-import { _setDbForTests, allocateCode, recycleCode, ALPHABET } from '../src/lib/codegen.js';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Allocation reads its retry and concurrency limits from the config; the defaults are enough here
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ limits: { maxConcurrentAllocations: 50, codeAllocationRetries: 10 } }),
+}));
+
+import { _setDbForTests, allocateCode, recycleCode, claimCustomCode, randomCode, ALPHABET } from '../src/lib/codegen.js';
 
 // In-memory simulation of tables
 let codeState; // { next_index }
 let recycled; // Set of codes
+let taken; // Set of codes present in short_links
 
 function resetDb() {
   codeState = { next_index: 0 };
   recycled = new Map(); // code -> {code_length}
+  taken = new Set();
 }
 
 // Minimal query emulator; only handles queries used by codegen
@@ -37,6 +45,12 @@ async function fakeQuery(sql, params = []) {
     recycled.delete(code);
     return { affectedRows: 1 };
   }
+  if (sql.startsWith('SELECT 1 FROM short_links')) {
+    return taken.has(params[0]) ? [{ 1: 1 }] : [];
+  }
+  if (sql.startsWith('SELECT 1 FROM pastes') || sql.startsWith('SELECT 1 FROM uploads') || sql.startsWith('SELECT 1 FROM chat_rooms')) {
+    return [];
+  }
   if (sql.startsWith('SELECT next_index FROM code_state')) {
     return [{ next_index: codeState.next_index }];
   }
@@ -111,3 +125,39 @@ describe('allocateCode sequential behavior', () => {
     expect(next.code).toBe(singleCodes[0]);
   });
 });
+
+describe('custom codes', () => {
+  it('sequential allocation skips codes already claimed', async () => {
+    taken.add(ALPHABET[0]);
+    const { code } = await allocateCode();
+    expect(code).toBe(ALPHABET[1]);
+  });
+
+  it('claiming removes the code from the recycle pool', async () => {
+    await recycleCode('q3-report');
+    await expect(claimCustomCode('q3-report')).resolves.toEqual({ code: 'q3-report', reused: false, custom: true });
+    expect(recycled.has('q3-report')).toBe(false);
+  });
+
+  it('rejects a code that is already used', async () => {
+    taken.add('q3-report');
+    await expect(claimCustomCode('q3-report')).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('random codes', () => {
+  it('draws codes of the requested length from the alphabet', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = randomCode(10);
+      expect(code).toHaveLength(10);
+      for (const ch of code) expect(ALPHABET).toContain(ch);
+    }
+  });
+
+  it('allocates a fresh random code without touching the sequence', async () => {
+    const { code, reused } = await allocateCode({ strategy: 'random', length: 8 });
+    expect(code).toHaveLength(8);
+    expect(reused).toBe(false);
+    expect(codeState.next_index).toBe(0);
+  });
+});
@@ -1,6 +1,6 @@
 // @ts-nocheck
 import { describe, it, expect } from 'vitest';
-import { indexToCode, ALPHABET } from '../src/lib/codegen.js';
+import { indexToCode, validateCustomCode, ALPHABET } from '../src/lib/codegen.js';
 
 // Helper to compute expected codes for first N indexes brute force using same function
 
@@ -34,3 +34,32 @@ describe('indexToCode basic properties', () => {
     expect(() => indexToCode(-1)).toThrow();
   });
 });
+
+describe('validateCustomCode', () => {
+  it('accepts codes within the alphabet and length bounds', () => {
+    expect(validateCustomCode('q3-report')).toBeNull();
+    expect(validateCustomCode('abc', { minLength: 3 })).toBeNull();
+  });
+
+  it('enforces the minimum length and the column limit', () => {
+    expect(validateCustomCode('abcd', { minLength: 5 })).toMatch(/between 5 and 16/);
+    expect(validateCustomCode('a'.repeat(17), { minLength: 5 })).toMatch(/between 5 and 16/);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(validateCustomCode('q3 report')).toMatch(/may only contain/);
+    expect(validateCustomCode('report/q3')).toMatch(/may only contain/);
+    expect(validateCustomCode('rapport-é')).toMatch(/may only contain/);
+  });
+
+  it('rejects reserved names and dot-only codes', () => {
+    expect(validateCustomCode('login')).toMatch(/reserved/);
+    expect(validateCustomCode('LOGIN')).toMatch(/reserved/);
+    expect(validateCustomCode('..', { minLength: 1 })).toMatch(/reserved/);
+  });
+
+  it('rejects a trailing + (the preview suffix)', () => {
+    expect(validateCustomCode('report+')).toMatch(/may not end with \+/);
+    expect(validateCustomCode('a+b+c')).toBeNull();
+  });
+});
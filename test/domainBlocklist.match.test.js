@@ -0,0 +1,52 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { parseBlocklistEntry, compileBlocklist, matchBlocklist } from '../src/lib/domainBlocklist.js';
+
+describe('parseBlocklistEntry', () => {
+  it('recognises hosts, wildcard suffixes and regexes', () => {
+    expect(parseBlocklistEntry('Phish.Example.')).toEqual({ kind: 'host', value: 'phish.example' });
+    expect(parseBlocklistEntry('*.bad.example')).toEqual({ kind: 'suffix', value: 'bad.example' });
+    expect(parseBlocklistEntry('/login-verify/').kind).toBe('regex');
+  });
+
+  it('rejects malformed entries with status 400', () => {
+    for (const entry of ['', 'not a host', '*.', 'localhost', '/(unclosed/']) {
+      try {
+        parseBlocklistEntry(entry);
+        throw new Error(`accepted ${entry}`);
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    }
+  });
+});
+
+describe('matchBlocklist', () => {
+  const compiled = compileBlocklist([
+    { pattern: 'phish.example' },
+    { pattern: '*.bad.example' },
+    { pattern: '/\\/wp-admin\\/.*\\.zip$/' },
+    { pattern: 'not a valid entry' },
+  ]);
+
+  it('matches exact hosts only', () => {
+    expect(matchBlocklist(compiled, 'https://phish.example/login')).toBe('phish.example');
+    expect(matchBlocklist(compiled, 'https://PHISH.example./')).toBe('phish.example');
+    expect(matchBlocklist(compiled, 'https://sub.phish.example/')).toBeNull();
+  });
+
+  it('matches a wildcard domain and all its subdomains', () => {
+    expect(matchBlocklist(compiled, 'https://bad.example/')).toBe('*.bad.example');
+    expect(matchBlocklist(compiled, 'https://a.b.bad.example/x')).toBe('*.bad.example');
+    expect(matchBlocklist(compiled, 'https://notbad.example/')).toBeNull();
+  });
+
+  it('tests regexes against the full URL', () => {
+    expect(matchBlocklist(compiled, 'https://site.example/wp-admin/payload.ZIP')).toBe('/\\/wp-admin\\/.*\\.zip$/');
+    expect(matchBlocklist(compiled, 'https://site.example/wp-admin/')).toBeNull();
+  });
+
+  it('ignores unparseable URLs', () => {
+    expect(matchBlocklist(compiled, 'nonsense')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { referrerHost, browserFamily } from '../src/lib/linkAnalytics.js';
+import { parseIp, parseGeoIpCsv, lookupInRanges } from '../src/lib/geoip.js';
+
+describe('referrerHost', () => {
+  it('keeps only the host of the referring page', () => {
+    expect(referrerHost('https://www.Example.com/some/path?q=secret#frag')).toBe('example.com');
+    expect(referrerHost('http://news.example.org:8080/')).toBe('news.example.org');
+  });
+
+  it('treats missing or non-web referrers as direct', () => {
+    expect(referrerHost(null)).toBe('');
+    expect(referrerHost('not a url')).toBe('');
+    expect(referrerHost('android-app://com.example/')).toBe('');
+  });
+});
+
+describe('browserFamily', () => {
+  it('reduces user agents to a family name', () => {
+    expect(browserFamily('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36')).toBe('Chrome');
+    expect(browserFamily('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36 Edg/124.0')).toBe('Edge');
+    expect(browserFamily('Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0')).toBe('Firefox');
+    expect(browserFamily('Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1')).toBe('Safari');
+    expect(browserFamily('Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)')).toBe('Bot');
+    expect(browserFamily('')).toBe('Other');
+  });
+});
+
+describe('geoip ranges', () => {
+  const tables = parseGeoIpCsv([
+    'ip_start,ip_end,country',
+    '1.0.0.0,1.0.0.255,AU',
+    '"81.2.69.0","81.2.69.255","gb"',
+    '2001:db8::,2001:db8:ffff:ffff:ffff:ffff:ffff:ffff,ZZ',
+    '5.5.5.5,5.5.5.1,DE',
+    '',
+  ].join('\n'));
+
+  it('parses IPv4 and IPv6 ranges and skips malformed rows', () => {
+    expect(tables.v4).toHaveLength(2);
+    expect(tables.v6).toHaveLength(1);
+  });
+
+  it('finds the country of an address inside a range', () => {
+    expect(lookupInRanges(tables, '1.0.0.42')).toBe('AU');
+    expect(lookupInRanges(tables, '81.2.69.255')).toBe('GB');
+    expect(lookupInRanges(tables, '::ffff:81.2.69.1')).toBe('GB');
+    expect(lookupInRanges(tables, '2001:db8:1::7')).toBe('ZZ');
+  });
+
+  it('returns null outside every range or for invalid input', () => {
+    expect(lookupInRanges(tables, '1.0.1.0')).toBeNull();
+    expect(lookupInRanges(tables, '9.9.9.9')).toBeNull();
+    expect(lookupInRanges(tables, 'nonsense')).toBeNull();
+    expect(lookupInRanges(null, '1.0.0.1')).toBeNull();
+  });
+
+  it('parses addresses into comparable values', () => {
+    expect(parseIp('0.0.0.1')).toEqual({ version: 4, value: 1n });
+    expect(parseIp('::1')).toEqual({ version: 6, value: 1n });
+    expect(parseIp('256.0.0.1')).toBeNull();
+    expect(parseIp('1::2::3')).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+// @ts-nocheck
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getLinkStats } from '../src/lib/linkAnalytics.js';
+
+let statsRows = [];
+
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql) => {
+    if (sql.startsWith('SELECT id, analytics_enabled FROM short_links')) return [{ id: 1, analytics_enabled: 1 }];
+    if (sql.includes('FROM short_link_daily_stats')) return statsRows;
+    return [];
+  },
+}));
+vi.mock('../src/lib/rateLimit.js', () => ({ ensureShortLinksExtended: async () => {} }));
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ features: { linkShortener: { analytics_min_visits: 3 } } }),
+}));
+
+const today = new Date().toISOString().slice(0, 10);
+const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+describe('getLinkStats', () => {
+  beforeEach(() => {
+    statsRows = [];
+  });
+
+  it('leaves out values with fewer daily visits than the minimum', async () => {
+    statsRows = [
+      { day: today, dimension: 'total', value: '', visits: 4 },
+      { day: today, dimension: 'referrer', value: 'example.com', visits: 3 },
+      { day: today, dimension: 'referrer', value: 'rare.example', visits: 1 },
+      { day: today, dimension: 'country', value: 'DE', visits: 4 },
+      { day: today, dimension: 'browser', value: 'Firefox', visits: 2 },
+      { day: today, dimension: 'browser', value: 'Chrome', visits: 2 },
+    ];
+    const stats = await getLinkStats('abc', 7, 7);
+    expect(stats.minVisits).toBe(3);
+    expect(stats.totalVisits).toBe(4);
+    expect(stats.referrers).toEqual([{ value: 'example.com', visits: 3 }]);
+    expect(stats.countries).toEqual([{ value: 'DE', visits: 4 }]);
+    expect(stats.browsers).toEqual([]);
+  });
+
+  it('applies the minimum per day, not to the sum over the period', async () => {
+    statsRows = [
+      { day: yesterday, dimension: 'country', value: 'FR', visits: 5 },
+      { day: today, dimension: 'country', value: 'FR', visits: 1 },
+      { day: yesterday, dimension: 'country', value: 'NL', visits: 2 },
+      { day: today, dimension: 'country', value: 'NL', visits: 2 },
+    ];
+    const stats = await getLinkStats('abc', 7, 7);
+    expect(stats.countries).toEqual([{ value: 'FR', visits: 5 }]);
+  });
+});
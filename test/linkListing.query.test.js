@@ -0,0 +1,71 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { buildLinkListQuery, parseLinkListParams, encodeCursor, decodeCursor, LINK_SORTS } from '../src/lib/linkListing.js';
+
+const params = (query) => new URLSearchParams(query);
+
+describe('parseLinkListParams', () => {
+  it('defaults to newest first without filters', () => {
+    const options = parseLinkListParams(params(''));
+    expect(options.sort).toBe('created');
+    expect(options.order).toBe('desc');
+    expect(options.cursor).toBeNull();
+    expect(options.limit).toBe(50);
+    expect(options.filters.neverUsed).toBe(false);
+  });
+
+  it('makes the end of date ranges inclusive', () => {
+    const { filters } = parseLinkListParams(params('createdFrom=2026-03-01&createdTo=2026-03-31'));
+    expect(filters.createdFrom.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(filters.createdTo.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+  });
+
+  it('clamps the page size', () => {
+    expect(parseLinkListParams(params('limit=5000')).limit).toBe(200);
+    expect(parseLinkListParams(params('limit=0')).limit).toBe(50);
+  });
+
+  it('rejects invalid values with status 400', () => {
+    for (const query of ['security=nope', 'sort=code', 'order=up', 'createdFrom=03/01/2026', 'cursor=garbage']) {
+      expect(() => parseLinkListParams(params(query))).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+});
+
+describe('cursors', () => {
+  it('round-trip date and numeric sort values', () => {
+    const date = new Date('2026-05-06T07:08:09.000Z');
+    expect(decodeCursor(encodeCursor(date, 42n), 'created')).toEqual({ value: date, id: '42' });
+    expect(decodeCursor(encodeCursor(17n, 3), 'usage')).toEqual({ value: '17', id: '3' });
+  });
+
+  it('reject cursors of another sort', () => {
+    expect(decodeCursor(encodeCursor(new Date(), 1), 'usage')).toBeNull();
+  });
+});
+
+describe('buildLinkListQuery', () => {
+  it('always scopes to the user', () => {
+    const { where, params: values, orderBy } = buildLinkListQuery(7);
+    expect(where).toBe('WHERE l.user_id = ?');
+    expect(values).toEqual([7]);
+    expect(orderBy).toBe('ORDER BY l.created_at DESC, l.id DESC');
+  });
+
+  it('searches plaintext destinations with escaped wildcards', () => {
+    const { where, params: values } = buildLinkListQuery(1, { filters: { q: '50%_off' } });
+    expect(where).toContain(`l.security_mode = 'plaintext' AND l.original_url LIKE ?`);
+    expect(values).toEqual([1, '%50\\%\\_off%']);
+  });
+
+  it('continues after the cursor in the sort direction', () => {
+    const cursor = { value: '10', id: '99' };
+    const desc = buildLinkListQuery(1, { sort: 'usage', cursor });
+    expect(desc.where).toContain(`(${LINK_SORTS.usage} < ? OR (${LINK_SORTS.usage} = ? AND l.id < ?))`);
+    expect(desc.params).toEqual([1, '10', '10', '99']);
+
+    const asc = buildLinkListQuery(1, { sort: 'usage', order: 'asc', cursor });
+    expect(asc.where).toContain('l.id > ?');
+    expect(asc.orderBy).toBe(`ORDER BY ${LINK_SORTS.usage} ASC, l.id ASC`);
+  });
+});
@@ -0,0 +1,25 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { buildLinkSearch } from '../src/lib/linkModeration.js';
+
+describe('buildLinkSearch', () => {
+  it('returns no clause without filters', () => {
+    expect(buildLinkSearch({})).toEqual({ where: '', params: [] });
+  });
+
+  it('combines every filter with AND in a fixed order', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const to = new Date('2026-02-01T00:00:00Z');
+    const { where, params } = buildLinkSearch({
+      code: 'ab', host: 'Example.com', user: 'alice', createdFrom: from, createdTo: to, status: 'disabled',
+    });
+    expect(where.startsWith('WHERE ')).toBe(true);
+    expect(where.split(' AND ').length).toBe(7); // the host filter adds a security_mode condition
+    expect(params).toEqual(['ab%', '%example.com', '%alice%', from, to, 'disabled']);
+  });
+
+  it('escapes LIKE wildcards in user input', () => {
+    const { params } = buildLinkSearch({ code: 'a_b%', user: 'x\\y' });
+    expect(params).toEqual(['a\\_b\\%%', '%x\\\\y%']);
+  });
+});
@@ -0,0 +1,90 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let reports; // rows of link_reports
+
+vi.mock('../src/lib/rateLimit.js', () => ({ ensureShortLinksExtended: async () => {} }));
+vi.mock('../src/lib/linkModeration.js', () => ({ moderateLinks: async () => {} }));
+
+// Minimal query emulator; only handles the queries of filing a report
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('CREATE TABLE')) return [];
+    if (sql.startsWith('SELECT id FROM short_links WHERE short_code = ?')) {
+      return params[0] === 'abc' ? [{ id: 1 }] : [];
+    }
+    if (sql.startsWith('SELECT id FROM link_reports WHERE link_id = ? AND reporter_network = ?')) {
+      return reports.filter(r => r.link_id === params[0] && r.reporter_network === params[1] && r.status === 'open');
+    }
+    if (sql.startsWith('SELECT COUNT(*) AS count FROM link_reports WHERE reporter_network = ?')) {
+      return [{ count: reports.filter(r => r.reporter_network === params[0]).length }];
+    }
+    if (sql.startsWith('INSERT INTO link_reports')) {
+      const [link_id, reason, details, reporter_network] = params;
+      reports.push({ id: reports.length + 1, link_id, reason, details, reporter_network, status: 'open' });
+      return { affectedRows: 1 };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { createLinkReport } from '../src/lib/linkReports.js';
+import { POST } from '../src/pages/api/link/report.js';
+
+async function report(body, { clientAddress, headers = {} } = {}) {
+  const res = await POST({
+    request: new Request('https://short.example/api/link/report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    }),
+    clientAddress,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+beforeEach(() => {
+  reports = [];
+});
+
+describe('createLinkReport', () => {
+  it('merges repeat reports of a link from one network', async () => {
+    expect(await createLinkReport({ code: 'abc', reason: 'spam', ip: '192.0.2.1' })).toEqual({ duplicate: false });
+    expect(await createLinkReport({ code: 'abc', reason: 'phishing', ip: '192.0.2.99' })).toEqual({ duplicate: true });
+    expect(reports).toHaveLength(1);
+    expect(reports[0].reporter_network).toBe('192.0.2.0/24');
+  });
+
+  it('limits the reports of one network per hour', async () => {
+    reports = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, link_id: 100 + i, reporter_network: '192.0.2.0/24', status: 'open' }));
+    await expect(createLinkReport({ code: 'abc', reason: 'spam', ip: '192.0.2.1' })).rejects.toMatchObject({ status: 429 });
+    expect(await createLinkReport({ code: 'abc', reason: 'spam', ip: '198.51.100.1' })).toEqual({ duplicate: false });
+  });
+
+  it('refuses reports from an unknown network', async () => {
+    for (const ip of [null, undefined, '', 'unknown']) {
+      await expect(createLinkReport({ code: 'abc', reason: 'spam', ip })).rejects.toMatchObject({ status: 403 });
+    }
+    expect(reports).toEqual([]);
+  });
+});
+
+describe('POST /api/link/report', () => {
+  it('identifies the reporter by the client address', async () => {
+    const res = await report({ code: 'abc', reason: 'spam' }, { clientAddress: '192.0.2.1' });
+    expect(res.status).toBe(200);
+    expect(reports[0].reporter_network).toBe('192.0.2.0/24');
+  });
+
+  it('ignores X-Forwarded-For', async () => {
+    await report({ code: 'abc', reason: 'spam' }, { clientAddress: '192.0.2.1', headers: { 'X-Forwarded-For': '198.51.100.1' } });
+    // A forged header does not move the reporter to another network
+    const res = await report({ code: 'abc', reason: 'spam' }, { clientAddress: '192.0.2.1', headers: { 'X-Forwarded-For': '203.0.113.1' } });
+    expect(res.status).toBe(200);
+    expect(reports.map(r => r.reporter_network)).toEqual(['192.0.2.0/24']);
+
+    expect((await report({ code: 'abc', reason: 'spam' }, { headers: { 'X-Forwarded-For': '198.51.100.1' } })).status).toBe(403);
+    expect(reports).toHaveLength(1);
+  });
+});
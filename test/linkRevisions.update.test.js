@@ -0,0 +1,152 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let links; // rows of short_links
+let revisions; // rows of short_link_revisions
+let nextRevisionId;
+let blocked; // destinations the blocklist rejects
+
+vi.mock('../src/lib/rateLimit.js', () => ({ ensureShortLinksExtended: async () => {} }));
+vi.mock('../src/lib/domainBlocklist.js', () => ({
+  findBlockedPattern: async (url) => (blocked.some(host => new URL(url).hostname === host) ? 'blocked' : null),
+}));
+// The signed-in user comes from the X-Test-User header
+vi.mock('../src/lib/auth/apiTokens.js', () => ({
+  getApiUser: async (request) => {
+    const id = Number(request.headers.get('x-test-user'));
+    return { user: id ? { id } : null };
+  },
+}));
+
+// Minimal query emulator; only handles the queries of linkRevisions
+async function fakeQuery(sql, params = []) {
+  sql = sql.replace(/\s+/g, ' ').trim();
+  if (sql.startsWith('CREATE TABLE')) return [];
+  if (sql.startsWith('SELECT id, security_mode FROM short_links WHERE short_code = ? AND user_id = ?')
+    || sql.startsWith('SELECT id, original_url, security_mode FROM short_links WHERE short_code = ? AND user_id = ?')) {
+    return links.filter(l => l.short_code === params[0] && l.user_id === params[1]).map(l => ({ ...l }));
+  }
+  if (sql.startsWith('INSERT INTO short_link_revisions')) {
+    const [link_id, original_url, security_mode] = params;
+    revisions.push({ id: nextRevisionId++, link_id, original_url, security_mode, replaced_at: new Date('2026-01-01T00:00:00Z') });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE short_links SET original_url = ? WHERE id = ?')) {
+    links.find(l => l.id === params[1]).original_url = params[0];
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('SELECT id FROM short_link_revisions WHERE link_id = ?')
+    || sql.startsWith('SELECT original_url, security_mode, replaced_at FROM short_link_revisions')) {
+    return revisions.filter(r => r.link_id === params[0]).sort((a, b) => b.id - a.id).map(r => ({ ...r }));
+  }
+  if (sql.startsWith('DELETE FROM short_link_revisions WHERE id IN')) {
+    revisions = revisions.filter(r => !params.includes(r.id));
+    return { affectedRows: params.length };
+  }
+  throw new Error('Unhandled SQL in test: ' + sql);
+}
+
+vi.mock('../src/lib/db.js', () => ({
+  query: (sql, params) => fakeQuery(sql, params),
+  withConnection: (fn) => fn({
+    query: (sql, params) => fakeQuery(sql, params),
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+  }),
+}));
+
+import { updateLinkDestination, listLinkRevisions, MAX_REVISIONS } from '../src/lib/linkRevisions.js';
+import { POST } from '../src/pages/api/link/update.js';
+
+function addLink(short_code, { userId = 1, mode = 'plaintext', url = 'https://example.com/' } = {}) {
+  links.push({ id: links.length + 1, short_code, user_id: userId, security_mode: mode, original_url: url });
+}
+
+async function update(body, userId = 1) {
+  const res = await POST({
+    request: new Request('https://short.example/api/link/update', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Test-User': String(userId) },
+      body: JSON.stringify(body),
+    }),
+    cookies: {},
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+beforeEach(() => {
+  links = [];
+  revisions = [];
+  nextRevisionId = 1;
+  blocked = [];
+});
+
+describe('updateLinkDestination', () => {
+  it('keeps only the most recent revisions', async () => {
+    addLink('abc', { url: 'https://example.com/0' });
+    for (let i = 1; i <= MAX_REVISIONS + 3; i++) {
+      expect(await updateLinkDestination({ code: 'abc', userId: 1, expectedMode: 'plaintext', newUrl: `https://example.com/${i}` })).toBe(true);
+    }
+    const history = await listLinkRevisions('abc', 1);
+    expect(history.current).toEqual({ original: `https://example.com/${MAX_REVISIONS + 3}` });
+    expect(history.revisions).toHaveLength(MAX_REVISIONS);
+    expect(history.revisions[0].original).toBe(`https://example.com/${MAX_REVISIONS + 2}`);
+    expect(history.revisions.at(-1).original).toBe('https://example.com/3');
+  });
+
+  it('does not update or list another user\'s link', async () => {
+    addLink('abc', { userId: 1 });
+    expect(await updateLinkDestination({ code: 'abc', userId: 2, expectedMode: 'plaintext', newUrl: 'https://evil.example/' })).toBe(false);
+    expect(await listLinkRevisions('abc', 2)).toBe(null);
+    expect(links[0].original_url).toBe('https://example.com/');
+    expect(revisions).toEqual([]);
+  });
+
+  it('does not update a link whose security mode is not the expected one', async () => {
+    addLink('abc', { mode: 'encrypted', url: 'cipher' });
+    expect(await updateLinkDestination({ code: 'abc', userId: 1, expectedMode: 'plaintext', newUrl: 'https://example.com/' })).toBe(false);
+    expect(links[0].original_url).toBe('cipher');
+  });
+});
+
+describe('POST /api/link/update', () => {
+  it('updates a plaintext link with the normalized URL', async () => {
+    addLink('abc');
+    const res = await update({ code: 'abc', url: 'https://example.org/new' });
+    expect(res.status).toBe(200);
+    expect(links[0].original_url).toBe(res.body.original);
+    expect(revisions).toHaveLength(1);
+  });
+
+  it('answers 404 for another user\'s link', async () => {
+    addLink('abc', { userId: 1 });
+    const res = await update({ code: 'abc', url: 'https://example.org/new' }, 2);
+    expect(res.status).toBe(404);
+    expect(links[0].original_url).toBe('https://example.com/');
+  });
+
+  it('rejects a change of security mode', async () => {
+    addLink('plain');
+    addLink('secret', { mode: 'encrypted', url: 'cipher' });
+    expect((await update({ code: 'plain', url: 'Y2lwaGVy', clientEncrypted: true })).status).toBe(400);
+    expect((await update({ code: 'secret', url: 'https://example.org/new' })).status).toBe(400);
+    expect(links.map(l => l.original_url)).toEqual(['https://example.com/', 'cipher']);
+  });
+
+  it('re-validates a new plaintext destination', async () => {
+    addLink('abc');
+    expect((await update({ code: 'abc', url: 'javascript:alert(1)' })).status).toBe(422);
+    expect((await update({ code: 'abc', url: 'http://localhost/admin' })).status).toBe(422);
+    expect(links[0].original_url).toBe('https://example.com/');
+  });
+
+  it('checks a new plaintext destination against the blocklist', async () => {
+    blocked = ['blocked.example'];
+    addLink('abc');
+    const res = await update({ code: 'abc', url: 'https://blocked.example/page' });
+    expect(res.status).toBe(403);
+    expect(links[0].original_url).toBe('https://example.com/');
+    expect(revisions).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { normalizeTagName, parseTagIds, MAX_TAG_NAME_LENGTH, MAX_TAGS_PER_LINK } from '../src/lib/linkTags.js';
+
+describe('normalizeTagName', () => {
+  it('collapses whitespace in plaintext names', () => {
+    expect(normalizeTagName('  Q3   launch ')).toEqual({ name: 'Q3 launch' });
+  });
+
+  it('rejects empty, overlong and control-character names', () => {
+    expect(normalizeTagName('   ').error).toBeDefined();
+    expect(normalizeTagName('x'.repeat(MAX_TAG_NAME_LENGTH + 1)).error).toBeDefined();
+    expect(normalizeTagName('a\u0007b').error).toBeDefined();
+    expect(normalizeTagName(42).error).toBeDefined();
+  });
+
+  it('counts characters, not UTF-16 units', () => {
+    expect(normalizeTagName('🏷️'.repeat(20)).name).toBeDefined();
+  });
+
+  it('only accepts base64url ciphertext for encrypted names', () => {
+    expect(normalizeTagName('AbC-_123', true)).toEqual({ name: 'AbC-_123' });
+    expect(normalizeTagName('not ciphertext', true).error).toBeDefined();
+    expect(normalizeTagName('a'.repeat(513), true).error).toBeDefined();
+  });
+});
+
+describe('parseTagIds', () => {
+  it('deduplicates and accepts numeric strings', () => {
+    expect(parseTagIds([1, '2', 2])).toEqual([1, 2]);
+  });
+
+  it('treats a missing list as no tags', () => {
+    expect(parseTagIds(undefined)).toEqual([]);
+  });
+
+  it('rejects invalid ids and overlong lists', () => {
+    expect(parseTagIds([0])).toBeNull();
+    expect(parseTagIds(['x'])).toBeNull();
+    expect(parseTagIds('1')).toBeNull();
+    expect(parseTagIds(Array.from({ length: MAX_TAGS_PER_LINK + 1 }, (_, i) => i + 1))).toBeNull();
+  });
+});
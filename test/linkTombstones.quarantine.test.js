@@ -0,0 +1,120 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let quarantine = 30;
+let links; // short_code -> row
+let recycled; // codes handed back to codegen
+let childDeletes; // tables the link's revisions, stats and tags were deleted from
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ features: { linkShortener: { deleted_code_quarantine_days: quarantine } } }),
+}));
+vi.mock('../src/lib/codegen.js', () => ({
+  recycleCode: async (code) => { recycled.push(code); },
+}));
+vi.mock('../src/lib/linkRevisions.js', () => ({ ensureLinkRevisionsTable: async () => {} }));
+vi.mock('../src/lib/linkAnalytics.js', () => ({ ensureLinkStatsTable: async () => {} }));
+vi.mock('../src/lib/linkTags.js', () => ({ ensureLinkTagsTables: async () => {} }));
+
+// Minimal query emulator; only handles the queries of linkTombstones
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    const owned = (row) => !sql.includes('AND user_id = ?') || row.user_id === params[1];
+    if (sql.startsWith("SELECT id FROM short_links WHERE short_code = ? AND status != 'tombstoned'")) {
+      const row = links.get(params[0]);
+      return row && row.status !== 'tombstoned' && owned(row) ? [{ id: row.id }] : [];
+    }
+    if (sql.startsWith("UPDATE short_links SET status = 'tombstoned'")) {
+      const row = [...links.values()].find(r => r.id === params[1]);
+      Object.assign(row, { status: 'tombstoned', status_reason: params[0], tombstoned_at: Date.now(), original_url: '', user_id: null });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith("SELECT short_code FROM short_links WHERE status = 'tombstoned'")) {
+      const cutoff = Date.now() - params[0] * 86400000;
+      return [...links.values()]
+        .filter(r => r.status === 'tombstoned' && r.tombstoned_at < cutoff)
+        .map(r => ({ short_code: r.short_code }));
+    }
+    if (sql.startsWith('DELETE FROM short_links WHERE short_code = ?')) {
+      const row = links.get(params[0]);
+      if (!row || !owned(row) || (sql.includes("status = 'tombstoned'") && row.status !== 'tombstoned')) {
+        return { affectedRows: 0 };
+      }
+      links.delete(params[0]);
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM short_link_')) {
+      childDeletes.push(sql.split(' ')[2]);
+      return { affectedRows: 0 };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { deleteLink, releaseQuarantinedCodes, EXPIRED_REASON } from '../src/lib/linkTombstones.js';
+
+function addLink(short_code, user_id = 1) {
+  links.set(short_code, { id: links.size + 1, short_code, user_id, status: 'active', status_reason: null, tombstoned_at: null, original_url: 'https://example.com/' });
+}
+
+describe('deleteLink', () => {
+  beforeEach(() => {
+    quarantine = 30;
+    links = new Map();
+    recycled = [];
+    childDeletes = [];
+  });
+
+  it('tombstones the link and keeps its code out of circulation', async () => {
+    addLink('abc');
+    expect(await deleteLink('abc', { reason: EXPIRED_REASON })).toBe(true);
+    const row = links.get('abc');
+    expect(row.status).toBe('tombstoned');
+    expect(row.status_reason).toBe(EXPIRED_REASON);
+    expect(row.original_url).toBe('');
+    expect(row.user_id).toBe(null);
+    expect(childDeletes).toEqual(['short_link_revisions', 'short_link_daily_stats', 'short_link_tags']);
+    expect(recycled).toEqual([]);
+  });
+
+  it('only deletes links of the given owner, and each link once', async () => {
+    addLink('abc', 1);
+    expect(await deleteLink('abc', { userId: 2 })).toBe(false);
+    expect(await deleteLink('abc', { userId: 1 })).toBe(true);
+    expect(await deleteLink('abc', { userId: 1 })).toBe(false);
+    expect(await deleteLink('missing')).toBe(false);
+  });
+
+  it('deletes and recycles at once without a quarantine', async () => {
+    quarantine = 0;
+    addLink('abc');
+    expect(await deleteLink('abc')).toBe(true);
+    expect(links.has('abc')).toBe(false);
+    expect(recycled).toEqual(['abc']);
+  });
+});
+
+describe('releaseQuarantinedCodes', () => {
+  beforeEach(() => {
+    quarantine = 30;
+    links = new Map();
+    recycled = [];
+    childDeletes = [];
+  });
+
+  it('releases only tombstones whose quarantine has ended', async () => {
+    addLink('old');
+    addLink('new');
+    addLink('live');
+    await deleteLink('old');
+    await deleteLink('new');
+    links.get('old').tombstoned_at = Date.now() - 31 * 86400000;
+
+    expect(await releaseQuarantinedCodes()).toBe(1);
+    expect(recycled).toEqual(['old']);
+    expect(links.has('old')).toBe(false);
+    expect(links.get('new').status).toBe('tombstoned');
+    expect(links.get('live').status).toBe('active');
+  });
+});
@@ -0,0 +1,137 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+let quarantine; // features.linkShortener.deleted_code_quarantine_days
+let links; // rows of short_links
+let recycled; // codes handed back to codegen
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ features: { linkShortener: { deleted_code_quarantine_days: quarantine } } }),
+}));
+vi.mock('../src/lib/codegen.js', () => ({
+  recycleCode: async (code) => { recycled.push(code); },
+}));
+vi.mock('../src/lib/rateLimit.js', () => ({ ensureShortLinksExtended: async () => {} }));
+
+const now = () => Date.now();
+const withinLimits = (row) =>
+  (row.expires_at == null || row.expires_at.getTime() > now()) &&
+  (row.max_uses == null || row.usage_count < row.max_uses);
+
+// Minimal query emulator; only handles the queries of visit counting and the expiry sweep.
+// Each statement yields first and then runs without interruption, like in the database.
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('CREATE TABLE')) return [];
+    if (sql.startsWith('UPDATE short_links SET usage_count = usage_count + 1, last_accessed = NOW() WHERE id = ?')) {
+      const conditional = sql.includes('max_uses');
+      const row = links.find(l => l.id === params[0] && (!conditional || withinLimits(l)));
+      if (row) row.usage_count += 1;
+      return { affectedRows: row ? 1 : 0 };
+    }
+    if (sql.startsWith("SELECT short_code FROM short_links WHERE status != 'tombstoned' AND (expires_at <= NOW()")) {
+      return links.filter(l => l.status !== 'tombstoned' && !withinLimits(l)).map(l => ({ short_code: l.short_code }));
+    }
+    if (sql.startsWith("SELECT id FROM short_links WHERE short_code = ? AND status != 'tombstoned'")) {
+      return links.filter(l => l.short_code === params[0] && l.status !== 'tombstoned').map(l => ({ id: l.id }));
+    }
+    if (sql.startsWith("UPDATE short_links SET status = 'tombstoned'")) {
+      const row = links.find(l => l.id === params[1]);
+      Object.assign(row, { status: 'tombstoned', status_reason: params[0], original_url: '', user_id: null });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM short_links WHERE short_code = ?')) {
+      const before = links.length;
+      links = links.filter(l => l.short_code !== params[0]);
+      return { affectedRows: before - links.length };
+    }
+    if (sql.startsWith('DELETE FROM short_link_')) return { affectedRows: 0 };
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+  withConnection: async () => { throw new Error('not used'); },
+}));
+
+import { countLinkVisit } from '../src/lib/linkVisits.js';
+import { pruneExpiredLinks } from '../src/lib/prune.js';
+import { EXPIRED_REASON } from '../src/lib/linkTombstones.js';
+
+function addLink(short_code, { expiresAt = null, maxUses = null, usageCount = 0 } = {}) {
+  const row = {
+    id: links.length + 1, short_code, status: 'active', status_reason: null, user_id: 1,
+    original_url: 'https://example.com/', expires_at: expiresAt, max_uses: maxUses, usage_count: usageCount,
+  };
+  links.push(row);
+  return row;
+}
+
+beforeEach(() => {
+  quarantine = 30;
+  links = [];
+  recycled = [];
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('countLinkVisit', () => {
+  it('counts the last allowed visit and expires the link for the next one', async () => {
+    const link = addLink('abc', { maxUses: 2, usageCount: 1 });
+    expect(await countLinkVisit(link)).toBe(true);
+    expect(link.usage_count).toBe(2);
+    // The visitor after that sees the expired page (410)
+    expect(await countLinkVisit(link)).toBe(false);
+    expect(link.usage_count).toBe(2);
+  });
+
+  it('lets only as many concurrent visits through as the link has left', async () => {
+    const link = addLink('abc', { maxUses: 3 });
+    const results = await Promise.all(Array.from({ length: 10 }, () => countLinkVisit(link)));
+    expect(results.filter(Boolean)).toHaveLength(3);
+    expect(link.usage_count).toBe(3);
+  });
+
+  it('expires the link at its expiry date', async () => {
+    const link = addLink('abc', { expiresAt: new Date('2026-01-01T13:00:00Z') });
+    expect(await countLinkVisit(link)).toBe(true);
+    vi.setSystemTime(new Date('2026-01-01T13:00:01Z'));
+    expect(await countLinkVisit(link)).toBe(false);
+  });
+
+  it('always counts visits to links without limits', async () => {
+    const link = addLink('abc', { usageCount: 1000 });
+    expect(await countLinkVisit(link)).toBe(true);
+  });
+});
+
+describe('pruneExpiredLinks', () => {
+  it('tombstones links past their expiry date or visit limit as expired', async () => {
+    addLink('old', { expiresAt: new Date('2026-01-01T11:00:00Z') });
+    addLink('used', { maxUses: 1, usageCount: 1 });
+    addLink('live', { expiresAt: new Date('2026-01-02T00:00:00Z'), maxUses: 5, usageCount: 4 });
+
+    expect(await pruneExpiredLinks()).toEqual({ affected: 2 });
+    expect(links.map(l => [l.short_code, l.status, l.status_reason])).toEqual([
+      ['old', 'tombstoned', EXPIRED_REASON],
+      ['used', 'tombstoned', EXPIRED_REASON],
+      ['live', 'active', null],
+    ]);
+    expect(recycled).toEqual([]);
+    // Tombstones are not swept again
+    expect(await pruneExpiredLinks()).toEqual({ affected: 0 });
+  });
+
+  it('deletes expired links and recycles their codes at once without a quarantine', async () => {
+    quarantine = 0;
+    addLink('old', { expiresAt: new Date('2026-01-01T11:00:00Z') });
+    addLink('live');
+
+    expect(await pruneExpiredLinks()).toEqual({ affected: 1 });
+    expect(links.map(l => l.short_code)).toEqual(['live']);
+    expect(recycled).toEqual(['old']);
+  });
+});
@@ -0,0 +1,120 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import crypto from 'node:crypto';
+
+const ORIGIN = 'https://example.com';
+const RP_ID = 'example.com';
+
+let passkeys; // rows of the passkeys table
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ app: { baseUrl: 'https://example.com' } }),
+}));
+// Challenge storage has its own tests; every challenge is fresh here
+vi.mock('../src/lib/auth/webauthnChallenges.js', () => ({
+  storeChallenge: async () => {},
+  consumeChallenge: async () => true,
+  CHALLENGE_PURPOSES: { REGISTRATION: 'registration', AUTHENTICATION: 'authentication', LOGIN: 'login' },
+}));
+
+// Minimal query emulator; only handles the queries of verifyLogin
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('SELECT * FROM passkeys WHERE credential_id = ?')) {
+      return passkeys.filter(p => p.credential_id === params[0]).map(p => ({ ...p }));
+    }
+    if (sql.startsWith('UPDATE passkeys SET counter = ?')) {
+      const [counter, id, expectedCounter] = params;
+      const row = passkeys.find(p => p.id === id && p.counter === expectedCounter);
+      if (!row) return { affectedRows: 0 };
+      row.counter = counter;
+      return { affectedRows: 1 };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { verifyLogin } from '../src/lib/auth/passkey.js';
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+
+// COSE EC2 key (kty 2, alg -7 ES256, crv 1) in the CBOR an authenticator emits
+function coseKey(publicKey) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const bytes = (b64) => {
+    const b = Buffer.from(b64, 'base64url');
+    return Buffer.concat([Buffer.from([0x58, b.length]), b]);
+  };
+  return Buffer.concat([
+    Buffer.from([0xa5, 0x01, 0x02, 0x03, 0x26, 0x20, 0x01, 0x21]), bytes(jwk.x),
+    Buffer.from([0x22]), bytes(jwk.y),
+  ]);
+}
+
+function makePasskey(userId, counter = 0) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16).toString('base64url');
+  passkeys.push({ id: passkeys.length + 1, user_id: userId, credential_id: credentialId, public_key: coseKey(publicKey).toString('base64url'), counter });
+  return { credentialId, privateKey, userId };
+}
+
+function assertion(key, { signCount = 1, flags = FLAG_UP | FLAG_UV } = {}) {
+  const ad = Buffer.alloc(37);
+  crypto.createHash('sha256').update(RP_ID).digest().copy(ad, 0);
+  ad[32] = flags;
+  ad.writeUInt32BE(signCount, 33);
+  const cd = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: 'chal', origin: ORIGIN }));
+  const hash = crypto.createHash('sha256').update(cd).digest();
+  return {
+    id: key.credentialId,
+    rawId: key.credentialId,
+    type: 'public-key',
+    response: {
+      clientDataJSON: cd.toString('base64url'),
+      authenticatorData: ad.toString('base64url'),
+      signature: crypto.sign('sha256', Buffer.concat([ad, hash]), key.privateKey).toString('base64url'),
+      userHandle: Buffer.from(String(key.userId)).toString('base64url'),
+    },
+  };
+}
+
+describe('verifyLogin', () => {
+  beforeEach(() => {
+    passkeys = [];
+  });
+
+  it('signs in the owner of the passkey and advances its counter', async () => {
+    const key = makePasskey(7, 3);
+    expect(await verifyLogin(assertion(key, { signCount: 4 }), 'binding')).toEqual({ userId: 7, passkeyId: 1 });
+    expect(passkeys[0].counter).toBe(4);
+  });
+
+  it('rejects a signature counter that went backwards', async () => {
+    const key = makePasskey(7, 10);
+    await expect(verifyLogin(assertion(key, { signCount: 9 }), 'binding')).rejects.toThrow(/counter regression/);
+    await expect(verifyLogin(assertion(key, { signCount: 10 }), 'binding')).rejects.toThrow(/counter regression/);
+    expect(passkeys[0].counter).toBe(10);
+  });
+
+  it('rejects an assertion replayed after a newer one was accepted', async () => {
+    const key = makePasskey(7, 0);
+    const first = assertion(key, { signCount: 1 });
+    await verifyLogin(assertion(key, { signCount: 2 }), 'binding');
+    await expect(verifyLogin(first, 'binding')).rejects.toThrow(/counter regression/);
+  });
+
+  it('requires user verification', async () => {
+    const key = makePasskey(7, 0);
+    await expect(verifyLogin(assertion(key, { flags: FLAG_UP }), 'binding')).rejects.toThrow('User verification required');
+    expect(passkeys[0].counter).toBe(0);
+  });
+
+  it('rejects a user handle that does not match the owner of the passkey', async () => {
+    const key = makePasskey(7, 0);
+    const credential = assertion(key);
+    credential.response.userHandle = Buffer.from('8').toString('base64url');
+    await expect(verifyLogin(credential, 'binding')).rejects.toThrow('Passkey not found');
+  });
+});
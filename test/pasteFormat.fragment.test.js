@@ -0,0 +1,43 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { sealPasteText, openPasteText, parseFragment, buildFragment, MAX_ENVELOPE_HEADER_BYTES } from '../src/lib/pasteFormat.js';
+import { LANGUAGE_IDS } from '../src/lib/syntaxHighlight.js';
+
+describe('paste envelope', () => {
+  it('round-trips text and language', () => {
+    expect(openPasteText(sealPasteText('a\nb', { language: 'python' }))).toEqual({ text: 'a\nb', language: 'python' });
+    expect(openPasteText(sealPasteText(''))).toEqual({ text: '', language: null });
+  });
+
+  it('reads text without an envelope as-is', () => {
+    expect(openPasteText('{"language":"x"}\nhello')).toEqual({ text: '{"language":"x"}\nhello', language: null });
+  });
+
+  it('fits the longest language id in the allowed header', () => {
+    for (const language of LANGUAGE_IDS) {
+      const sealed = sealPasteText('', { language });
+      expect(new TextEncoder().encode(sealed).length).toBeLessThanOrEqual(MAX_ENVELOPE_HEADER_BYTES);
+    }
+  });
+});
+
+describe('parseFragment / buildFragment', () => {
+  it('separates the key from the line selection', () => {
+    expect(parseFragment('#abc_-9&L10-L20')).toEqual({ key: 'abc_-9', lines: { start: 10, end: 20 } });
+    expect(parseFragment('#L7')).toEqual({ key: null, lines: { start: 7, end: 7 } });
+    expect(parseFragment('L20-L10')).toEqual({ key: null, lines: { start: 10, end: 20 } });
+    expect(parseFragment('')).toEqual({ key: null, lines: null });
+  });
+
+  it('ignores invalid line numbers', () => {
+    expect(parseFragment('#key&L0')).toEqual({ key: 'key', lines: null });
+  });
+
+  it('builds what it parses', () => {
+    expect(buildFragment({ key: 'k', lines: { start: 3, end: 5 } })).toBe('k&L3-L5');
+    expect(buildFragment({ lines: { start: 4, end: 4 } })).toBe('L4');
+    expect(buildFragment({ key: 'k' })).toBe('k');
+    expect(buildFragment({})).toBe('');
+    expect(parseFragment(buildFragment({ key: 'k', lines: { start: 1, end: 2 } }))).toEqual({ key: 'k', lines: { start: 1, end: 2 } });
+  });
+});
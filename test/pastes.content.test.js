@@ -0,0 +1,30 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { validatePasteContent } from '../src/lib/pastes.js';
+import { encryptText, keyFromBase64, generateRandomKeyBase64 } from '../src/lib/browserCrypto.js';
+
+describe('validatePasteContent', () => {
+  it('accepts plaintext up to the limit in UTF-8 bytes', () => {
+    expect(validatePasteContent('abc', 'plaintext', 3)).toBeNull();
+    expect(validatePasteContent('é', 'plaintext', 1)).toMatch(/too long/);
+  });
+
+  it('rejects empty pastes and unknown modes', () => {
+    expect(validatePasteContent('', 'plaintext', 10)).toBe('Paste is empty');
+    expect(validatePasteContent('  \n', 'plaintext', 10)).toBe('Paste is empty');
+    expect(validatePasteContent(42, 'plaintext', 10)).toBe('Paste is empty');
+    expect(validatePasteContent('abc', 'sometimes', 10)).toBe('Invalid security mode');
+  });
+
+  it('only accepts base64url ciphertext for encrypted pastes', () => {
+    expect(validatePasteContent('not ciphertext', 'passphrase', 100)).toBe('Invalid encrypted paste');
+    expect(validatePasteContent('AbC-_123', 'encryptedAndDecryptionKeyInURL', 100)).toBeNull();
+  });
+
+  it('allows the encryption overhead on top of the limit', async () => {
+    const text = 'x'.repeat(100);
+    const payload = await encryptText(text, keyFromBase64(generateRandomKeyBase64(256)));
+    expect(validatePasteContent(payload, 'encryptedAndDecryptionKeyInURL', 100)).toBeNull();
+    expect(validatePasteContent(payload + 'A'.repeat(200), 'encryptedAndDecryptionKeyInURL', 100)).toMatch(/too long/);
+  });
+});
@@ -0,0 +1,25 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { parsePasteExpiry, MAX_PASTE_EXPIRY_MS } from '../src/lib/pastes.js';
+
+describe('parsePasteExpiry', () => {
+  const now = Date.parse('2030-01-01T00:00:00Z');
+
+  it('treats an empty value as no expiry', () => {
+    expect(parsePasteExpiry(undefined, now)).toEqual({ expiresAt: null });
+    expect(parsePasteExpiry(null, now)).toEqual({ expiresAt: null });
+    expect(parsePasteExpiry('', now)).toEqual({ expiresAt: null });
+  });
+
+  it('accepts future timestamps', () => {
+    expect(parsePasteExpiry('2030-01-01T00:10:00Z', now).expiresAt.toISOString()).toBe('2030-01-01T00:10:00.000Z');
+    expect(parsePasteExpiry(new Date(now + MAX_PASTE_EXPIRY_MS).toISOString(), now).expiresAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects past, invalid and too distant timestamps', () => {
+    expect(parsePasteExpiry('2029-12-31T23:59:59Z', now).error).toBeTruthy();
+    expect(parsePasteExpiry('2030-01-01T00:00:00Z', now).error).toBeTruthy();
+    expect(parsePasteExpiry('tomorrow', now).error).toBeTruthy();
+    expect(parsePasteExpiry(new Date(now + MAX_PASTE_EXPIRY_MS + 1000).toISOString(), now).error).toBeTruthy();
+  });
+});
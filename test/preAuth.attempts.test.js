@@ -0,0 +1,157 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let pendingLogins; // rows of pending_logins
+let failedLogins; // user ids passed to recordFailedLogin
+let lockAfter; // failed logins after which the fake lockout locks the account
+
+vi.mock('../src/lib/auth/tables.js', () => ({ ensureAuthTables: async () => {} }));
+vi.mock('../src/lib/auth/lockout.js', () => ({
+  recordFailedLogin: async (userId) => {
+    failedLogins.push(userId);
+    return failedLogins.length >= lockAfter;
+  },
+}));
+
+// Minimal query emulator; only handles the queries of preAuth. Each statement yields
+// first and then runs without interruption, like a single statement in the database.
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sql = sql.replace(/\s+/g, ' ').trim();
+    const live = (row) => row.expires_at.getTime() > Date.now();
+    if (sql.startsWith('DELETE FROM pending_logins WHERE user_id = ?')) {
+      pendingLogins = pendingLogins.filter(row => row.user_id !== params[0]);
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('INSERT INTO pending_logins')) {
+      const [user_id, token_hash, expires_at] = params;
+      pendingLogins.push({ id: pendingLogins.length + 100, user_id, token_hash, expires_at, attempts: 0 });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT p.id, p.user_id, p.attempts, u.email')) {
+      return pendingLogins
+        .filter(row => row.token_hash === params[0] && live(row))
+        .map(row => ({ id: row.id, user_id: row.user_id, attempts: row.attempts, email: 'user@example.com' }));
+    }
+    if (sql.startsWith('UPDATE pending_logins SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND expires_at > NOW()')) {
+      const row = pendingLogins.find(r => r.id === params[0] && r.attempts < params[1] && live(r));
+      if (row) row.attempts += 1;
+      return { affectedRows: row ? 1 : 0 };
+    }
+    if (sql.startsWith('DELETE FROM pending_logins WHERE id = ? AND attempts >= ?')) {
+      const before = pendingLogins.length;
+      pendingLogins = pendingLogins.filter(r => r.id !== params[0] || r.attempts < params[1]);
+      return { affectedRows: before - pendingLogins.length };
+    }
+    if (sql.startsWith('DELETE FROM pending_logins WHERE id = ? AND expires_at > NOW() AND attempts <= ?')) {
+      const before = pendingLogins.length;
+      pendingLogins = pendingLogins.filter(r => r.id !== params[0] || !live(r) || r.attempts > params[1]);
+      return { affectedRows: before - pendingLogins.length };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { createPreAuthCookie, getPendingLogin, takePreAuthAttempt, recordFailedPreAuthAttempt, consumePreAuthCookie } from '../src/lib/auth/preAuth.js';
+
+// Just enough of Astro's AstroCookies
+function fakeCookies() {
+  const jar = new Map();
+  return {
+    get: (name) => (jar.has(name) ? { value: jar.get(name) } : undefined),
+    set: (name, value) => jar.set(name, value),
+    delete: (name) => jar.delete(name),
+    has: (name) => jar.has(name),
+  };
+}
+
+// What verify.js does with a wrong code; returns null when no attempt was left
+async function wrongCode(cookies) {
+  const pending = await getPendingLogin(cookies);
+  if (!pending || !(await takePreAuthAttempt(cookies, pending))) return null;
+  return recordFailedPreAuthAttempt(cookies, pending);
+}
+
+describe('pre-auth attempts', () => {
+  beforeEach(() => {
+    pendingLogins = [];
+    failedLogins = [];
+    lockAfter = Infinity;
+  });
+
+  it('allows four wrong codes before the fifth ends the pending login', async () => {
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+
+    for (let i = 1; i <= 4; i++) {
+      expect(await getPendingLogin(cookies)).toMatchObject({ userId: 7, attempts: i - 1 });
+      expect(await wrongCode(cookies)).toEqual({ exhausted: false, locked: false });
+    }
+    expect(failedLogins).toEqual([]);
+
+    expect(await wrongCode(cookies)).toEqual({ exhausted: true, locked: false });
+    expect(failedLogins).toEqual([7]);
+    expect(cookies.has('sat_preauth')).toBe(false);
+    expect(pendingLogins).toEqual([]);
+  });
+
+  it('gives parallel requests no more attempts than the limit', async () => {
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+    const token = cookies.get('sat_preauth').value;
+
+    // Every request reads the pending login before any of them has used an attempt
+    const reads = await Promise.all(Array.from({ length: 20 }, () => getPendingLogin(cookies)));
+    expect(reads.every(pending => pending && pending.attempts === 0)).toBe(true);
+
+    const taken = await Promise.all(reads.map(pending => takePreAuthAttempt(cookies, pending)));
+    expect(taken.filter(Boolean)).toHaveLength(5);
+
+    const results = await Promise.all(reads.map((pending, i) => taken[i] ? recordFailedPreAuthAttempt(cookies, pending) : null));
+    expect(results.filter(r => r?.exhausted)).toHaveLength(1);
+    expect(failedLogins).toEqual([7]);
+
+    cookies.set('sat_preauth', token);
+    expect(await getPendingLogin(cookies)).toBe(null);
+  });
+
+  it('does not let a correct code complete the login once all attempts are taken', async () => {
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+    const pending = await getPendingLogin(cookies);
+    for (let i = 0; i < 5; i++) await takePreAuthAttempt(cookies, pending);
+    pendingLogins[0].attempts += 1; // a row past the limit, whatever got it there
+
+    expect(await takePreAuthAttempt(cookies, pending)).toBe(false);
+    expect(await consumePreAuthCookie(cookies, pending)).toBe(false);
+  });
+
+  it('reports when the exhausted login locks the account', async () => {
+    lockAfter = 1;
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+    let result;
+    for (let i = 0; i < 5; i++) result = await wrongCode(cookies);
+    expect(result).toEqual({ exhausted: true, locked: true });
+  });
+
+  it('cannot be used once exhausted, even with the old cookie', async () => {
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+    const token = cookies.get('sat_preauth').value;
+    for (let i = 0; i < 5; i++) await wrongCode(cookies);
+
+    cookies.set('sat_preauth', token);
+    expect(await getPendingLogin(cookies)).toBe(null);
+  });
+
+  it('is consumed only once after a correct code', async () => {
+    const cookies = fakeCookies();
+    await createPreAuthCookie(cookies, 7);
+    const pending = await getPendingLogin(cookies);
+    expect(await takePreAuthAttempt(cookies, pending)).toBe(true);
+    expect(await consumePreAuthCookie(cookies, pending)).toBe(true);
+    expect(await consumePreAuthCookie(cookies, pending)).toBe(false);
+  });
+});
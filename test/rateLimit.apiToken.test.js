@@ -0,0 +1,47 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let links; // rows of short_links created in the current window
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ limits: { apiTokenLinksPerHour: 3, linkShortenerGlobalPerHour: 100, rateLimitWindowMinutes: 60 } }),
+}));
+vi.mock('../src/lib/pastes.js', () => ({ ensurePastesTable: async () => {} }));
+vi.mock('../src/lib/uploads.js', () => ({ ensureUploadsTable: async () => {} }));
+vi.mock('../src/lib/chat.js', () => ({ ensureChatTables: async () => {} }));
+
+// Minimal query emulator; only handles the queries of the API token limit
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('CREATE TABLE') || sql.startsWith('ALTER TABLE') || sql.startsWith('CREATE INDEX')) return [];
+    if (sql.startsWith('SELECT COUNT(*) AS total FROM short_links WHERE user_id = ? AND api_token_id IS NOT NULL')) {
+      return [{ total: links.filter(l => l.user_id === params[0] && l.api_token_id != null).length }];
+    }
+    if (sql.startsWith('SELECT COUNT(*) AS total FROM short_links WHERE created_at')) {
+      return [{ total: links.length }];
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { checkApiTokenShortenAllowed } from '../src/lib/rateLimit.js';
+
+describe('checkApiTokenShortenAllowed', () => {
+  beforeEach(() => {
+    links = [];
+  });
+
+  it('shares one bucket between all tokens of a user', async () => {
+    links.push({ user_id: 1, api_token_id: 10 }, { user_id: 1, api_token_id: 11 });
+    expect(await checkApiTokenShortenAllowed({ userId: 1 })).toMatchObject({ allowed: true, remaining: 1, byUser: 2 });
+
+    links.push({ user_id: 1, api_token_id: 12 });
+    expect(await checkApiTokenShortenAllowed({ userId: 1 })).toMatchObject({ allowed: false, remaining: 0 });
+  });
+
+  it('does not count links of other users or created without a token', async () => {
+    links.push({ user_id: 2, api_token_id: 20 }, { user_id: 1, api_token_id: null }, { user_id: null, api_token_id: null });
+    expect(await checkApiTokenShortenAllowed({ userId: 1 })).toMatchObject({ allowed: true, remaining: 3, byUser: 0 });
+  });
+});
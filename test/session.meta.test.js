@@ -0,0 +1,43 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { coarsenIp, sessionMetaFromRequest } from '../src/lib/auth/session.js';
+
+describe('coarsenIp', () => {
+  it('keeps the /24 network of an IPv4 address', () => {
+    expect(coarsenIp('203.0.113.77')).toBe('203.0.113.0/24');
+  });
+
+  it('unwraps IPv4-mapped IPv6 addresses', () => {
+    expect(coarsenIp('::ffff:198.51.100.9')).toBe('198.51.100.0/24');
+  });
+
+  it('keeps the /48 prefix of an IPv6 address', () => {
+    expect(coarsenIp('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+    expect(coarsenIp('2001:0db8::1')).toBe('2001:db8:0::/48');
+  });
+
+  it('rejects anything that is not an address', () => {
+    expect(coarsenIp('')).toBeNull();
+    expect(coarsenIp(null)).toBeNull();
+    expect(coarsenIp('not-an-ip')).toBeNull();
+    expect(coarsenIp('2001:db8::zz')).toBeNull();
+  });
+});
+
+describe('sessionMetaFromRequest', () => {
+  it('prefers the client address and truncates the user agent', () => {
+    const request = new Request('https://example.com/', {
+      headers: { 'user-agent': 'x'.repeat(400), 'x-forwarded-for': '192.0.2.1, 10.0.0.1' },
+    });
+    const meta = sessionMetaFromRequest(request, '203.0.113.5');
+    expect(meta.ipCoarse).toBe('203.0.113.0/24');
+    expect(meta.userAgent).toHaveLength(255);
+  });
+
+  it('falls back to the first forwarded address', () => {
+    const request = new Request('https://example.com/', {
+      headers: { 'x-forwarded-for': '192.0.2.1, 10.0.0.1' },
+    });
+    expect(sessionMetaFromRequest(request, undefined)).toEqual({ userAgent: null, ipCoarse: '192.0.2.0/24' });
+  });
+});
@@ -0,0 +1,70 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createLocalStorage } from '../src/lib/storage/local.js';
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+describe('createLocalStorage', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage({ dir });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('stores, reads, sizes and deletes objects', async () => {
+    await storage.put('uploads/1/0', 'hello', 5);
+    expect(await storage.size('uploads/1/0')).toBe(5);
+    expect(await readAll(await storage.get('uploads/1/0'))).toBe('hello');
+
+    await storage.delete('uploads/1/0');
+    expect(await storage.get('uploads/1/0')).toBeNull();
+    expect(await storage.size('uploads/1/0')).toBeNull();
+    // The emptied object directory is removed as well
+    expect(await readdir(path.join(dir, 'uploads'))).toEqual([]);
+  });
+
+  it('streams async iterable bodies and replaces existing objects', async () => {
+    async function* body() {
+      yield Buffer.from('abc');
+      yield Buffer.from('def');
+    }
+    await storage.put('pastes/7', 'old', 3);
+    await storage.put('pastes/7', body(), 6);
+    expect(await readAll(await storage.get('pastes/7'))).toBe('abcdef');
+  });
+
+  it('keeps nothing when the body does not have the announced length', async () => {
+    await expect(storage.put('pastes/8', 'short', 10)).rejects.toThrow(/expected 10/);
+    async function* failing() {
+      yield Buffer.from('abc');
+      throw new Error('Body failed');
+    }
+    await expect(storage.put('pastes/8', failing(), 3)).rejects.toThrow('Body failed');
+    expect(await storage.get('pastes/8')).toBeNull();
+    expect(await readdir(path.join(dir, 'pastes'))).toEqual([]);
+  });
+
+  it('ignores deleting missing objects', async () => {
+    await expect(storage.delete('uploads/9/0')).resolves.toBeUndefined();
+  });
+
+  it('rejects keys that could leave the storage directory', async () => {
+    for (const key of ['../escape', 'uploads/../../escape', '/absolute', 'uploads//0', 'a b', '']) {
+      await expect(storage.put(key, 'x', 1)).rejects.toThrow(/Invalid storage key/);
+      await expect(storage.get(key)).rejects.toThrow(/Invalid storage key/);
+    }
+  });
+});
@@ -0,0 +1,46 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, highlightLines, LANGUAGE_IDS } from '../src/lib/syntaxHighlight.js';
+
+describe('detectLanguage', () => {
+  it('recognises common languages', () => {
+    expect(detectLanguage('{"a": [1, 2, {"b": null}]}')).toBe('json');
+    expect(detectLanguage('def main():\n    import os\n    print(os.getcwd())\n')).toBe('python');
+    expect(detectLanguage('#!/bin/bash\nfor f in *.txt; do\n  echo "$f"\ndone\n')).toBe('bash');
+    expect(detectLanguage('SELECT id, name FROM users WHERE id = 1 ORDER BY name;')).toBe('sql');
+    expect(detectLanguage('const x = require("x");\nfunction f() { return x; }\nconsole.log(f());\n')).toBe('javascript');
+    expect(detectLanguage('<!DOCTYPE html>\n<html><body><div class="a"></div></body></html>')).toBe('html');
+  });
+
+  it('falls back to plaintext', () => {
+    expect(detectLanguage('Remember to buy milk and eggs.')).toBe('plaintext');
+    expect(detectLanguage('')).toBe('plaintext');
+  });
+
+  it('only returns known ids', () => {
+    expect(LANGUAGE_IDS).toContain(detectLanguage('package main\n\nfunc main() {\n\tfmt.Println("hi")\n}\n'));
+  });
+});
+
+describe('highlightLines', () => {
+  it('returns one entry per line without an extra one for a trailing newline', () => {
+    expect(highlightLines('a\nb\n', 'plaintext')).toEqual(['a', 'b']);
+    expect(highlightLines('a\n\nb', 'plaintext')).toEqual(['a', '', 'b']);
+  });
+
+  it('escapes HTML in every language', () => {
+    for (const language of LANGUAGE_IDS) {
+      const html = highlightLines('<script>alert("x")</script>', language).join('\n');
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&lt;');
+    }
+  });
+
+  it('wraps tokens in hl- classes and keeps multi-line tokens balanced per line', () => {
+    const lines = highlightLines('/* one\ntwo */\nconst a = 1;', 'javascript');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^<span class="hl-comment">\/\* one<\/span>$/);
+    expect(lines[1]).toMatch(/^<span class="hl-comment">two \*\/<\/span>$/);
+    expect(lines[2]).toContain('<span class="hl-keyword">const</span>');
+  });
+});
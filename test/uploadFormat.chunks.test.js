@@ -0,0 +1,68 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import {
+  UPLOAD_CHUNK_SIZE,
+  CHUNK_OVERHEAD,
+  chunkCount,
+  plainChunkLength,
+  encryptedChunkLength,
+  encryptedChunkOffset,
+  encryptedSize,
+  encryptChunk,
+  decryptChunk,
+  sealUploadMetadata,
+  openUploadMetadata,
+  formatBytes,
+} from '../src/lib/uploadFormat.js';
+import { keyFromBase64, generateRandomKeyBase64 } from '../src/lib/browserCrypto.js';
+
+describe('chunk layout', () => {
+  it('splits files into full chunks and a shorter last one', () => {
+    expect(chunkCount(1)).toBe(1);
+    expect(chunkCount(UPLOAD_CHUNK_SIZE)).toBe(1);
+    expect(chunkCount(UPLOAD_CHUNK_SIZE + 1)).toBe(2);
+    expect(plainChunkLength(UPLOAD_CHUNK_SIZE + 1, 0)).toBe(UPLOAD_CHUNK_SIZE);
+    expect(plainChunkLength(UPLOAD_CHUNK_SIZE + 1, 1)).toBe(1);
+    expect(() => plainChunkLength(10, 1)).toThrow();
+  });
+
+  it('stores encrypted chunks back to back', () => {
+    const size = 2 * UPLOAD_CHUNK_SIZE + 5;
+    const lengths = [0, 1, 2].map((i) => encryptedChunkLength(size, i));
+    expect(lengths).toEqual([UPLOAD_CHUNK_SIZE + CHUNK_OVERHEAD, UPLOAD_CHUNK_SIZE + CHUNK_OVERHEAD, 5 + CHUNK_OVERHEAD]);
+    expect(encryptedChunkOffset(2)).toBe(lengths[0] + lengths[1]);
+    expect(encryptedSize(size)).toBe(lengths[0] + lengths[1] + lengths[2]);
+  });
+});
+
+describe('chunk encryption', () => {
+  const key = keyFromBase64(generateRandomKeyBase64(256));
+  const bytes = new TextEncoder().encode('hello chunk');
+
+  it('round-trips a chunk at its position', async () => {
+    const encrypted = await encryptChunk(bytes, key, 1, 3);
+    expect(encrypted.length).toBe(bytes.length + CHUNK_OVERHEAD);
+    expect(new TextDecoder().decode(await decryptChunk(encrypted, key, 1, 3))).toBe('hello chunk');
+  });
+
+  it('rejects chunks moved to another position or passed off as the last one', async () => {
+    const encrypted = await encryptChunk(bytes, key, 1, 3);
+    await expect(decryptChunk(encrypted, key, 0, 3)).rejects.toThrow();
+    await expect(decryptChunk(encrypted, key, 1, 2)).rejects.toThrow();
+  });
+
+  it('round-trips metadata, which cannot be confused with a chunk', async () => {
+    const payload = await sealUploadMetadata({ name: 'notes.txt', type: 'text/plain', size: 11 }, key);
+    expect(await openUploadMetadata(payload, key)).toEqual({ name: 'notes.txt', type: 'text/plain', size: 11 });
+    const chunk = await encryptChunk(bytes, key, 0, 1);
+    await expect(openUploadMetadata(Buffer.from(chunk).toString('base64url'), key)).rejects.toThrow();
+  });
+});
+
+describe('formatBytes', () => {
+  it('uses the units of config sizes', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(10 * 1024 * 1024)).toBe('10 MB');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+  });
+});
@@ -0,0 +1,93 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let uploads; // rows of the uploads table
+let storedChunks; // keys in the storage backend
+let recycled; // codes handed back to codegen
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ features: { uploads: { delete_after_days: 0, code_quarantine_days: 180 } } }),
+}));
+vi.mock('../src/lib/codegen.js', () => ({
+  recycleCode: async (code) => { recycled.push(code); },
+}));
+vi.mock('../src/lib/storage/index.js', () => ({
+  getStorage: () => ({ delete: async (key) => { storedChunks.delete(key); } }),
+}));
+
+// Minimal query emulator; only handles the queries of deleting uploads
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('CREATE TABLE')) return [];
+    if (sql.startsWith('SELECT id, short_code, size, chunk_count, received_chunks, status FROM uploads WHERE short_code = ? AND user_id = ?')) {
+      return uploads
+        .filter(u => u.short_code === params[0] && u.user_id === params[1] && ['uploading', 'complete'].includes(u.status))
+        .map(u => ({ ...u }));
+    }
+    if (sql.startsWith("DELETE FROM uploads WHERE id = ? AND status = 'uploading'")) {
+      const before = uploads.length;
+      uploads = uploads.filter(u => u.id !== params[0] || u.status !== 'uploading');
+      return { affectedRows: before - uploads.length };
+    }
+    if (sql.startsWith("UPDATE uploads SET status = 'expired', metadata = '', ended_at = NOW() WHERE id = ? AND status = 'complete'")) {
+      const row = uploads.find(u => u.id === params[0] && u.status === 'complete');
+      if (row) Object.assign(row, { status: 'expired', metadata: '', ended_at: new Date() });
+      return { affectedRows: row ? 1 : 0 };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+  withConnection: async () => { throw new Error('not used'); },
+}));
+
+import { findOwnedUpload, deleteUpload } from '../src/lib/uploads.js';
+
+function addUpload({ code, userId = 1, status = 'complete', chunks = 3 }) {
+  const id = uploads.length + 1;
+  uploads.push({ id, short_code: code, user_id: userId, status, size: 10, chunk_count: chunks, received_chunks: status === 'complete' ? chunks : 1, metadata: 'meta' });
+  for (let index = 0; index < chunks; index++) storedChunks.add(`uploads/${id}/${index}`);
+  return id;
+}
+
+describe('deleteUpload', () => {
+  beforeEach(() => {
+    uploads = [];
+    storedChunks = new Set();
+    recycled = [];
+  });
+
+  it('removes the file of a complete upload and keeps its code quarantined', async () => {
+    addUpload({ code: 'abc' });
+    const upload = await findOwnedUpload('abc', 1);
+    expect(await deleteUpload(upload)).toBe(true);
+
+    expect(storedChunks.size).toBe(0);
+    expect(uploads[0]).toMatchObject({ status: 'expired', metadata: '' });
+    expect(recycled).toEqual([]);
+    // No longer counted, and cannot be deleted twice
+    expect(await findOwnedUpload('abc', 1)).toBe(null);
+    expect(await deleteUpload(upload)).toBe(false);
+  });
+
+  it('cancels an unfinished upload and recycles its code', async () => {
+    addUpload({ code: 'abc', status: 'uploading' });
+    expect(await deleteUpload(await findOwnedUpload('abc', 1))).toBe(true);
+    expect(uploads).toEqual([]);
+    expect(storedChunks.size).toBe(0);
+    expect(recycled).toEqual(['abc']);
+  });
+
+  it('ends an upload that completed after it was looked up', async () => {
+    addUpload({ code: 'abc', status: 'uploading' });
+    const upload = await findOwnedUpload('abc', 1);
+    uploads[0].status = 'complete';
+    expect(await deleteUpload(upload)).toBe(true);
+    expect(uploads[0].status).toBe('expired');
+  });
+
+  it('only finds uploads of their owner', async () => {
+    addUpload({ code: 'abc', userId: 1 });
+    expect(await findOwnedUpload('abc', 2)).toBe(null);
+    expect(storedChunks.size).toBe(3);
+  });
+});
@@ -0,0 +1,89 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let uploads; // rows of the uploads table
+let locks; // named lock -> queue of waiting resolvers (held while present)
+
+vi.mock('../src/lib/config.js', () => ({
+  getConfig: () => ({ features: { uploads: {} } }),
+}));
+vi.mock('../src/lib/codegen.js', () => ({ recycleCode: async () => {} }));
+vi.mock('../src/lib/storage/index.js', () => ({ getStorage: () => ({}) }));
+
+// Minimal query emulator with GET_LOCK/RELEASE_LOCK; each statement yields first and
+// then runs without interruption, like a single statement in the database
+async function fakeQuery(sql, params = []) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  sql = sql.replace(/\s+/g, ' ').trim();
+  if (sql.startsWith('CREATE TABLE')) return [];
+  if (sql.startsWith('SELECT GET_LOCK(?, ?)')) {
+    const name = params[0];
+    if (locks.has(name)) await new Promise(resolve => locks.get(name).push(resolve));
+    else locks.set(name, []);
+    return [{ acquired: 1 }];
+  }
+  if (sql.startsWith('SELECT RELEASE_LOCK(?)')) {
+    const waiting = locks.get(params[0]);
+    if (waiting?.length) waiting.shift()();
+    else locks.delete(params[0]);
+    return [{ released: 1 }];
+  }
+  if (sql.startsWith('SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE user_id = ?')) {
+    const total = uploads
+      .filter(u => u.user_id === params[0] && ['uploading', 'complete'].includes(u.status))
+      .reduce((sum, u) => sum + u.size, 0);
+    return [{ total }];
+  }
+  if (sql.startsWith('SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE user_id IS NULL AND ip = ?')) {
+    const total = uploads
+      .filter(u => u.user_id == null && u.ip === params[0] && ['uploading', 'complete'].includes(u.status))
+      .reduce((sum, u) => sum + u.size, 0);
+    return [{ total }];
+  }
+  if (sql.startsWith('INSERT INTO uploads')) {
+    const [short_code, , , size, , user_id, , ip] = params;
+    uploads.push({ id: uploads.length + 1, short_code, size, user_id, ip, status: 'uploading' });
+    return { insertId: uploads.length, affectedRows: 1 };
+  }
+  throw new Error('Unhandled SQL in test: ' + sql);
+}
+
+vi.mock('../src/lib/db.js', () => ({
+  query: (sql, params) => fakeQuery(sql, params),
+  withConnection: (fn) => fn({ query: (sql, params) => fakeQuery(sql, params) }),
+}));
+
+import { createUpload } from '../src/lib/uploads.js';
+
+const create = (code, size, owner) => createUpload({ code, size, metadata: 'meta', quota: 100, ...owner });
+
+describe('createUpload quota', () => {
+  beforeEach(() => {
+    uploads = [];
+    locks = new Map();
+  });
+
+  it('rejects an upload that does not fit in the quota', async () => {
+    await create('a', 60, { userId: 1 });
+    await expect(create('b', 50, { userId: 1 })).rejects.toMatchObject({ status: 403 });
+    await create('c', 40, { userId: 1 });
+    expect(uploads.map(u => u.short_code)).toEqual(['a', 'c']);
+  });
+
+  it('does not let concurrent uploads of one owner exceed the quota together', async () => {
+    const results = await Promise.allSettled(
+      ['a', 'b', 'c', 'd', 'e'].map(code => create(code, 30, { userId: 1 }))
+    );
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(3);
+    expect(results.filter(r => r.status === 'rejected').every(r => r.reason.status === 403)).toBe(true);
+    expect(uploads.reduce((sum, u) => sum + u.size, 0)).toBe(90);
+    expect(locks.size).toBe(0);
+  });
+
+  it('counts anonymous uploads per IP address', async () => {
+    await create('a', 100, { ip: '192.0.2.1' });
+    await create('b', 100, { ip: '192.0.2.2' });
+    await create('c', 100, { userId: 1 });
+    await expect(create('d', 1, { ip: '192.0.2.1' })).rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,26 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { validateUploadRequest } from '../src/lib/uploads.js';
+
+describe('validateUploadRequest', () => {
+  const metadata = 'AbC-_123';
+
+  it('accepts files up to the maximum size', () => {
+    expect(validateUploadRequest({ size: 1, metadata }, 100)).toBeNull();
+    expect(validateUploadRequest({ size: 100, metadata }, 100)).toBeNull();
+  });
+
+  it('rejects empty, oversized and invalid sizes', () => {
+    expect(validateUploadRequest({ size: 0, metadata }, 100)).toBe('File is empty');
+    expect(validateUploadRequest({ size: 101, metadata }, 100)).toMatch(/too large/);
+    expect(validateUploadRequest({ size: 1.5, metadata }, 100)).toBe('Invalid file size');
+    expect(validateUploadRequest({ size: NaN, metadata }, 100)).toBe('Invalid file size');
+    expect(validateUploadRequest({ size: -1, metadata }, 100)).toBe('Invalid file size');
+  });
+
+  it('only accepts base64url metadata', () => {
+    expect(validateUploadRequest({ size: 1, metadata: 'plain name.txt' }, 100)).toBe('Invalid file metadata');
+    expect(validateUploadRequest({ size: 1, metadata: null }, 100)).toBe('Invalid file metadata');
+    expect(validateUploadRequest({ size: 1, metadata: 'A'.repeat(5000) }, 100)).toBe('Invalid file metadata');
+  });
+});
@@ -0,0 +1,24 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import { destinationWarnings } from '../src/lib/urlValidation.js';
+
+describe('destinationWarnings', () => {
+  it('has nothing to say about an ordinary HTTPS link', () => {
+    expect(destinationWarnings('https://example.com/docs?page=2')).toEqual([]);
+  });
+
+  it('flags unencrypted, IP-address and unusual-port destinations', () => {
+    expect(destinationWarnings('http://example.com/')).toEqual([expect.stringMatching(/HTTPS/)]);
+    expect(destinationWarnings('https://203.0.113.5/')).toEqual([expect.stringMatching(/raw IP address/)]);
+    expect(destinationWarnings('https://example.com:8443/')).toEqual([expect.stringMatching(/port \(8443\)/)]);
+  });
+
+  it('flags internationalized domains and credentials before the host', () => {
+    expect(destinationWarnings('https://аpple.com/')).toEqual([expect.stringMatching(/international characters/)]);
+    expect(destinationWarnings('https://paypal.com@example.com/')).toEqual([expect.stringMatching(/@ sign/)]);
+  });
+
+  it('returns nothing for unparseable input', () => {
+    expect(destinationWarnings('not a url')).toEqual([]);
+  });
+});
@@ -0,0 +1,222 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest';
+import crypto from 'node:crypto';
+import {
+  decodeCbor,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  COSE_ALG_ES256,
+  COSE_ALG_RS256,
+} from '../src/lib/auth/webauthn.js';
+
+const ORIGIN = 'https://example.com';
+const RP_ID = 'example.com';
+
+// Minimal CBOR encoder covering what an authenticator emits
+function encodeHead(major, n) {
+  if (n < 24) return Buffer.from([(major << 5) | n]);
+  if (n < 0x100) return Buffer.from([(major << 5) | 24, n]);
+  if (n < 0x10000) { const b = Buffer.alloc(3); b[0] = (major << 5) | 25; b.writeUInt16BE(n, 1); return b; }
+  const b = Buffer.alloc(5); b[0] = (major << 5) | 26; b.writeUInt32BE(n, 1); return b;
+}
+
+function cbor(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) return Buffer.concat([encodeHead(2, value.length), value]);
+  if (typeof value === 'string') {
+    const b = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, b.length), b]);
+  }
+  if (value instanceof Map) {
+    const parts = [encodeHead(5, value.size)];
+    for (const [k, v] of value) parts.push(cbor(k), cbor(v));
+    return Buffer.concat(parts);
+  }
+  throw new Error('unsupported');
+}
+
+function makeAuthenticator(alg = COSE_ALG_ES256) {
+  let keys;
+  let cose;
+  if (alg === COSE_ALG_ES256) {
+    keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = keys.publicKey.export({ format: 'jwk' });
+    cose = new Map([[1, 2], [3, alg], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+  } else {
+    keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = keys.publicKey.export({ format: 'jwk' });
+    cose = new Map([[1, 3], [3, alg], [-1, Buffer.from(jwk.n, 'base64url')], [-2, Buffer.from(jwk.e, 'base64url')]]);
+  }
+  return { alg, privateKey: keys.privateKey, cose: cbor(cose), credId: crypto.randomBytes(16) };
+}
+
+function authData({ rpId = RP_ID, flags = 0x01, signCount = 0, attested = null }) {
+  const head = Buffer.alloc(37);
+  crypto.createHash('sha256').update(rpId).digest().copy(head, 0);
+  head[32] = flags | (attested ? 0x40 : 0);
+  head.writeUInt32BE(signCount, 33);
+  if (!attested) return head;
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(attested.credId.length);
+  return Buffer.concat([head, Buffer.alloc(16), len, attested.credId, attested.cose]);
+}
+
+function clientData(type, challenge, origin = ORIGIN) {
+  return Buffer.from(JSON.stringify({ type, challenge, origin }));
+}
+
+function sign(auth, message) {
+  if (auth.alg === COSE_ALG_ES256) return crypto.sign('sha256', message, auth.privateKey);
+  return crypto.sign('sha256', message, { key: auth.privateKey, padding: crypto.constants.RSA_PKCS1_PADDING });
+}
+
+function registration(auth, challenge, { origin, rpId, fmt = 'none', attStmt = new Map() } = {}) {
+  const ad = authData({ rpId, attested: auth });
+  const cd = clientData('webauthn.create', challenge, origin);
+  if (fmt === 'packed') {
+    const hash = crypto.createHash('sha256').update(cd).digest();
+    attStmt = new Map([['alg', auth.alg], ['sig', sign(auth, Buffer.concat([ad, hash]))]]);
+  }
+  const attestationObject = cbor(new Map([['fmt', fmt], ['attStmt', attStmt], ['authData', ad]]));
+  return {
+    id: auth.credId.toString('base64url'),
+    rawId: auth.credId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: cd.toString('base64url'),
+      attestationObject: attestationObject.toString('base64url'),
+    },
+  };
+}
+
+function assertion(auth, challenge, { signCount = 1, origin, rpId } = {}) {
+  const ad = authData({ rpId, signCount });
+  const cd = clientData('webauthn.get', challenge, origin);
+  const hash = crypto.createHash('sha256').update(cd).digest();
+  return {
+    id: auth.credId.toString('base64url'),
+    rawId: auth.credId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: cd.toString('base64url'),
+      authenticatorData: ad.toString('base64url'),
+      signature: sign(auth, Buffer.concat([ad, hash])).toString('base64url'),
+    },
+  };
+}
+
+const expected = (challenge) => ({ expectedChallenge: challenge, expectedOrigin: ORIGIN, expectedRpId: RP_ID });
+
+describe('decodeCbor', () => {
+  it('decodes maps with integer and string keys', () => {
+    const { value, length } = decodeCbor(cbor(new Map([[1, 2], [-3, Buffer.from([1, 2])], ['fmt', 'none']])));
+    expect(value.get(1)).toBe(2);
+    expect(value.get(-3)).toEqual(Buffer.from([1, 2]));
+    expect(value.get('fmt')).toBe('none');
+    expect(length).toBeGreaterThan(0);
+  });
+
+  it('rejects truncated input', () => {
+    expect(() => decodeCbor(Buffer.from([0x59, 0x01]))).toThrow();
+  });
+});
+
+describe('verifyRegistrationResponse', () => {
+  it('accepts a valid ES256 "none" attestation and returns the COSE key', () => {
+    const auth = makeAuthenticator();
+    const result = verifyRegistrationResponse({ credential: registration(auth, 'chal'), ...expected('chal') });
+    expect(result.credentialId).toBe(auth.credId.toString('base64url'));
+    expect(result.publicKey).toBe(auth.cose.toString('base64url'));
+    expect(result.signCount).toBe(0);
+  });
+
+  it('verifies packed self attestation', () => {
+    const auth = makeAuthenticator();
+    const credential = registration(auth, 'chal', { fmt: 'packed' });
+    expect(() => verifyRegistrationResponse({ credential, ...expected('chal') })).not.toThrow();
+  });
+
+  it('rejects a challenge mismatch', () => {
+    const auth = makeAuthenticator();
+    expect(() => verifyRegistrationResponse({ credential: registration(auth, 'other'), ...expected('chal') }))
+      .toThrow('Challenge mismatch');
+  });
+
+  it('rejects a foreign origin', () => {
+    const auth = makeAuthenticator();
+    const credential = registration(auth, 'chal', { origin: 'https://evil.example' });
+    expect(() => verifyRegistrationResponse({ credential, ...expected('chal') })).toThrow('Origin mismatch');
+  });
+
+  it('rejects a foreign rpIdHash', () => {
+    const auth = makeAuthenticator();
+    const credential = registration(auth, 'chal', { rpId: 'evil.example' });
+    expect(() => verifyRegistrationResponse({ credential, ...expected('chal') })).toThrow('Relying party mismatch');
+  });
+
+  it('rejects a credential id that does not match the authenticator data', () => {
+    const auth = makeAuthenticator();
+    const credential = registration(auth, 'chal');
+    credential.rawId = crypto.randomBytes(16).toString('base64url');
+    expect(() => verifyRegistrationResponse({ credential, ...expected('chal') })).toThrow('Credential ID mismatch');
+  });
+});
+
+describe('verifyAuthenticationResponse', () => {
+  it.each([
+    ['ES256', COSE_ALG_ES256],
+    ['RS256', COSE_ALG_RS256],
+  ])('accepts a valid %s assertion', (_name, alg) => {
+    const auth = makeAuthenticator(alg);
+    const result = verifyAuthenticationResponse({
+      credential: assertion(auth, 'chal', { signCount: 5 }),
+      ...expected('chal'),
+      publicKey: auth.cose.toString('base64url'),
+      storedSignCount: 4,
+    });
+    expect(result.signCount).toBe(5);
+  });
+
+  it('rejects a signature from a different key', () => {
+    const auth = makeAuthenticator();
+    const other = makeAuthenticator();
+    expect(() => verifyAuthenticationResponse({
+      credential: assertion(other, 'chal'),
+      ...expected('chal'),
+      publicKey: auth.cose.toString('base64url'),
+    })).toThrow('Signature verification failed');
+  });
+
+  it('rejects a registration response replayed as an assertion', () => {
+    const auth = makeAuthenticator();
+    const credential = assertion(auth, 'chal');
+    credential.response.clientDataJSON = clientData('webauthn.create', 'chal').toString('base64url');
+    expect(() => verifyAuthenticationResponse({
+      credential,
+      ...expected('chal'),
+      publicKey: auth.cose.toString('base64url'),
+    })).toThrow('Unexpected client data type');
+  });
+
+  it('detects signature counter regression', () => {
+    const auth = makeAuthenticator();
+    expect(() => verifyAuthenticationResponse({
+      credential: assertion(auth, 'chal', { signCount: 3 }),
+      ...expected('chal'),
+      publicKey: auth.cose.toString('base64url'),
+      storedSignCount: 3,
+    })).toThrow('Signature counter regression detected');
+  });
+
+  it('allows authenticators that never increment the counter', () => {
+    const auth = makeAuthenticator();
+    expect(() => verifyAuthenticationResponse({
+      credential: assertion(auth, 'chal', { signCount: 0 }),
+      ...expected('chal'),
+      publicKey: auth.cose.toString('base64url'),
+      storedSignCount: 0,
+    })).not.toThrow();
+  });
+});
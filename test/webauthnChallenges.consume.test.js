@@ -0,0 +1,87 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+let challenges; // rows of webauthn_challenges
+
+vi.mock('../src/lib/auth/tables.js', () => ({ ensureAuthTables: async () => {} }));
+
+// Minimal query emulator; NOW() is the (fake) system time
+vi.mock('../src/lib/db.js', () => ({
+  query: async (sql, params = []) => {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    if (sql.startsWith('INSERT INTO webauthn_challenges')) {
+      const [challenge_hash, purpose, user_id, binding_hash, expires_at] = params;
+      challenges.push({ challenge_hash, purpose, user_id, binding_hash, expires_at });
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM webauthn_challenges')) {
+      const args = [...params];
+      const byHash = sql.includes('challenge_hash = ?');
+      const hash = byHash ? args.shift() : null;
+      const purpose = byHash ? args.shift() : null;
+      const owner = args.shift();
+      const matches = (row) =>
+        (!byHash || (row.challenge_hash === hash && row.purpose === purpose)) &&
+        (sql.includes('user_id = ?') ? row.user_id === owner : row.user_id == null && row.binding_hash === owner) &&
+        (!byHash || row.expires_at.getTime() > Date.now()) &&
+        (byHash || row.purpose === args[0]);
+      const before = challenges.length;
+      challenges = challenges.filter(row => !matches(row));
+      return { affectedRows: before - challenges.length };
+    }
+    throw new Error('Unhandled SQL in test: ' + sql);
+  },
+}));
+
+import { storeChallenge, consumeChallenge, CHALLENGE_PURPOSES } from '../src/lib/auth/webauthnChallenges.js';
+
+const { REGISTRATION, LOGIN } = CHALLENGE_PURPOSES;
+
+describe('webauthn challenges', () => {
+  beforeEach(() => {
+    challenges = [];
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('can be consumed only once', async () => {
+    await storeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 });
+    expect(await consumeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 })).toBe(true);
+    expect(await consumeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 })).toBe(false);
+  });
+
+  it('are bound to their owner and purpose', async () => {
+    await storeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 });
+    expect(await consumeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 8 })).toBe(false);
+    expect(await consumeChallenge({ challenge: 'c1', purpose: LOGIN, userId: 7 })).toBe(false);
+
+    await storeChallenge({ challenge: 'c2', purpose: LOGIN, bindingKey: 'browser-a' });
+    expect(await consumeChallenge({ challenge: 'c2', purpose: LOGIN, bindingKey: 'browser-b' })).toBe(false);
+    expect(await consumeChallenge({ challenge: 'c2', purpose: LOGIN, bindingKey: 'browser-a' })).toBe(true);
+  });
+
+  it('replace the earlier outstanding challenge of the same owner and purpose', async () => {
+    await storeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 });
+    await storeChallenge({ challenge: 'c2', purpose: REGISTRATION, userId: 7 });
+    expect(await consumeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 })).toBe(false);
+    expect(await consumeChallenge({ challenge: 'c2', purpose: REGISTRATION, userId: 7 })).toBe(true);
+  });
+
+  it('expire after five minutes', async () => {
+    await storeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 });
+    await storeChallenge({ challenge: 'c2', purpose: LOGIN, userId: 7 });
+    vi.advanceTimersByTime(4 * 60 * 1000);
+    expect(await consumeChallenge({ challenge: 'c1', purpose: REGISTRATION, userId: 7 })).toBe(true);
+    vi.advanceTimersByTime(2 * 60 * 1000);
+    expect(await consumeChallenge({ challenge: 'c2', purpose: LOGIN, userId: 7 })).toBe(false);
+  });
+
+  it('reject missing challenges', async () => {
+    expect(await consumeChallenge({ challenge: '', purpose: LOGIN, userId: 7 })).toBe(false);
+    expect(await consumeChallenge({ challenge: null, purpose: LOGIN, userId: 7 })).toBe(false);
+  });
+});